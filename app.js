@@ -0,0 +1,118 @@
+// 📄 app.js – The Express app: middleware, routes and error handling (index.js starts it)
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const pool = require('./db');
+const { config } = require('./lib/config');
+const openapi = require('./lib/openapi');
+
+const authRoutes = require('./routes/auth');
+const leadsRoutes = require('./routes/leads');
+const leadEventsRoutes = require('./routes/leadEvents');
+const pipelinesRoutes = require('./routes/pipelines');
+const workspacesRoutes = require('./routes/workspaces');
+const webhooksRoutes = require('./routes/webhooks');
+const scoringRoutes = require('./routes/scoring');
+const customFieldsRoutes = require('./routes/customFields');
+const contentStrategiesRoutes = require('./routes/contentStrategies');
+const auditRoutes = require('./routes/audit');
+const emailRoutes = require('./routes/email');
+const automationsRoutes = require('./routes/automations');
+const captureRoutes = require('./routes/capture');
+const requestId = require('./middleware/requestId');
+const { notFoundHandler, errorHandler } = require('./middleware/errors');
+
+const app = express();
+
+// ✅ Behind a load balancer set TRUST_PROXY (e.g. 1) so per-IP rate limits see the client address
+if (config.trustProxy) {
+  app.set('trust proxy', config.trustProxy);
+}
+
+// ✅ Request IDs first, so every log line and error response can carry one
+app.use(requestId);
+
+// ✅ Security headers on every response
+app.use(helmet());
+
+// ✅ The one CORS policy for the whole API (origins from CORS_ORIGINS)
+const corsOptions = {
+  origin: config.corsOrigins,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-Requested-With', 'X-User-Id', 'X-Workspace-Id', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After', 'Content-Disposition'],
+  credentials: true,
+  optionsSuccessStatus: 200
+};
+
+// ✅ Lead-capture forms live on customers' own sites, so any origin may post to the intake endpoint
+const captureCorsOptions = {
+  origin: true,
+  methods: ['POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Accept', 'X-Api-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After'],
+  optionsSuccessStatus: 200
+};
+const corsFor = (req, callback) => {
+  callback(null, req.path === '/api/capture/leads' ? captureCorsOptions : corsOptions);
+};
+
+app.use(cors(corsFor));
+
+// ✅ Automatically handle preflight OPTIONS
+app.options('*', cors(corsFor));
+
+app.use(express.json());
+
+// ✅ Health check
+app.get('/', (req, res) => res.send('🧠 FunnelFlow API is running'));
+
+// ✅ DB test
+app.get('/api/test-db', async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT NOW()');
+    console.log('✅ Database connected successfully at:', result.rows[0].now);
+    res.json({ success: true, time: result.rows[0].now });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ✅ Debug: leads_clean column names
+app.get('/api/debug/leads-columns', async (req, res, next) => {
+  try {
+    const result = await pool.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'leads_clean'
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ✅ OpenAPI description of the auth and lead routes
+app.get('/api/openapi.json', (req, res) => res.json(openapi));
+
+// ✅ Core API Routes
+app.use('/api/auth', authRoutes);
+// Before /api/leads, where GET /:userId would claim "events"
+app.use('/api/leads/events', leadEventsRoutes);
+app.use('/api/leads', leadsRoutes);
+app.use('/api/pipelines', pipelinesRoutes);
+app.use('/api/workspaces', workspacesRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/scoring', scoringRoutes);
+app.use('/api/custom-fields', customFieldsRoutes);
+app.use('/api/content-strategies', contentStrategiesRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/automations', automationsRoutes);
+app.use('/api/capture', captureRoutes);
+
+// ✅ JSON 404s for unknown API routes, then the central error handler
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+module.exports = app;
@@ -1,8 +1,12 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+const { config } = require('./lib/config');
+
+// DATE columns stay 'YYYY-MM-DD' strings instead of becoming local-midnight Date objects
+types.setTypeParser(types.builtins.DATE, value => value);
 
 const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
+  connectionString: config.databaseUrl,
+  ssl: config.databaseSsl ? { rejectUnauthorized: false } : false,
 });
 
 module.exports = pool;
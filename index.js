@@ -1,66 +1,74 @@
-// 📄 index.js
+// 📄 index.js – Entry point: checks config and migrations, then serves app.js and starts the workers
 
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const pool = require('./db');
+const { config, validateConfig } = require('./lib/config');
 
-const authRoutes = require('./routes/auth');
-const leadsRoutes = require('./routes/leads');
+// ✅ Refuse to start with a missing or malformed environment
+const configProblems = validateConfig();
+if (configProblems.length > 0) {
+  console.error('❌ Invalid configuration:');
+  configProblems.forEach(problem => console.error(`   - ${problem}`));
+  process.exit(1);
+}
 
-const app = express();
-const port = process.env.PORT || 3000;
+const pool = require('./db');
+const app = require('./app');
+const { startWebhookWorker } = require('./lib/webhooks');
+const { startScoreRefresher } = require('./lib/scoring');
+const { startTrashPurger } = require('./lib/trash');
+const { startMailWorker } = require('./lib/email');
+const { startAutomationRunner } = require('./lib/automation');
+const { startLeadEventPruner } = require('./lib/leadStream');
+const { getStatus: getMigrationStatus } = require('./lib/migrations');
 
-// ✅ Centralized CORS Configuration
-const corsOptions = {
-  origin: ['https://funnelflow.live', 'http://localhost:3000'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-user-id'],
-  credentials: true,
-  optionsSuccessStatus: 200
-};
+const port = config.port;
 
-app.use(cors(corsOptions));
+// ✅ Start server once the schema is current
+async function start() {
+  try {
+    const { pending } = await getMigrationStatus(pool);
+    if (pending.length > 0) {
+      console.error(`❌ ${pending.length} pending migration(s): ${pending.map(m => `${m.version}_${m.name}`).join(', ')}`);
+      console.error('   Run "npm run migrate" before starting the server.');
+      process.exit(1);
+    }
+  } catch (err) {
+    console.error('❌ Could not check database migrations:', err);
+    process.exit(1);
+  }
+
+  app.listen(port, () => {
+    console.log(`🚀 Server running on http://localhost:${port}`);
+  });
 
-// ✅ Automatically handle preflight OPTIONS
-app.options('*', cors(corsOptions));
+  // ✅ Webhook delivery worker (set WEBHOOK_WORKER=false to run it in a separate process)
+  if (config.workers.webhooks) {
+    startWebhookWorker();
+  }
 
-app.use(express.json());
+  // ✅ Send queued emails from the outbox, retrying failures (MAIL_WORKER=false to disable)
+  if (config.workers.mail) {
+    startMailWorker();
+  }
 
-// ✅ Health check
-app.get('/', (req, res) => res.send('🧠 FunnelFlow API is running'));
+  // ✅ Fire lead.inactive automation rules on a schedule (AUTOMATION_RUNNER=false to disable)
+  if (config.workers.automations) {
+    startAutomationRunner();
+  }
 
-// ✅ DB test
-app.get('/api/test-db', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT NOW()');
-    console.log('✅ Database connected successfully at:', result.rows[0].now);
-    res.json({ success: true, time: result.rows[0].now });
-  } catch (err) {
-    console.error('❌ Database connection failed:', err);
-    res.status(500).json({ error: err.message });
+  // ✅ Keep age/activity-based lead scores current (SCORE_REFRESHER=false to disable)
+  if (config.workers.scoreRefresher) {
+    startScoreRefresher();
   }
-});
 
-// ✅ Debug: leads_clean column names
-app.get('/api/debug/leads-columns', async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT column_name
-      FROM information_schema.columns
-      WHERE table_name = 'leads_clean'
-    `);
-    res.json(result.rows);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  // ✅ Purge leads that have been in the trash longer than TRASH_RETENTION_DAYS (TRASH_PURGER=false to disable)
+  if (config.workers.trashPurger) {
+    startTrashPurger();
   }
-});
 
-// ✅ Core API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/leads', leadsRoutes);
+  // ✅ Drop real-time board events older than LEAD_EVENT_RETENTION_HOURS (LEAD_EVENT_PRUNER=false to disable)
+  if (config.workers.leadEventPruner) {
+    startLeadEventPruner();
+  }
+}
 
-// ✅ Start server
-app.listen(port, () => {
-  console.log(`🚀 Server running on http://localhost:${port}`);
-});
+start();
@@ -0,0 +1,157 @@
+// 📄 lib/audit.js – Persistent audit trail: recording entries, lead diffs and log queries
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Lead columns worth tracking; strategies are compared by name when both sides have them
+const LEAD_FIELDS = [
+  'company',
+  'contact',
+  'email',
+  'stage',
+  'notes',
+  'pipeline_id',
+  'deal_amount',
+  'deal_currency',
+  'expected_close_date',
+  'source'
+];
+
+/**
+ * Append one entry. Actor, workspace, IP and user agent default to what the request carries
+ * (pass `null` for background jobs); pass the transaction client so the entry only exists
+ * if the change commits.
+ */
+async function recordAudit(db, req, {
+  action,
+  workspaceId = req?.workspace?.id ?? null,
+  actorId = req?.user?.id ?? null,
+  actorEmail = req?.user?.email ?? null,
+  targetType = null,
+  targetId = null,
+  changes = null,
+  metadata = {}
+}) {
+  await db.query(
+    `INSERT INTO audit_log
+      (workspace_id, actor_id, actor_email, action, target_type, target_id, changes, metadata, ip, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      workspaceId,
+      actorId,
+      actorEmail,
+      action,
+      targetType,
+      targetId,
+      changes,
+      metadata,
+      req?.ip || null,
+      req?.get('user-agent') || null
+    ]
+  );
+}
+
+const strategyNames = (lead) => (lead.strategies ? lead.strategies.map(s => s.name) : undefined);
+
+/**
+ * Field-level differences between two lead rows as { field: { from, to } }, or null if none.
+ * Pass `{}` as `before` to capture a new lead's initial values.
+ */
+function diffLead(before, after) {
+  const changes = {};
+  const record = (field, from, to) => {
+    if (JSON.stringify(from ?? null) !== JSON.stringify(to ?? null)) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  };
+
+  LEAD_FIELDS.forEach(field => {
+    if (after[field] !== undefined) record(field, before[field], after[field]);
+  });
+
+  const fromFields = before.custom_fields || {};
+  const toFields = after.custom_fields || {};
+  new Set([...Object.keys(fromFields), ...Object.keys(toFields)]).forEach(key => {
+    record(`customFields.${key}`, fromFields[key], toFields[key]);
+  });
+
+  const fromStrategies = strategyNames(before);
+  const toStrategies = strategyNames(after);
+  if (toStrategies && (fromStrategies || Object.keys(before).length === 0)) {
+    record('contentStrategies', fromStrategies || [], toStrategies);
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * SQL for GET audit queries, newest first, paged with ?before=<entry id>.
+ * `scope` is { workspaceId } for a workspace's log or { userId } for one account's own events.
+ * Query: from, to, actorId, action (comma-separated; "lead.*" matches a prefix), targetType, targetId, limit, before.
+ */
+function buildAuditQuery(scope, query) {
+  const params = [];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const errors = [];
+  const where = [];
+
+  if (scope.workspaceId) {
+    where.push(`a.workspace_id = ${add(scope.workspaceId)}`);
+  } else {
+    const userId = add(scope.userId);
+    where.push(`(a.actor_id = ${userId} OR (a.target_type = 'user' AND a.target_id = ${userId}))`);
+  }
+
+  ['from', 'to'].forEach(key => {
+    if (query[key] === undefined) return;
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) errors.push(`${key} must be a valid date`);
+    else where.push(`a.created_at ${key === 'from' ? '>=' : '<='} ${add(date)}`);
+  });
+
+  ['actorId', 'targetId', 'before'].forEach(key => {
+    if (query[key] === undefined) return;
+    const value = parseInt(query[key]);
+    if (isNaN(value)) {
+      errors.push(`${key} must be a number`);
+      return;
+    }
+    const column = { actorId: 'a.actor_id =', targetId: 'a.target_id =', before: 'a.id <' }[key];
+    where.push(`${column} ${add(value)}`);
+  });
+
+  if (query.action) {
+    const actions = String(query.action).split(',').map(a => a.trim()).filter(Boolean);
+    const exact = actions.filter(a => !a.endsWith('*'));
+    const prefixes = actions.filter(a => a.endsWith('*')).map(a => `${a.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%`);
+    const conditions = [];
+    if (exact.length > 0) conditions.push(`a.action = ANY(${add(exact)})`);
+    if (prefixes.length > 0) conditions.push(`a.action LIKE ANY(${add(prefixes)})`);
+    if (conditions.length > 0) where.push(`(${conditions.join(' OR ')})`);
+  }
+  if (query.targetType) {
+    where.push(`a.target_type = ${add(String(query.targetType))}`);
+  }
+
+  const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+  if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const sql = `SELECT a.*
+    FROM audit_log a
+    WHERE ${where.join(' AND ')}
+    ORDER BY a.id DESC
+    LIMIT ${add(limit + 1)}`;
+  return { sql, params, limit };
+}
+
+module.exports = {
+  recordAudit,
+  diffLead,
+  buildAuditQuery
+};
@@ -0,0 +1,369 @@
+// 📄 lib/automation.js – Workspace automation rules: validation, execution, run log and the inactivity runner
+const pool = require('../db');
+const { config } = require('./config');
+const { withTransaction } = require('./transaction');
+const { conditionErrors, conditionMatches, loadScorableLeads } = require('./scoring');
+const { applyBulkOperation } = require('./leadBulk');
+const { parseStrategyNames, validateStrategyNames } = require('./contentStrategies');
+const { leadEmailVariables, queueEmail } = require('./email');
+const { recordAudit } = require('./audit');
+
+const TRIGGERS = ['lead.created', 'lead.stage_changed', 'lead.inactive'];
+const ACTION_TYPES = ['set_stage', 'add_strategies', 'append_note', 'send_email'];
+// "rule_owner" emails whoever created the rule ("notify me")
+const EMAIL_RECIPIENTS = ['lead', 'rule_owner'];
+const RUN_STATUSES = ['succeeded', 'failed'];
+
+const MAX_CONDITIONS = 20;
+const MAX_ACTIONS = 10;
+const MAX_NOTE_LENGTH = 5000;
+// Stage changes made by a rule fire stage_changed rules in turn; this caps how far that cascades
+const MAX_CHAIN_DEPTH = 3;
+// Inactive leads handled per rule per pass; the rest are picked up on the next one
+const INACTIVE_BATCH = 200;
+
+function actionErrors(action, path) {
+  if (action === null || typeof action !== 'object' || !ACTION_TYPES.includes(action.type)) {
+    return [`${path}.type must be one of: ${ACTION_TYPES.join(', ')}`];
+  }
+  switch (action.type) {
+    case 'set_stage':
+      return typeof action.stage === 'string' && action.stage.trim() ? [] : [`${path}.stage is required for set_stage`];
+    case 'add_strategies': {
+      const names = parseStrategyNames(action.strategies);
+      if (names.length === 0) return [`${path}.strategies are required for add_strategies`];
+      return validateStrategyNames(names).map(error => `${path}: ${error}`);
+    }
+    case 'append_note':
+      if (typeof action.note !== 'string' || !action.note.trim()) return [`${path}.note is required for append_note`];
+      return action.note.length > MAX_NOTE_LENGTH ? [`${path}.note must be at most ${MAX_NOTE_LENGTH} characters`] : [];
+    case 'send_email': {
+      const errors = [];
+      if (typeof action.templateKey !== 'string' || !action.templateKey.trim()) {
+        errors.push(`${path}.templateKey is required for send_email`);
+      }
+      if (action.recipient !== undefined && !EMAIL_RECIPIENTS.includes(action.recipient)) {
+        errors.push(`${path}.recipient must be one of: ${EMAIL_RECIPIENTS.join(', ')}`);
+      }
+      return errors;
+    }
+    default:
+      return [];
+  }
+}
+
+// Only the keys each action uses are stored
+function normalizeAction(action) {
+  switch (action.type) {
+    case 'set_stage': return { type: action.type, stage: action.stage.trim() };
+    case 'add_strategies': return { type: action.type, strategies: parseStrategyNames(action.strategies) };
+    case 'append_note': return { type: action.type, note: action.note.trim() };
+    case 'send_email':
+      return { type: action.type, templateKey: action.templateKey.trim(), recipient: action.recipient || 'lead' };
+    default: return action;
+  }
+}
+
+/**
+ * Validate a rule body ({ name, trigger, inactiveDays, conditions, actions, active }).
+ * When updating, pass the stored rule as `existing` so omitted keys keep their values.
+ */
+function validateAutomationRule(body, existing = null) {
+  const rule = {
+    name: body.name ?? existing?.name,
+    trigger: body.trigger ?? existing?.trigger,
+    inactiveDays: body.inactiveDays !== undefined ? body.inactiveDays : existing?.inactive_days ?? null,
+    conditions: body.conditions ?? existing?.conditions ?? [],
+    actions: body.actions ?? existing?.actions,
+    active: body.active ?? existing?.active ?? true
+  };
+
+  const errors = [];
+  if (typeof rule.name !== 'string' || rule.name.trim().length < 2) {
+    errors.push('Rule name must be at least 2 characters');
+  }
+  if (!TRIGGERS.includes(rule.trigger)) {
+    errors.push(`trigger must be one of: ${TRIGGERS.join(', ')}`);
+  }
+  if (rule.trigger === 'lead.inactive' && !(Number.isInteger(rule.inactiveDays) && rule.inactiveDays > 0)) {
+    errors.push('inactiveDays must be a positive whole number for lead.inactive rules');
+  }
+  if (!Array.isArray(rule.conditions) || rule.conditions.length > MAX_CONDITIONS) {
+    errors.push(`conditions must be a list of at most ${MAX_CONDITIONS} conditions`);
+  } else {
+    rule.conditions.forEach((condition, i) => {
+      if (condition === null || typeof condition !== 'object') {
+        errors.push(`conditions[${i}] must be an object`);
+      } else {
+        errors.push(...conditionErrors(condition).map(error => `conditions[${i}]: ${error}`));
+      }
+    });
+  }
+  if (!Array.isArray(rule.actions) || rule.actions.length === 0 || rule.actions.length > MAX_ACTIONS) {
+    errors.push(`actions must be a list of 1 to ${MAX_ACTIONS} actions`);
+  } else {
+    rule.actions.forEach((action, i) => errors.push(...actionErrors(action, `actions[${i}]`)));
+  }
+  if (typeof rule.active !== 'boolean') {
+    errors.push('active must be true or false');
+  }
+
+  if (errors.length > 0) return { errors };
+  return {
+    rule: {
+      ...rule,
+      name: rule.name.trim(),
+      inactiveDays: rule.trigger === 'lead.inactive' ? rule.inactiveDays : null,
+      conditions: rule.conditions.map(({ field, fieldKey, operator, value }) => ({
+        field,
+        fieldKey: field === 'custom_field' ? fieldKey.trim() : null,
+        operator,
+        value: operator === 'exists' ? null : value
+      })),
+      actions: rule.actions.map(normalizeAction)
+    }
+  };
+}
+
+// Each condition with whether `lead` passes it; a rule fires only when all of them do
+function evaluateConditions(rule, lead, now = new Date()) {
+  return rule.conditions.map(condition => ({ ...condition, matched: conditionMatches(condition, lead, now) }));
+}
+
+const conditionsMatch = (rule, lead, now) => evaluateConditions(rule, lead, now).every(c => c.matched);
+
+function loadAutomationRules(db, workspaceId, { trigger = null, activeOnly = true } = {}) {
+  return db
+    .query(
+      `SELECT * FROM automation_rules
+       WHERE workspace_id = $1 AND ($2::text IS NULL OR trigger = $2) AND ($3 = FALSE OR active)
+       ORDER BY id`,
+      [workspaceId, trigger, activeOnly]
+    )
+    .then(result => result.rows);
+}
+
+async function sendRuleEmail(client, rule, lead, action) {
+  const [workspace, owner] = await Promise.all([
+    client.query('SELECT name FROM workspaces WHERE id = $1', [rule.workspace_id]),
+    client.query('SELECT email FROM "user" WHERE id = $1', [rule.created_by])
+  ]);
+  const ownerEmail = owner.rows[0]?.email || null;
+  const to = action.recipient === 'rule_owner' ? ownerEmail : lead.email;
+  if (!to) {
+    return { status: 'failed', error: action.recipient === 'rule_owner' ? 'Rule has no owner to notify' : 'Lead has no email address' };
+  }
+
+  const email = await queueEmail(client, {
+    workspaceId: rule.workspace_id,
+    templateKey: action.templateKey,
+    to,
+    leadId: lead.id,
+    createdBy: rule.created_by,
+    variables: leadEmailVariables(lead, { workspace: workspace.rows[0], sender: { email: ownerEmail } })
+  });
+  // Only emails to the lead are part of its timeline
+  if (action.recipient !== 'rule_owner') {
+    await client.query(
+      `INSERT INTO lead_activities (lead_id, author_id, type, body)
+       VALUES ($1, NULL, 'email', $2)`,
+      [lead.id, `Sent "${email.subject}" to ${email.to_email} (automation "${rule.name}")`]
+    );
+  }
+  return { status: 'changed', emailId: email.id };
+}
+
+// Lead changes go through the bulk operation code, so history, scores, webhooks and audit match manual edits
+async function applyAction(client, rule, lead, action) {
+  if (action.type === 'send_email') {
+    return sendRuleEmail(client, rule, lead, action);
+  }
+
+  const [result] = await applyBulkOperation(client, {
+    workspaceId: rule.workspace_id,
+    userId: null,
+    request: {
+      ids: [lead.id],
+      operation: action.type,
+      stage: action.stage || null,
+      strategyNames: action.strategies || [],
+      note: action.note || null
+    }
+  });
+  if (result.status === 'not_found' || result.status === 'failed') {
+    return { status: 'failed', error: result.error };
+  }
+  if (result.status === 'unchanged') return { status: 'unchanged' };
+
+  await recordAudit(client, null, {
+    action: 'lead.update',
+    workspaceId: rule.workspace_id,
+    targetType: 'lead',
+    targetId: lead.id,
+    changes: result.changes,
+    metadata: { automationRuleId: rule.id, automationRule: rule.name }
+  });
+  return { status: 'changed', changes: result.changes };
+}
+
+function logRun(db, rule, leadId, { trigger, status, results, error = null }) {
+  return db
+    .query(
+      `INSERT INTO automation_runs (workspace_id, rule_id, rule_name, lead_id, trigger, status, results, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [rule.workspace_id, rule.id, rule.name, leadId, trigger, status, JSON.stringify(results), error]
+    )
+    .then(result => result.rows[0]);
+}
+
+/**
+ * Apply a rule's actions to one lead in their own transaction: either all of them take effect
+ * or, when one fails, none do. Every run, and a failure's error, is recorded in automation_runs.
+ */
+async function executeRule(rule, lead, trigger) {
+  const results = [];
+  try {
+    return await withTransaction(async (client) => {
+      for (const action of rule.actions) {
+        const result = await applyAction(client, rule, lead, action);
+        results.push({ type: action.type, ...result });
+        if (result.status === 'failed') throw new Error(`${action.type} failed: ${result.error}`);
+      }
+      return logRun(client, rule, lead.id, { trigger, status: 'succeeded', results });
+    });
+  } catch (err) {
+    return logRun(pool, rule, lead.id, { trigger, status: 'failed', results, error: err.message });
+  }
+}
+
+const leadChanged = (run) => run.status === 'succeeded' &&
+  run.results.some(result => result.status === 'changed' && result.type !== 'send_email');
+
+/**
+ * Run `rules` against each lead in turn. A lead is reloaded after a rule changes it, so later rules
+ * see the new state, and a rule's stage change fires the lead's stage_changed rules (never the same
+ * rule twice per lead, at most MAX_CHAIN_DEPTH levels deep). Returns the runs and the changed leads.
+ */
+async function runRules(workspaceId, rules, trigger, leadIds, { depth = 0, fired = new Map(), now = new Date() } = {}) {
+  const runs = [];
+  const changed = new Map();
+  const leads = await loadScorableLeads(pool, workspaceId, leadIds);
+
+  for (let lead of leads) {
+    const firedForLead = fired.get(lead.id) || new Set();
+    fired.set(lead.id, firedForLead);
+    const startStage = lead.stage;
+
+    for (const rule of rules) {
+      if (!lead || firedForLead.has(rule.id) || !conditionsMatch(rule, lead, now)) continue;
+      firedForLead.add(rule.id);
+
+      const run = await executeRule(rule, lead, trigger);
+      runs.push(run);
+      if (leadChanged(run)) {
+        [lead] = await loadScorableLeads(pool, workspaceId, [run.lead_id]);
+        if (lead) changed.set(lead.id, lead);
+      }
+    }
+
+    if (lead && lead.stage !== startStage && depth < MAX_CHAIN_DEPTH) {
+      const stageRules = await loadAutomationRules(pool, workspaceId, { trigger: 'lead.stage_changed' });
+      const chained = await runRules(workspaceId, stageRules, 'lead.stage_changed', [lead.id], { depth: depth + 1, fired, now });
+      runs.push(...chained.runs);
+      chained.changed.forEach((row, id) => changed.set(id, row));
+    }
+  }
+  return { runs, changed };
+}
+
+/**
+ * Run the workspace's `trigger` rules for leads a request has just written. Call it after the write
+ * has committed: rule failures are logged rather than thrown, so they never undo the change that
+ * fired them. Returns a Map of lead id → fresh lead row for the leads the rules changed.
+ */
+async function runLeadAutomations(workspaceId, trigger, leadIds) {
+  try {
+    const rules = await loadAutomationRules(pool, workspaceId, { trigger });
+    if (rules.length === 0 || leadIds.length === 0) return new Map();
+    const { changed } = await runRules(workspaceId, rules, trigger, leadIds);
+    return changed;
+  } catch (err) {
+    console.error(`❌ Automations for ${trigger} in workspace ${workspaceId} failed:`, err);
+    return new Map();
+  }
+}
+
+/**
+ * Leads that have gone `inactiveDays` without an activity or stage change (counting from creation)
+ * and that this rule has not already run on since then, so each quiet spell fires it once.
+ */
+async function findInactiveLeads(db, rule) {
+  const result = await db.query(
+    `SELECT l.id
+     FROM leads_clean l
+     LEFT JOIN LATERAL (
+       SELECT MAX(occurred_at) AS at FROM lead_activities WHERE lead_id = l.id
+     ) a ON TRUE
+     LEFT JOIN LATERAL (
+       SELECT MAX(changed_at) AS at FROM lead_stage_history WHERE lead_id = l.id
+     ) h ON TRUE
+     CROSS JOIN LATERAL (SELECT GREATEST(l.created_at, a.at, h.at) AS at) last_touch
+     WHERE l.workspace_id = $1 AND l.deleted_at IS NULL
+       AND last_touch.at <= NOW() - make_interval(days => $2)
+       AND NOT EXISTS (
+         SELECT 1 FROM automation_runs r
+         WHERE r.rule_id = $3 AND r.lead_id = l.id AND r.created_at >= last_touch.at
+       )
+     ORDER BY l.id
+     LIMIT $4`,
+    [rule.workspace_id, rule.inactive_days, rule.id, INACTIVE_BATCH]
+  );
+  return result.rows.map(row => row.id);
+}
+
+// One pass over every active lead.inactive rule; returns the runs it logged
+async function runInactivityAutomations() {
+  const rules = await pool.query(
+    `SELECT * FROM automation_rules WHERE active AND trigger = 'lead.inactive' ORDER BY workspace_id, id`
+  );
+  const runs = [];
+  for (const rule of rules.rows) {
+    const leadIds = await findInactiveLeads(pool, rule);
+    if (leadIds.length === 0) continue;
+    const result = await runRules(rule.workspace_id, [rule], 'lead.inactive', leadIds);
+    runs.push(...result.runs);
+  }
+  return runs;
+}
+
+// Check for inactive leads in the background; returns a function that stops the runner
+function startAutomationRunner({ intervalMs = config.workers.automationPollMs } = {}) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runInactivityAutomations();
+    } catch (err) {
+      console.error('❌ Automation runner error:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  TRIGGERS,
+  ACTION_TYPES,
+  EMAIL_RECIPIENTS,
+  RUN_STATUSES,
+  validateAutomationRule,
+  evaluateConditions,
+  loadAutomationRules,
+  runLeadAutomations,
+  runInactivityAutomations,
+  startAutomationRunner
+};
@@ -0,0 +1,126 @@
+// 📄 lib/config.js – Environment configuration, parsed and validated in one place
+require('dotenv').config();
+
+const env = process.env;
+const problems = [];
+
+function required(name) {
+  if (!env[name] || !env[name].trim()) problems.push(`${name} is required`);
+  return env[name];
+}
+
+function integer(name, fallback, { min = 1 } = {}) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < min) {
+    problems.push(`${name} must be a whole number of at least ${min}`);
+    return fallback;
+  }
+  return value;
+}
+
+function flag(name, fallback) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+  if (!['true', 'false'].includes(env[name])) problems.push(`${name} must be "true" or "false"`);
+  return env[name] === 'true';
+}
+
+function oneOf(name, options, fallback) {
+  const value = env[name] || fallback;
+  if (!options.includes(value)) {
+    problems.push(`${name} must be one of: ${options.join(', ')}`);
+    return fallback;
+  }
+  return value;
+}
+
+function list(name, fallback) {
+  if (!env[name]) return fallback;
+  return env[name].split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Unset means production: error details and relaxed secrets need an explicit NODE_ENV=development
+const nodeEnv = env.NODE_ENV || 'production';
+const isProduction = nodeEnv === 'production';
+const isDevelopment = env.NODE_ENV === 'development';
+
+const jwtSecret = required('JWT_SECRET');
+if (isProduction && jwtSecret && jwtSecret.length < 32) {
+  problems.push('JWT_SECRET must be at least 32 characters in production');
+}
+
+const corsOrigins = list('CORS_ORIGINS', ['https://funnelflow.live', 'http://localhost:3000']);
+corsOrigins
+  .filter(origin => !/^https?:\/\/[^/\s]+$/.test(origin))
+  .forEach(origin => problems.push(`CORS_ORIGINS entry "${origin}" must look like https://host[:port]`));
+
+const appUrl = (env.APP_URL || 'https://funnelflow.live').replace(/\/+$/, '');
+if (!/^https?:\/\/[^/\s]+/.test(appUrl)) problems.push('APP_URL must be an http(s) URL');
+
+const trustProxy = env.TRUST_PROXY
+  ? (isNaN(parseInt(env.TRUST_PROXY)) ? env.TRUST_PROXY : parseInt(env.TRUST_PROXY))
+  : false;
+
+const defaultCurrency = (env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+if (!/^[A-Z]{3}$/.test(defaultCurrency)) problems.push('DEFAULT_CURRENCY must be a three-letter ISO code');
+
+const config = Object.freeze({
+  nodeEnv,
+  isProduction,
+  isDevelopment,
+  port: integer('PORT', 3000),
+  trustProxy,
+  databaseUrl: required('DATABASE_URL'),
+  // Hosted databases need TLS; a local Postgres (development, tests) usually has none
+  databaseSsl: flag('DATABASE_SSL', true),
+  // Frontend base URL used in emailed links
+  appUrl,
+  corsOrigins,
+  defaultCurrency,
+  // Webhook hosts allowed to resolve to private or loopback addresses (a local receiver)
+  webhookAllowedHosts: list('WEBHOOK_ALLOWED_HOSTS', []),
+  auth: Object.freeze({
+    jwtSecret,
+    accessTokenTtl: env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtlDays: integer('REFRESH_TOKEN_TTL_DAYS', 30),
+    loginLockoutThreshold: integer('LOGIN_LOCKOUT_THRESHOLD', 5),
+    rateLimitStore: oneOf('RATE_LIMIT_STORE', ['memory', 'postgres'], 'memory')
+  }),
+  smtp: Object.freeze({
+    host: env.SMTP_HOST || 'smtp.gmail.com',
+    port: integer('SMTP_PORT', 587),
+    secure: flag('SMTP_SECURE', false),
+    // Mail is optional in development, where links can be read from the logs instead
+    user: isProduction ? required('SMTP_USER') : env.SMTP_USER,
+    password: isProduction ? required('SMTP_PASSWORD') : env.SMTP_PASSWORD,
+    from: env.SMTP_FROM_EMAIL || env.SMTP_USER || 'no-reply@funnelflow.live'
+  }),
+  workers: Object.freeze({
+    webhooks: flag('WEBHOOK_WORKER', true),
+    webhookPollMs: integer('WEBHOOK_POLL_MS', 5000),
+    webhookMaxAttempts: integer('WEBHOOK_MAX_ATTEMPTS', 8),
+    webhookRetryBaseMs: integer('WEBHOOK_RETRY_BASE_MS', 30000),
+    mail: flag('MAIL_WORKER', true),
+    mailPollMs: integer('MAIL_POLL_MS', 5000),
+    mailMaxAttempts: integer('MAIL_MAX_ATTEMPTS', 6),
+    mailRetryBaseMs: integer('MAIL_RETRY_BASE_MS', 60000),
+    automations: flag('AUTOMATION_RUNNER', true),
+    automationPollMs: integer('AUTOMATION_POLL_MS', 15 * 60000),
+    scoreRefresher: flag('SCORE_REFRESHER', true),
+    scoreRefreshMs: integer('SCORE_REFRESH_MS', 3600000),
+    trashPurger: flag('TRASH_PURGER', true),
+    trashPurgeMs: integer('TRASH_PURGE_MS', 6 * 3600000),
+    trashRetentionDays: integer('TRASH_RETENTION_DAYS', 30),
+    leadEventPruner: flag('LEAD_EVENT_PRUNER', true),
+    leadEventPruneMs: integer('LEAD_EVENT_PRUNE_MS', 3600000),
+    // How far back a reconnecting board can catch up before it has to reload
+    leadEventRetentionHours: integer('LEAD_EVENT_RETENTION_HOURS', 24)
+  })
+});
+
+// Everything wrong with the environment; the server refuses to start unless this is empty
+function validateConfig() {
+  return [...problems];
+}
+
+module.exports = { config, validateConfig };
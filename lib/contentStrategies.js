@@ -0,0 +1,95 @@
+// 📄 lib/contentStrategies.js – Workspace content-strategy tags and their links to leads
+const MAX_NAME_LENGTH = 100;
+
+// Correlated subquery giving each row of `leads_clean l` its strategies as [{ id, name }]
+const STRATEGIES_COLUMN = `COALESCE((
+    SELECT json_agg(json_build_object('id', s.id, 'name', s.name) ORDER BY lower(s.name))
+    FROM lead_content_strategies ls
+    JOIN content_strategies s ON s.id = ls.strategy_id
+    WHERE ls.lead_id = l.id
+  ), '[]') AS strategies`;
+
+/**
+ * Strategy names from a request. Arrays are taken as-is, so names may contain commas;
+ * a string is the legacy comma-separated form. Duplicates are dropped case-insensitively.
+ */
+function parseStrategyNames(input) {
+  if (input === undefined || input === null) return [];
+  const raw = Array.isArray(input) ? input : String(input).split(',');
+  const seen = new Set();
+  return raw
+    .map(name => String(name).trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function validateStrategyName(name) {
+  if (typeof name !== 'string' || name.trim().length === 0) return 'Strategy name is required';
+  if (name.trim().length > MAX_NAME_LENGTH) return `Strategy names must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+function validateStrategyNames(names) {
+  return [...new Set(names.map(validateStrategyName).filter(Boolean))];
+}
+
+// Find or create strategies by name (case-insensitive); returns [{ id, name }]
+async function ensureStrategies(db, workspaceId, names) {
+  if (names.length === 0) return [];
+  await db.query(
+    `INSERT INTO content_strategies (workspace_id, name)
+     SELECT $1, unnest($2::text[])
+     ON CONFLICT (workspace_id, (lower(name))) DO NOTHING`,
+    [workspaceId, names]
+  );
+  const result = await db.query(
+    `SELECT id, name FROM content_strategies
+     WHERE workspace_id = $1 AND lower(name) = ANY($2)
+     ORDER BY lower(name)`,
+    [workspaceId, names.map(name => name.toLowerCase())]
+  );
+  return result.rows;
+}
+
+// Replace a lead's strategies with `names`; returns the linked [{ id, name }]
+async function setLeadStrategies(db, workspaceId, leadId, names) {
+  const strategies = await ensureStrategies(db, workspaceId, names);
+  await db.query('DELETE FROM lead_content_strategies WHERE lead_id = $1', [leadId]);
+  if (strategies.length > 0) {
+    await db.query(
+      `INSERT INTO lead_content_strategies (lead_id, strategy_id)
+       SELECT $1, unnest($2::int[])`,
+      [leadId, strategies.map(s => s.id)]
+    );
+  }
+  return strategies;
+}
+
+// Map of lead id → [{ id, name }] for leads fetched without STRATEGIES_COLUMN
+async function loadLeadStrategies(db, leadIds) {
+  const result = await db.query(
+    `SELECT ls.lead_id, s.id, s.name
+     FROM lead_content_strategies ls
+     JOIN content_strategies s ON s.id = ls.strategy_id
+     WHERE ls.lead_id = ANY($1)
+     ORDER BY lower(s.name)`,
+    [leadIds]
+  );
+  const byLead = new Map(leadIds.map(id => [id, []]));
+  result.rows.forEach(({ lead_id: leadId, id, name }) => byLead.get(leadId).push({ id, name }));
+  return byLead;
+}
+
+module.exports = {
+  STRATEGIES_COLUMN,
+  parseStrategyNames,
+  validateStrategyName,
+  validateStrategyNames,
+  ensureStrategies,
+  setLeadStrategies,
+  loadLeadStrategies
+};
@@ -0,0 +1,226 @@
+// 📄 lib/customFields.js – Typed custom field definitions, value validation and list filters
+const FIELD_TYPES = ['text', 'number', 'currency', 'date', 'select', 'multi_select'];
+const OPTION_TYPES = ['select', 'multi_select'];
+const RANGE_TYPES = ['number', 'currency', 'date'];
+const RANGE_OPERATORS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_TEXT_LENGTH = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Validate a definition body ({ key, label, type, options, currency, required, position }).
+ * `key` and `type` are fixed once created, so they are only read when `existing` is null.
+ */
+function validateDefinition(body, existing = null) {
+  const definition = {
+    key: existing ? existing.key : body.key,
+    label: body.label ?? existing?.label,
+    type: existing ? existing.type : body.type,
+    options: body.options ?? existing?.options ?? [],
+    currency: body.currency ?? existing?.currency ?? null,
+    required: body.required ?? existing?.required ?? false,
+    position: body.position ?? existing?.position ?? 0
+  };
+
+  const errors = [];
+  if (existing && ((body.key !== undefined && body.key !== existing.key) ||
+      (body.type !== undefined && body.type !== existing.type))) {
+    errors.push('key and type cannot be changed; create a new field instead');
+  }
+  if (typeof definition.key !== 'string' || !KEY_PATTERN.test(definition.key)) {
+    errors.push('key must start with a letter and use only lowercase letters, digits and underscores (max 40)');
+  }
+  if (typeof definition.label !== 'string' || definition.label.trim().length === 0) {
+    errors.push('label is required');
+  }
+  if (!FIELD_TYPES.includes(definition.type)) {
+    errors.push(`type must be one of: ${FIELD_TYPES.join(', ')}`);
+  }
+  if (OPTION_TYPES.includes(definition.type)) {
+    const options = Array.isArray(definition.options) ? definition.options : null;
+    if (!options || options.length === 0 || options.some(o => typeof o !== 'string' || !o.trim())) {
+      errors.push('options must be a non-empty list of strings for select fields');
+    } else if (new Set(options.map(o => o.trim())).size !== options.length) {
+      errors.push('options must be unique');
+    }
+  }
+  if (definition.type === 'currency' && !/^[A-Z]{3}$/.test(definition.currency || '')) {
+    errors.push('currency must be a three-letter ISO code such as USD or EUR');
+  }
+  if (typeof definition.required !== 'boolean') {
+    errors.push('required must be true or false');
+  }
+  if (!Number.isInteger(definition.position)) {
+    errors.push('position must be a whole number');
+  }
+
+  if (errors.length > 0) return { errors };
+  return {
+    definition: {
+      ...definition,
+      label: definition.label.trim(),
+      options: OPTION_TYPES.includes(definition.type) ? definition.options.map(o => o.trim()) : [],
+      currency: definition.type === 'currency' ? definition.currency : null
+    }
+  };
+}
+
+function loadFieldDefinitions(db, workspaceId) {
+  return db
+    .query(
+      'SELECT * FROM custom_field_definitions WHERE workspace_id = $1 ORDER BY position, id',
+      [workspaceId]
+    )
+    .then(result => result.rows);
+}
+
+function valueError(definition, value) {
+  const { label, type, options } = definition;
+  switch (type) {
+    case 'text':
+      if (typeof value !== 'string') return `${label} must be text`;
+      if (value.length > MAX_TEXT_LENGTH) return `${label} must be at most ${MAX_TEXT_LENGTH} characters`;
+      return null;
+    case 'number':
+    case 'currency':
+      return typeof value === 'number' && Number.isFinite(value) ? null : `${label} must be a number`;
+    case 'date':
+      return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime())
+        ? null
+        : `${label} must be a date (YYYY-MM-DD)`;
+    case 'select':
+      return options.includes(value) ? null : `${label} must be one of: ${options.join(', ')}`;
+    case 'multi_select':
+      return Array.isArray(value) && value.every(v => options.includes(v))
+        ? null
+        : `${label} must be a list of: ${options.join(', ')}`;
+    default:
+      return `${label} has an unknown type`;
+  }
+}
+
+/**
+ * Check `values` ({ key: value }) against the workspace's definitions.
+ * With `partial` (updates) required fields may be omitted but not cleared.
+ * Returns a list of error messages.
+ */
+function validateCustomFields(values, definitions, { partial = false } = {}) {
+  if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+    return ['customFields must be an object'];
+  }
+
+  const provided = values || {};
+  const byKey = new Map(definitions.map(d => [d.key, d]));
+  const errors = [];
+
+  Object.keys(provided).forEach(key => {
+    if (!byKey.has(key)) errors.push(`Unknown custom field "${key}"`);
+  });
+
+  definitions.forEach(definition => {
+    const present = Object.prototype.hasOwnProperty.call(provided, definition.key);
+    const value = provided[definition.key];
+
+    if (isBlank(value) || (Array.isArray(value) && value.length === 0)) {
+      if (definition.required && (present || !partial)) errors.push(`${definition.label} is required`);
+      return;
+    }
+    const error = valueError(definition, value);
+    if (error) errors.push(error);
+  });
+
+  return errors;
+}
+
+// Canonical stored form of validated values; blanks become null so updates can clear a field
+function normalizeCustomFields(values, definitions) {
+  const normalized = {};
+  definitions.forEach(({ key, type }) => {
+    if (!values || !Object.prototype.hasOwnProperty.call(values, key)) return;
+    const value = values[key];
+    if (isBlank(value) || (Array.isArray(value) && value.length === 0)) {
+      normalized[key] = null;
+    } else if (type === 'text') {
+      normalized[key] = value.trim();
+    } else if (type === 'currency') {
+      normalized[key] = Math.round(value * 100) / 100;
+    } else if (type === 'date') {
+      normalized[key] = new Date(value).toISOString().slice(0, 10);
+    } else if (type === 'multi_select') {
+      normalized[key] = [...new Set(value)];
+    } else {
+      normalized[key] = value;
+    }
+  });
+  return normalized;
+}
+
+/**
+ * Turn ?custom[key]=value / ?custom[key][gte]=value into SQL conditions on l.custom_fields.
+ * text matches by substring, select/multi_select by any of a comma-separated list,
+ * number/currency/date by equality or gt/gte/lt/lte ranges.
+ */
+function buildCustomFieldFilters(filters, definitions, add) {
+  const errors = [];
+  const clauses = [];
+  if (filters === undefined) return { clauses, errors };
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return { clauses, errors: ['custom filters must look like custom[key]=value'] };
+  }
+
+  const byKey = new Map(definitions.map(d => [d.key, d]));
+  Object.entries(filters).forEach(([key, filter]) => {
+    const definition = byKey.get(key);
+    if (!definition) {
+      errors.push(`Unknown custom field "${key}"`);
+      return;
+    }
+
+    const keyParam = add(key);
+    const field = `l.custom_fields->>${keyParam}`;
+    const { type } = definition;
+
+    if (RANGE_TYPES.includes(type)) {
+      const cast = type === 'date' ? 'date' : 'numeric';
+      const conditions = typeof filter === 'object' && !Array.isArray(filter) ? filter : { eq: filter };
+      Object.entries(conditions).forEach(([op, raw]) => {
+        const sqlOp = op === 'eq' ? '=' : RANGE_OPERATORS[op];
+        const value = type === 'date' ? new Date(raw) : Number(raw);
+        if (!sqlOp) {
+          errors.push(`custom[${key}] supports eq, gt, gte, lt, lte`);
+        } else if (isNaN(value instanceof Date ? value.getTime() : value)) {
+          errors.push(`custom[${key}] must be a ${type === 'date' ? 'date' : 'number'}`);
+        } else {
+          clauses.push(`(${field})::${cast} ${sqlOp} ${add(type === 'date' ? raw : value)}::${cast}`);
+        }
+      });
+      return;
+    }
+
+    if (typeof filter !== 'string') {
+      errors.push(`custom[${key}] must be a single value`);
+      return;
+    }
+    if (type === 'text') {
+      clauses.push(`${field} ILIKE ${add(`%${filter}%`)}`);
+    } else {
+      const values = filter.split(',').map(v => v.trim()).filter(Boolean);
+      clauses.push(type === 'multi_select'
+        ? `l.custom_fields->${keyParam} ?| ${add(values)}::text[]`
+        : `${field} = ANY(${add(values)})`);
+    }
+  });
+
+  return { clauses, errors };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  validateDefinition,
+  loadFieldDefinitions,
+  validateCustomFields,
+  normalizeCustomFields,
+  buildCustomFieldFilters
+};
@@ -0,0 +1,218 @@
+// 📄 lib/email.js – Email templates, the outbox and the worker that sends it with retries
+const pool = require('../db');
+const { config } = require('./config');
+const { transporter, MAIL_FROM } = require('./mailer');
+const { formatLead } = require('./leadData');
+
+// Built-in templates (email_verification, password_reset, workspace_invitation) are seeded by
+// migration 018 with no workspace; a workspace template with the same key overrides one
+const TEMPLATE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+const MAX_ATTEMPTS = config.workers.mailMaxAttempts;
+const BASE_RETRY_MS = config.workers.mailRetryBaseMs;
+const MAX_RETRY_MS = 6 * 3600000; // 6 hours
+// A claimed message is hidden this long, so a crashed worker's batch is retried later
+const CLAIM_LEASE_MS = 2 * 60000;
+
+// {{ name }} or {{ lead.company }}
+const PLACEHOLDER = /{{\s*([\w.]+)\s*}}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+function lookup(variables, path) {
+  return path.split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' && Object.hasOwn(value, key) ? value[key] : undefined),
+    variables
+  );
+}
+
+function substitute(source, variables, escape) {
+  return source.replace(PLACEHOLDER, (match, path) => {
+    const value = lookup(variables, path);
+    if (value === undefined || value === null || typeof value === 'object') return '';
+    return escape ? escapeHtml(String(value)) : String(value);
+  });
+}
+
+// Plain-text alternative for templates without one: the HTML with its tags dropped
+const stripTags = (html) => html
+  .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Fill a template's placeholders; values are HTML-escaped in the body and unknown names render empty
+function renderTemplate(template, variables = {}) {
+  return {
+    subject: substitute(template.subject, variables, false).replace(/[\r\n]+/g, ' ').trim(),
+    html: substitute(template.html, variables, true),
+    text: substitute(template.text || stripTags(template.html), variables, false)
+  };
+}
+
+// Placeholder names used by a template, so clients can show what it expects
+function templateVariables(template) {
+  const names = new Set();
+  [template.subject, template.html, template.text || ''].forEach(source => {
+    for (const match of source.matchAll(PLACEHOLDER)) names.add(match[1]);
+  });
+  return [...names];
+}
+
+// Checks a template body from a request; `partial` for updates
+function validateTemplate(body, { partial = false } = {}) {
+  const errors = [];
+  if (!partial && !TEMPLATE_KEY_PATTERN.test(body.key || '')) {
+    errors.push('key must start with a letter and use only lowercase letters, digits and underscores (max 50)');
+  }
+  ['name', 'subject', 'html'].forEach(field => {
+    if ((!partial || body[field] !== undefined) && !String(body[field] || '').trim()) {
+      errors.push(`${field} is required`);
+    }
+  });
+  return errors;
+}
+
+// The workspace's template for `key`, falling back to the built-in one
+async function loadTemplate(db, workspaceId, key) {
+  const result = await db.query(
+    `SELECT * FROM email_templates
+     WHERE key = $1 AND (workspace_id = $2 OR workspace_id IS NULL)
+     ORDER BY workspace_id NULLS LAST
+     LIMIT 1`,
+    [key, workspaceId]
+  );
+  return result.rows[0] || null;
+}
+
+// Variables available to templates sent to a lead: {{lead.contact}}, {{lead.customFields.x}}, {{sender.email}} ...
+function leadEmailVariables(lead, { workspace, sender }, extra = {}) {
+  const { company, contact, email, stage, notes, customFields, dealAmount, dealCurrency, expectedCloseDate } = formatLead(lead);
+  return {
+    ...extra,
+    lead: { id: lead.id, company, contact, email, stage, notes, customFields, dealAmount, dealCurrency, expectedCloseDate },
+    workspace: { name: workspace.name },
+    sender: { email: sender.email }
+  };
+}
+
+/**
+ * Render template `templateKey` and put it in the outbox. Pass the transaction client so
+ * the email is only sent if the change it belongs to commits. Returns the outbox row.
+ */
+async function queueEmail(db, { workspaceId = null, templateKey, to, variables, leadId = null, createdBy = null }) {
+  const template = await loadTemplate(db, workspaceId, templateKey);
+  if (!template) throw new Error(`Email template "${templateKey}" not found`);
+
+  const { subject, html, text } = renderTemplate(template, variables);
+  const result = await db.query(
+    `INSERT INTO email_outbox
+      (workspace_id, lead_id, template_key, to_email, subject, html, text, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [workspaceId, leadId, template.key, to, subject, html, text, createdBy]
+  );
+  return result.rows[0];
+}
+
+// Exponential backoff with up to 10% jitter: 1m, 2m, 4m ... capped at 6h
+function retryDelay(attempts) {
+  const delay = Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+async function attemptSend(message) {
+  const attempts = message.attempts + 1;
+  let messageId = null;
+  let error = null;
+  try {
+    const info = await transporter.sendMail({
+      from: MAIL_FROM,
+      to: message.to_email,
+      subject: message.subject,
+      html: message.html,
+      text: message.text || undefined
+    });
+    messageId = info.messageId || null;
+  } catch (err) {
+    error = err.message || String(err);
+  }
+
+  const status = !error ? 'sent' : attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  await pool.query(
+    `UPDATE email_outbox SET
+      status = $1,
+      attempts = $2,
+      last_error = $3,
+      message_id = $4,
+      next_attempt_at = $5,
+      sent_at = CASE WHEN $1 = 'sent' THEN NOW() ELSE NULL END
+     WHERE id = $6`,
+    [
+      status,
+      attempts,
+      error,
+      messageId,
+      new Date(Date.now() + (status === 'pending' ? retryDelay(attempts) : 0)),
+      message.id
+    ]
+  );
+  if (error) console.error(`❌ Email ${message.id} to ${message.to_email} failed (attempt ${attempts}):`, error);
+
+  return { id: message.id, status, attempts };
+}
+
+/**
+ * Claim and send up to `limit` due emails. Safe to run from several processes:
+ * rows are claimed with SKIP LOCKED and leased by pushing next_attempt_at forward.
+ */
+async function processDueEmails({ limit = 20 } = {}) {
+  const claimed = await pool.query(
+    `UPDATE email_outbox SET next_attempt_at = $2
+     WHERE id IN (
+       SELECT id FROM email_outbox
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, new Date(Date.now() + CLAIM_LEASE_MS)]
+  );
+
+  const results = [];
+  for (const message of claimed.rows) {
+    results.push(await attemptSend(message));
+  }
+  return results;
+}
+
+// Poll the outbox in the background; returns a function that stops the worker
+function startMailWorker({ intervalMs = config.workers.mailPollMs } = {}) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueEmails();
+    } catch (err) {
+      console.error('❌ Mail worker error:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  renderTemplate,
+  templateVariables,
+  validateTemplate,
+  loadTemplate,
+  leadEmailVariables,
+  queueEmail,
+  processDueEmails,
+  startMailWorker
+};
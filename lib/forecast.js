@@ -0,0 +1,145 @@
+// 📄 lib/forecast.js – Deal value aggregations behind GET /api/leads/forecast
+// Amounts are only summed within one currency; leads priced in others are counted in otherCurrencies.
+
+const money = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Leads, deal value and probability-weighted value for every stage of the pipeline
+async function pipelineValue(db, { workspaceId, pipeline, currency }) {
+  const result = await db.query(
+    `SELECT stage,
+            COUNT(*)::int AS leads,
+            COUNT(deal_amount) FILTER (WHERE deal_currency = $3)::int AS priced_leads,
+            COALESCE(SUM(deal_amount) FILTER (WHERE deal_currency = $3), 0) AS amount
+     FROM leads_clean
+     WHERE workspace_id = $1 AND pipeline_id = $2 AND deleted_at IS NULL
+     GROUP BY stage`,
+    [workspaceId, pipeline.id, currency]
+  );
+  const byStage = new Map(result.rows.map(row => [row.stage, row]));
+
+  const stages = pipeline.stages.map(stage => {
+    const row = byStage.get(stage.name);
+    const amount = money(row?.amount);
+    return {
+      stage: stage.name,
+      label: stage.label,
+      terminal: stage.terminal,
+      probability: stage.probability,
+      leads: row?.leads || 0,
+      pricedLeads: row?.priced_leads || 0,
+      amount,
+      weightedAmount: money((amount * stage.probability) / 100)
+    };
+  });
+
+  // Open stages only: won deals are revenue, not pipeline
+  const open = stages.filter(s => !s.terminal);
+  return {
+    stages,
+    openAmount: money(open.reduce((sum, s) => sum + s.amount, 0)),
+    weightedOpenAmount: money(open.reduce((sum, s) => sum + s.weightedAmount, 0))
+  };
+}
+
+/**
+ * Probability-weighted value of open deals per month of their expected close date,
+ * with empty months filled in. Open deals without a close date are reported as `unscheduled`.
+ */
+async function weightedForecast(db, { workspaceId, pipelineId, currency }) {
+  const result = await db.query(
+    `WITH open_deals AS (
+       SELECT date_trunc('month', l.expected_close_date) AS month,
+              l.deal_amount AS amount,
+              l.deal_amount * s.probability / 100.0 AS weighted
+       FROM leads_clean l
+       JOIN pipeline_stages s ON s.pipeline_id = l.pipeline_id AND s.name = l.stage
+       WHERE l.workspace_id = $1 AND l.pipeline_id = $2 AND l.deleted_at IS NULL
+         AND s.terminal IS NULL AND l.deal_amount IS NOT NULL AND l.deal_currency = $3
+     ), months AS (
+       SELECT generate_series(MIN(month), MAX(month), '1 month'::interval) AS month
+       FROM open_deals
+     )
+     SELECT to_char(m.month, 'YYYY-MM') AS month,
+            COUNT(d.amount)::int AS deals,
+            COALESCE(SUM(d.amount), 0) AS amount,
+            COALESCE(SUM(d.weighted), 0) AS weighted_amount
+     FROM months m
+     LEFT JOIN open_deals d ON d.month = m.month
+     GROUP BY m.month
+     UNION ALL
+     SELECT NULL, COUNT(*)::int, COALESCE(SUM(amount), 0), COALESCE(SUM(weighted), 0)
+     FROM open_deals
+     WHERE month IS NULL
+     ORDER BY 1 NULLS LAST`,
+    [workspaceId, pipelineId, currency]
+  );
+
+  const format = (row) => ({
+    deals: row.deals,
+    amount: money(row.amount),
+    weightedAmount: money(row.weighted_amount)
+  });
+  const unscheduled = result.rows.find(row => row.month === null);
+  return {
+    months: result.rows.filter(row => row.month !== null).map(row => ({ month: row.month, ...format(row) })),
+    unscheduled: format(unscheduled)
+  };
+}
+
+// Deals won and their value per period, dated by each lead's first move into a won stage
+async function wonRevenue(db, { workspaceId, pipelineId, seriesFrom, to, period, currency }) {
+  const result = await db.query(
+    `WITH periods AS (
+       SELECT generate_series(
+         date_trunc($5, $3::timestamp), date_trunc($5, $4::timestamp), ('1 ' || $5)::interval
+       ) AS period
+     ), first_won AS (
+       SELECT h.lead_id, MIN(h.changed_at) AS won_at
+       FROM lead_stage_history h
+       JOIN leads_clean l ON l.id = h.lead_id
+       JOIN pipeline_stages s ON s.pipeline_id = l.pipeline_id AND s.name = h.to_stage
+       WHERE l.workspace_id = $1 AND l.pipeline_id = $2 AND l.deleted_at IS NULL AND s.terminal = 'won'
+       GROUP BY h.lead_id
+     ), won AS (
+       SELECT date_trunc($5, w.won_at) AS period,
+              COUNT(*)::int AS deals,
+              COALESCE(SUM(l.deal_amount) FILTER (WHERE l.deal_currency = $6), 0) AS amount
+       FROM first_won w
+       JOIN leads_clean l ON l.id = w.lead_id
+       WHERE w.won_at BETWEEN $3 AND $4
+       GROUP BY 1
+     )
+     SELECT p.period, COALESCE(won.deals, 0) AS deals, COALESCE(won.amount, 0) AS amount
+     FROM periods p
+     LEFT JOIN won ON won.period = p.period
+     ORDER BY p.period`,
+    [workspaceId, pipelineId, seriesFrom, to, period, currency]
+  );
+
+  return result.rows.map(row => ({
+    period: row.period,
+    deals: row.deals,
+    amount: money(row.amount)
+  }));
+}
+
+// Priced leads in the pipeline whose currency is not the one being reported
+async function otherCurrencies(db, { workspaceId, pipelineId, currency }) {
+  const result = await db.query(
+    `SELECT deal_currency AS currency, COUNT(*)::int AS leads, SUM(deal_amount) AS amount
+     FROM leads_clean
+     WHERE workspace_id = $1 AND pipeline_id = $2 AND deleted_at IS NULL
+       AND deal_amount IS NOT NULL AND deal_currency <> $3
+     GROUP BY deal_currency
+     ORDER BY deal_currency`,
+    [workspaceId, pipelineId, currency]
+  );
+  return result.rows.map(row => ({ currency: row.currency, leads: row.leads, amount: money(row.amount) }));
+}
+
+module.exports = {
+  pipelineValue,
+  weightedForecast,
+  wonRevenue,
+  otherCurrencies
+};
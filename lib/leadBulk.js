@@ -0,0 +1,207 @@
+// 📄 lib/leadBulk.js – One operation applied to many leads in a single transaction
+const { getPipeline, stageNames } = require('./pipelines');
+const { recordStageChange } = require('./stageHistory');
+const { rescoreLeads } = require('./scoring');
+const { enqueueLeadEvents } = require('./webhooks');
+const { formatLead } = require('./leadData');
+const { diffLead } = require('./audit');
+const {
+  parseStrategyNames,
+  validateStrategyNames,
+  ensureStrategies,
+  loadLeadStrategies
+} = require('./contentStrategies');
+
+const BULK_OPERATIONS = ['set_stage', 'add_strategies', 'remove_strategies', 'append_note', 'delete'];
+const MAX_BULK_IDS = 500;
+const MAX_NOTE_LENGTH = 5000;
+
+/**
+ * Validate { ids, operation, stage, strategies, note }.
+ * Returns { request } with de-duplicated ids and parsed strategy names, or { errors }.
+ */
+function validateBulkRequest(body) {
+  const { ids, operation, stage, strategies, note } = body;
+  const errors = [];
+
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+    errors.push('ids must be a non-empty list of lead IDs');
+  } else if (ids.length > MAX_BULK_IDS) {
+    errors.push(`At most ${MAX_BULK_IDS} leads can be changed at once`);
+  }
+  if (!BULK_OPERATIONS.includes(operation)) {
+    errors.push(`operation must be one of: ${BULK_OPERATIONS.join(', ')}`);
+  }
+
+  const strategyNames = parseStrategyNames(strategies);
+  if (operation === 'set_stage' && (typeof stage !== 'string' || !stage.trim())) {
+    errors.push('stage is required for set_stage');
+  }
+  if (operation === 'add_strategies' || operation === 'remove_strategies') {
+    if (strategyNames.length === 0) errors.push(`strategies are required for ${operation}`);
+    errors.push(...validateStrategyNames(strategyNames));
+  }
+  if (operation === 'append_note') {
+    if (typeof note !== 'string' || !note.trim()) errors.push('note is required for append_note');
+    else if (note.length > MAX_NOTE_LENGTH) errors.push(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  if (errors.length > 0) return { errors };
+  return {
+    request: {
+      ids: [...new Set(ids)],
+      operation,
+      stage: operation === 'set_stage' ? stage.trim() : null,
+      strategyNames,
+      note: operation === 'append_note' ? note.trim() : null
+    }
+  };
+}
+
+// Changes each lead; returns the ids that actually changed plus per-id failures
+async function applyOperation(client, { workspaceId, userId, leads, request }) {
+  const ids = leads.map(lead => lead.id);
+  const failed = new Map();
+
+  switch (request.operation) {
+    case 'set_stage': {
+      const pipelines = new Map();
+      const moving = [];
+      for (const lead of leads) {
+        if (!pipelines.has(lead.pipeline_id)) {
+          pipelines.set(lead.pipeline_id, await getPipeline(client, workspaceId, lead.pipeline_id));
+        }
+        if (!stageNames(pipelines.get(lead.pipeline_id)).includes(request.stage)) {
+          failed.set(lead.id, `Stage "${request.stage}" is not in this lead's pipeline`);
+        } else if (lead.stage !== request.stage) {
+          moving.push(lead);
+        }
+      }
+      if (moving.length > 0) {
+        await client.query(
+          'UPDATE leads_clean SET stage = $1 WHERE id = ANY($2)',
+          [request.stage, moving.map(lead => lead.id)]
+        );
+      }
+      for (const lead of moving) {
+        await recordStageChange(client, {
+          leadId: lead.id,
+          changedBy: userId,
+          fromStage: lead.stage,
+          toStage: request.stage
+        });
+      }
+      return { changed: moving.map(lead => lead.id), failed, pipelines };
+    }
+
+    case 'add_strategies': {
+      const strategies = await ensureStrategies(client, workspaceId, request.strategyNames);
+      const result = await client.query(
+        `INSERT INTO lead_content_strategies (lead_id, strategy_id)
+         SELECT lead_id, strategy_id FROM unnest($1::int[]) AS lead_id, unnest($2::int[]) AS strategy_id
+         ON CONFLICT DO NOTHING
+         RETURNING lead_id`,
+        [ids, strategies.map(s => s.id)]
+      );
+      return { changed: [...new Set(result.rows.map(row => row.lead_id))], failed };
+    }
+
+    case 'remove_strategies': {
+      const result = await client.query(
+        `DELETE FROM lead_content_strategies ls
+         USING content_strategies s
+         WHERE s.id = ls.strategy_id AND s.workspace_id = $1
+           AND ls.lead_id = ANY($2) AND lower(s.name) = ANY($3)
+         RETURNING ls.lead_id`,
+        [workspaceId, ids, request.strategyNames.map(name => name.toLowerCase())]
+      );
+      return { changed: [...new Set(result.rows.map(row => row.lead_id))], failed };
+    }
+
+    case 'append_note': {
+      await client.query(
+        `UPDATE leads_clean SET notes = CASE
+           WHEN COALESCE(notes, '') = '' THEN $1
+           ELSE notes || E'\n\n' || $1
+         END
+         WHERE id = ANY($2)`,
+        [request.note, ids]
+      );
+      return { changed: ids, failed };
+    }
+
+    case 'delete': {
+      await client.query(
+        'UPDATE leads_clean SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1 WHERE id = ANY($2)',
+        [userId, ids]
+      );
+      return { changed: ids, failed };
+    }
+
+    default:
+      throw new Error(`Unknown bulk operation ${request.operation}`);
+  }
+}
+
+/**
+ * Apply a validated bulk request inside the caller's transaction.
+ * Ids outside the workspace (or already in the trash) are reported as not_found rather than
+ * failing the batch. Returns one result per requested id, in request order:
+ * { id, status: 'updated' | 'unchanged' | 'not_found' | 'failed', lead?, changes?, error? }.
+ */
+async function applyBulkOperation(client, { workspaceId, userId, request }) {
+  const found = await client.query(
+    `SELECT * FROM leads_clean
+     WHERE id = ANY($1) AND workspace_id = $2 AND deleted_at IS NULL
+     ORDER BY id
+     FOR UPDATE`,
+    [request.ids, workspaceId]
+  );
+  const leads = found.rows;
+  const previousStrategies = await loadLeadStrategies(client, leads.map(lead => lead.id));
+  const { changed, failed, pipelines = new Map() } = leads.length > 0
+    ? await applyOperation(client, { workspaceId, userId, leads, request })
+    : { changed: [], failed: new Map() };
+
+  const changedIds = new Set(changed);
+  const updated = new Map();
+  if (changedIds.size > 0) {
+    const ids = [...changedIds];
+    const rows = await client.query('SELECT * FROM leads_clean WHERE id = ANY($1)', [ids]);
+    const strategies = await loadLeadStrategies(client, ids);
+    const scores = request.operation === 'delete'
+      ? new Map()
+      : await rescoreLeads(client, workspaceId, ids);
+
+    for (const row of rows.rows) {
+      const previous = leads.find(lead => lead.id === row.id);
+      const current = { ...row, strategies: strategies.get(row.id), score: scores.get(row.id) ?? row.score };
+      const lead = formatLead(current);
+      await enqueueLeadEvents(client, workspaceId, {
+        type: request.operation === 'delete' ? 'deleted' : 'updated',
+        lead,
+        fromStage: previous.stage,
+        pipeline: pipelines.get(row.pipeline_id) || null
+      });
+      updated.set(row.id, {
+        lead,
+        changes: diffLead({ ...previous, strategies: previousStrategies.get(row.id) }, current)
+      });
+    }
+  }
+
+  const foundIds = new Set(leads.map(lead => lead.id));
+  return request.ids.map(id => {
+    if (!foundIds.has(id)) return { id, status: 'not_found', error: 'Lead not found in this workspace' };
+    if (failed.has(id)) return { id, status: 'failed', error: failed.get(id) };
+    if (updated.has(id)) return { id, status: 'updated', ...updated.get(id) };
+    return { id, status: 'unchanged' };
+  });
+}
+
+module.exports = {
+  BULK_OPERATIONS,
+  MAX_BULK_IDS,
+  validateBulkRequest,
+  applyBulkOperation
+};
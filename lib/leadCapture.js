@@ -0,0 +1,60 @@
+// 📄 lib/leadCapture.js – Lead-capture keys (API keys / form tokens) and intake helpers
+const crypto = require('crypto');
+const { hasRole, getMembership } = require('./workspaces');
+
+const KEY_PREFIX = 'ffk_';
+// Bots fill in every field; people never see this one, so a value means the submission is spam
+const HONEYPOT_FIELD = '_honeypot';
+const UTM_PARAMS = ['source', 'medium', 'campaign', 'term', 'content'];
+const MAX_UTM_LENGTH = 200;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// A new key; only its hash and prefix are stored, so the key itself is shown once
+function generateCaptureKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  return { key, prefix: key.slice(0, KEY_PREFIX.length + 8), hash: hashKey(key) };
+}
+
+// The key row for a presented key, or null if it is unknown, disabled or its owner lost editor access
+async function findCaptureKey(db, key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+  const result = await db.query(
+    'SELECT * FROM lead_capture_keys WHERE key_hash = $1 AND active',
+    [hashKey(key)]
+  );
+  const captureKey = result.rows[0];
+  if (!captureKey) return null;
+
+  const membership = await getMembership(db, captureKey.workspace_id, captureKey.user_id);
+  if (!membership || !hasRole(membership.role, 'editor')) return null;
+  return { ...captureKey, workspace: membership };
+}
+
+const formatCaptureKey = ({ key_hash: keyHash, ...captureKey }) => ({
+  ...captureKey,
+  honeypotField: HONEYPOT_FIELD
+});
+
+// utm_* values from the form (or the URL it was posted to) as { source, medium, ... }, or null
+function extractUtm(body, query) {
+  const utm = {};
+  UTM_PARAMS.forEach(param => {
+    const value = body[`utm_${param}`] ?? query[`utm_${param}`];
+    if (typeof value === 'string' && value.trim()) utm[param] = value.trim().slice(0, MAX_UTM_LENGTH);
+  });
+  return Object.keys(utm).length > 0 ? utm : null;
+}
+
+const isSpam = (body) => body[HONEYPOT_FIELD] !== undefined && body[HONEYPOT_FIELD] !== '';
+
+module.exports = {
+  HONEYPOT_FIELD,
+  UTM_PARAMS,
+  generateCaptureKey,
+  findCaptureKey,
+  formatCaptureKey,
+  extractUtm,
+  isSpam
+};
@@ -0,0 +1,151 @@
+// 📄 lib/leadCsv.js – CSV parsing, column mapping and serialization for lead import/export
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+
+const IMPORT_FIELDS = ['company', 'contact', 'email', 'stage', 'notes', 'content'];
+const CUSTOM_PREFIX = 'custom.';
+const MAX_IMPORT_ROWS = 10000;
+
+// Spreadsheet cells may list several strategies separated by ";" or ","
+const LIST_SEPARATOR = /[;,]/;
+
+/**
+ * Parse a CSV buffer into { headers, rows } where each row keeps the
+ * line number it started on so the import report can point back at it.
+ */
+function parseCsv(buffer) {
+  const records = parse(buffer, {
+    bom: true,
+    info: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true
+  });
+
+  if (records.length === 0) return { headers: [], rows: [] };
+
+  const [headerRecord, ...dataRecords] = records;
+  return {
+    headers: headerRecord.record,
+    rows: dataRecords.map(({ record, info }) => ({ line: info.lines, values: record }))
+  };
+}
+
+/**
+ * Resolve which CSV column feeds each lead field.
+ * `rawMapping` is { leadField: 'CSV Header' } (object or JSON string); custom fields are
+ * mapped as "custom.<key>". Fields left out fall back to a header with the same name
+ * (or custom field key), case-insensitively.
+ */
+function resolveColumnMapping(rawMapping, headers, fieldDefinitions = []) {
+  const errors = [];
+  let mapping = {};
+
+  if (rawMapping) {
+    try {
+      mapping = typeof rawMapping === 'string' ? JSON.parse(rawMapping) : rawMapping;
+    } catch (err) {
+      return { errors: ['mapping must be valid JSON'] };
+    }
+    if (typeof mapping !== 'object' || Array.isArray(mapping) || mapping === null) {
+      return { errors: ['mapping must be an object of { leadField: "CSV header" }'] };
+    }
+  }
+
+  const lowerHeaders = headers.map(h => String(h).toLowerCase());
+  const fields = [...IMPORT_FIELDS, ...fieldDefinitions.map(d => `${CUSTOM_PREFIX}${d.key}`)];
+  const columns = {};
+
+  Object.keys(mapping).forEach(field => {
+    if (!fields.includes(field)) {
+      errors.push(`Unknown lead field in mapping: "${field}"`);
+    }
+  });
+
+  fields.forEach(field => {
+    const fallback = field.startsWith(CUSTOM_PREFIX) ? field.slice(CUSTOM_PREFIX.length) : field;
+    if (mapping[field] !== undefined) {
+      const index = headers.indexOf(mapping[field]);
+      if (index === -1) errors.push(`Column "${mapping[field]}" (mapped to ${field}) not found in CSV`);
+      else columns[field] = index;
+    } else if (lowerHeaders.includes(fallback)) {
+      columns[field] = lowerHeaders.indexOf(fallback);
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { columns };
+}
+
+// Cells are text; numbers and lists are converted so validateCustomFields sees typed values
+function parseCustomCell(definition, cell) {
+  if (cell === '') return null;
+  switch (definition.type) {
+    case 'number':
+    case 'currency':
+      return isNaN(Number(cell)) ? cell : Number(cell);
+    case 'multi_select':
+      return cell.split(LIST_SEPARATOR).map(s => s.trim()).filter(Boolean);
+    default:
+      return cell;
+  }
+}
+
+function mapRow(values, columns, fieldDefinitions = []) {
+  const lead = {};
+  IMPORT_FIELDS.forEach(field => {
+    lead[field] = columns[field] !== undefined ? (values[columns[field]] || '').trim() : '';
+  });
+  lead.content = lead.content
+    .split(LIST_SEPARATOR)
+    .map(s => s.trim())
+    .filter(Boolean);
+  lead.customFields = {};
+  fieldDefinitions.forEach(definition => {
+    const column = columns[`${CUSTOM_PREFIX}${definition.key}`];
+    if (column !== undefined) {
+      lead.customFields[definition.key] = parseCustomCell(definition, (values[column] || '').trim());
+    }
+  });
+  return lead;
+}
+
+const EXPORT_COLUMNS = [
+  'id',
+  'pipeline',
+  'company',
+  'contact',
+  'email',
+  'stage',
+  'contentStrategies',
+  'notes',
+  'created_at'
+];
+
+// Spreadsheets run cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const neutralise = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+function toCsv(leads) {
+  return stringify(
+    leads.map(lead => {
+      const row = {
+        ...lead,
+        contentStrategies: lead.contentStrategies.join('; '),
+        created_at: lead.created_at ? new Date(lead.created_at).toISOString() : ''
+      };
+      EXPORT_COLUMNS.forEach(column => { row[column] = neutralise(row[column]); });
+      return row;
+    }),
+    { header: true, columns: EXPORT_COLUMNS }
+  );
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  resolveColumnMapping,
+  mapRow,
+  toCsv
+};
@@ -0,0 +1,51 @@
+// 📄 lib/leadData.js – Lead validation and response formatting shared across routes
+const { validateCustomFields } = require('./customFields');
+
+// `lead.strategies` ([{ id, name }]) comes from STRATEGIES_COLUMN or setLeadStrategies
+function formatLead(lead, stage = lead.stage) {
+  const strategies = lead.strategies || [];
+  return {
+    ...lead,
+    currentStage: stage,
+    company: lead.company || 'Unknown Company',
+    contact: lead.contact || '',
+    email: lead.email || '',
+    notes: lead.notes || '',
+    strategies,
+    // Comma-joined form kept for older clients
+    content: strategies.map(s => s.name).join(','),
+    contentStrategies: strategies.map(s => s.name),
+    customFields: lead.custom_fields || {},
+    // NUMERIC arrives as a string from pg
+    dealAmount: lead.deal_amount != null ? Number(lead.deal_amount) : null,
+    dealCurrency: lead.deal_currency || null,
+    expectedCloseDate: lead.expected_close_date || null
+  };
+}
+
+// Pass the workspace's custom field definitions to also check leadData.customFields;
+// `partial` is for updates, where omitted required fields keep their stored value.
+function validateLeadData(leadData, fieldDefinitions = null, { partial = false } = {}) {
+  const errors = [];
+  if (!leadData.company || leadData.company.trim().length < 2) {
+    errors.push('Company name must be at least 2 characters');
+  }
+  if (leadData.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(leadData.email)) {
+    errors.push('Invalid email format');
+  }
+  if (leadData.dealCurrency && !/^[A-Za-z]{3}$/.test(leadData.dealCurrency)) {
+    errors.push('Deal currency must be a three-letter ISO code such as USD or EUR');
+  }
+  if (leadData.expectedCloseDate && !/^\d{4}-\d{2}-\d{2}$/.test(leadData.expectedCloseDate)) {
+    errors.push('Expected close date must be a date like 2024-06-30');
+  }
+  if (fieldDefinitions) {
+    errors.push(...validateCustomFields(leadData.customFields, fieldDefinitions, { partial }));
+  }
+  return errors.length > 0 ? errors : null;
+}
+
+module.exports = {
+  formatLead,
+  validateLeadData
+};
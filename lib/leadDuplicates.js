@@ -0,0 +1,295 @@
+// 📄 lib/leadDuplicates.js – Likely-duplicate detection and merging of two leads
+const { loadLeadStrategies } = require('./contentStrategies');
+const { getPipeline } = require('./pipelines');
+const { recordStageChange } = require('./stageHistory');
+const { rescoreLeads } = require('./scoring');
+const { enqueueEvent, enqueueLeadEvents } = require('./webhooks');
+const { formatLead } = require('./leadData');
+const { diffLead } = require('./audit');
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const COMPANY_SIMILARITY = 0.8;
+
+// Shared mailbox providers say nothing about which company a lead belongs to
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'yandex.com'
+]);
+
+const COMPANY_SUFFIXES = new Set([
+  'the', 'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation',
+  'co', 'company', 'gmbh', 'ag', 'sa', 'bv', 'plc', 'srl'
+]);
+
+// "Jane.Doe+crm@GoogleMail.com" → "janedoe@gmail.com"
+function normalizeEmail(email) {
+  if (!email || !email.includes('@')) return null;
+  const [local, domain] = email.trim().toLowerCase().split('@');
+  const mailbox = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') {
+    return `${mailbox.replace(/\./g, '')}@gmail.com`;
+  }
+  return `${mailbox}@${domain}`;
+}
+
+function companyDomain(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  const domain = normalized.split('@')[1];
+  return FREE_EMAIL_DOMAINS.has(domain) ? null : domain;
+}
+
+// "The ACME Corp." and "Acme Corporation" both become "acme"
+function normalizeCompany(company) {
+  if (!company) return '';
+  return company
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !COMPANY_SUFFIXES.has(word))
+    .join(' ');
+}
+
+// Dice coefficient over character bigrams, ignoring spaces: 1 for equal strings, 0 for nothing shared
+function similarity(a, b) {
+  const left = a.replace(/ /g, '');
+  const right = b.replace(/ /g, '');
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < left.length - 1; i++) {
+    const pair = left.slice(i, i + 2);
+    bigrams.set(pair, (bigrams.get(pair) || 0) + 1);
+  }
+  let shared = 0;
+  for (let i = 0; i < right.length - 1; i++) {
+    const pair = right.slice(i, i + 2);
+    if (bigrams.get(pair) > 0) {
+      bigrams.set(pair, bigrams.get(pair) - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (left.length + right.length - 2);
+}
+
+// Why two leads look alike, and how sure we are
+function compareLeads(a, b) {
+  const reasons = [];
+  if (a.normalizedEmail && a.normalizedEmail === b.normalizedEmail) reasons.push('email');
+  if (a.domain && a.domain === b.domain) reasons.push('email_domain');
+  if (a.normalizedCompany && b.normalizedCompany) {
+    const score = similarity(a.normalizedCompany, b.normalizedCompany);
+    if (score === 1) reasons.push('company');
+    else if (score >= COMPANY_SIMILARITY) reasons.push('similar_company');
+  }
+  if (reasons.length === 0) return null;
+
+  const companyMatch = reasons.includes('company') || reasons.includes('similar_company');
+  let confidence = 'low';
+  if (reasons.includes('email') || (reasons.includes('company') && reasons.includes('email_domain'))) {
+    confidence = 'high';
+  } else if (reasons.includes('company') || (companyMatch && reasons.includes('email_domain'))) {
+    confidence = 'medium';
+  }
+  return { reasons, confidence };
+}
+
+/**
+ * Likely duplicate pairs in a workspace, most confident first.
+ * Leads are only compared within blocks sharing an email, a company email domain or the
+ * first letters of the company name, so large workspaces avoid an all-pairs scan.
+ * Options: leadId (only pairs involving that lead), minConfidence, limit.
+ */
+async function findDuplicatePairs(db, workspaceId, { leadId = null, minConfidence = 'medium', limit = 100 } = {}) {
+  const result = await db.query(
+    'SELECT id, company, email FROM leads_clean WHERE workspace_id = $1 AND deleted_at IS NULL',
+    [workspaceId]
+  );
+  const leads = result.rows.map(lead => ({
+    id: lead.id,
+    normalizedEmail: normalizeEmail(lead.email),
+    domain: companyDomain(lead.email),
+    normalizedCompany: normalizeCompany(lead.company)
+  }));
+
+  const blocks = new Map();
+  const addToBlock = (key, lead) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(lead);
+  };
+  leads.forEach(lead => {
+    if (lead.normalizedEmail) addToBlock(`email:${lead.normalizedEmail}`, lead);
+    if (lead.domain) addToBlock(`domain:${lead.domain}`, lead);
+    if (lead.normalizedCompany) addToBlock(`company:${lead.normalizedCompany.replace(/ /g, '').slice(0, 3)}`, lead);
+  });
+
+  const minLevel = CONFIDENCE_LEVELS.indexOf(minConfidence);
+  const pairs = new Map();
+  blocks.forEach(members => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = members[i].id < members[j].id ? [members[i], members[j]] : [members[j], members[i]];
+        const key = `${a.id}:${b.id}`;
+        if (pairs.has(key) || (leadId && a.id !== leadId && b.id !== leadId)) continue;
+
+        const match = compareLeads(a, b);
+        if (match && CONFIDENCE_LEVELS.indexOf(match.confidence) >= minLevel) {
+          pairs.set(key, { leadIds: [a.id, b.id], ...match });
+        }
+      }
+    }
+  });
+
+  return [...pairs.values()]
+    .sort((x, y) =>
+      CONFIDENCE_LEVELS.indexOf(y.confidence) - CONFIDENCE_LEVELS.indexOf(x.confidence) ||
+      y.reasons.length - x.reasons.length ||
+      x.leadIds[0] - y.leadIds[0] ||
+      x.leadIds[1] - y.leadIds[1])
+    .slice(0, limit);
+}
+
+// Won beats any open stage, an open stage beats lost; otherwise later in the pipeline wins
+function stageRank(pipeline, stageName) {
+  const stage = pipeline.stages.find(s => s.name === stageName);
+  if (!stage) return -2;
+  if (stage.terminal === 'lost') return -1;
+  if (stage.terminal === 'won') return pipeline.stages.length;
+  return stage.position;
+}
+
+function mergeNotes(primary, duplicate) {
+  const notes = [primary.notes, duplicate.notes].map(n => (n || '').trim()).filter(Boolean);
+  return [...new Set(notes)].join('\n\n');
+}
+
+// The merge entry on the primary's timeline, including the stages the duplicate went through
+function mergeNote(duplicate, history) {
+  const lines = history.map(({ from_stage: from, to_stage: to, changed_at: at }) =>
+    `${new Date(at).toISOString().slice(0, 10)}: ${from ? `${from} → ${to}` : to}`);
+  const note = `Merged duplicate lead #${duplicate.id} (${duplicate.company || 'Unknown Company'})`;
+  return lines.length > 0 ? `${note}\nIts stage history:\n${lines.join('\n')}` : note;
+}
+
+/**
+ * Fold `duplicateId` into `primaryId` inside the caller's transaction.
+ * The primary keeps its own values and borrows the duplicate's where it has none; it takes the
+ * more advanced stage (when both share a pipeline), the concatenated notes, the union of content
+ * strategies and the duplicate's activities, tasks and automation runs. The duplicate's stage
+ * history is written into the merge note rather than moved, so the primary keeps a single from/to
+ * chain. The duplicate is then deleted.
+ * Returns { lead, merged, changes } (the result, the removed lead and the primary's field changes)
+ * or null if either lead is missing.
+ */
+async function mergeLeads(client, { workspaceId, primaryId, duplicateId, userId }) {
+  const found = await client.query(
+    'SELECT * FROM leads_clean WHERE id = ANY($1) AND workspace_id = $2 AND deleted_at IS NULL FOR UPDATE',
+    [[primaryId, duplicateId], workspaceId]
+  );
+  const primary = found.rows.find(row => row.id === primaryId);
+  const duplicate = found.rows.find(row => row.id === duplicateId);
+  if (!primary || !duplicate) return null;
+
+  const pipeline = await getPipeline(client, workspaceId, primary.pipeline_id);
+  const previousStrategies = await loadLeadStrategies(client, [primaryId, duplicateId]);
+  const samePipeline = primary.pipeline_id === duplicate.pipeline_id;
+  const stage = samePipeline && stageRank(pipeline, duplicate.stage) > stageRank(pipeline, primary.stage)
+    ? duplicate.stage
+    : primary.stage;
+  const deal = primary.deal_amount !== null ? primary : duplicate;
+
+  // Strategy links are unioned; activities, tasks, emails and automation runs simply move over
+  // (the runs so a lead.inactive rule that already fired for the duplicate does not fire again)
+  await client.query(
+    `INSERT INTO lead_content_strategies (lead_id, strategy_id)
+     SELECT $1, strategy_id FROM lead_content_strategies WHERE lead_id = $2
+     ON CONFLICT DO NOTHING`,
+    [primaryId, duplicateId]
+  );
+  for (const table of ['lead_activities', 'lead_tasks', 'email_outbox', 'automation_runs']) {
+    await client.query(`UPDATE ${table} SET lead_id = $1 WHERE lead_id = $2`, [primaryId, duplicateId]);
+  }
+
+  const duplicateHistory = await client.query(
+    `SELECT from_stage, to_stage, changed_at FROM lead_stage_history
+     WHERE lead_id = $1
+     ORDER BY changed_at ASC, id ASC`,
+    [duplicateId]
+  );
+
+  await client.query('DELETE FROM leads_clean WHERE id = $1', [duplicateId]);
+  const updated = await client.query(
+    `UPDATE leads_clean SET
+      company = $1,
+      contact = $2,
+      email = $3,
+      stage = $4,
+      notes = $5,
+      custom_fields = $6::jsonb || custom_fields,
+      created_at = LEAST(created_at, $7),
+      deal_amount = $8,
+      deal_currency = $9,
+      expected_close_date = $10
+     WHERE id = $11
+     RETURNING *`,
+    [
+      primary.company || duplicate.company,
+      primary.contact || duplicate.contact,
+      primary.email || duplicate.email,
+      stage,
+      mergeNotes(primary, duplicate),
+      duplicate.custom_fields || {},
+      duplicate.created_at,
+      // Amount and currency travel together
+      deal.deal_amount,
+      deal.deal_currency,
+      primary.expected_close_date || duplicate.expected_close_date,
+      primaryId
+    ]
+  );
+
+  if (stage !== primary.stage) {
+    await recordStageChange(client, {
+      leadId: primaryId,
+      changedBy: userId,
+      fromStage: primary.stage,
+      toStage: stage
+    });
+  }
+  await client.query(
+    `INSERT INTO lead_activities (lead_id, author_id, type, body)
+     VALUES ($1, $2, 'note', $3)`,
+    [primaryId, userId, mergeNote(duplicate, duplicateHistory.rows)]
+  );
+
+  const strategies = (await loadLeadStrategies(client, [primaryId])).get(primaryId);
+  const scores = await rescoreLeads(client, workspaceId, [primaryId]);
+  const lead = formatLead({ ...updated.rows[0], strategies, score: scores.get(primaryId) });
+  const merged = formatLead({ ...duplicate, strategies: previousStrategies.get(duplicateId) });
+  const changes = diffLead(
+    { ...primary, strategies: previousStrategies.get(primaryId) },
+    { ...updated.rows[0], strategies }
+  );
+
+  await enqueueLeadEvents(client, workspaceId, {
+    type: 'updated',
+    lead,
+    fromStage: primary.stage,
+    pipeline
+  });
+  await enqueueEvent(client, workspaceId, 'lead.merged', { lead, merged });
+
+  return { lead, merged, changes };
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  normalizeEmail,
+  normalizeCompany,
+  findDuplicatePairs,
+  mergeLeads
+};
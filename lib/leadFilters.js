@@ -0,0 +1,197 @@
+// 📄 lib/leadFilters.js – Builds the filtered, sorted, cursor-paginated lead list query
+const { buildCustomFieldFilters } = require('./customFields');
+const { STRATEGIES_COLUMN } = require('./contentStrategies');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Sortable columns; `type` is used to cast the cursor value back in SQL.
+// Nullable columns are COALESCEd so the keyset comparison never meets a NULL.
+const SORT_FIELDS = {
+  created_at: { expr: "COALESCE(l.created_at, 'epoch'::timestamp)", type: 'timestamp' },
+  company: { expr: "COALESCE(l.company, '')", type: 'text' },
+  contact: { expr: "COALESCE(l.contact, '')", type: 'text' },
+  email: { expr: "COALESCE(l.email, '')", type: 'text' },
+  stage: { expr: "COALESCE(l.stage, '')", type: 'text' },
+  score: { expr: 'l.score', type: 'integer' }
+};
+
+// Must match idx_leads_clean_search in migrations/004_lead_list_indexes.up.sql
+const SEARCH_VECTOR = `to_tsvector('simple',
+  COALESCE(l.company, '') || ' ' || COALESCE(l.contact, '') || ' ' || COALESCE(l.notes, ''))`;
+
+// Cursors carry the sort and order they were issued for, so one reused under another is rejected
+function encodeCursor(sort, order, sortValue, id) {
+  return Buffer.from(JSON.stringify([sort, order, sortValue, id])).toString('base64url');
+}
+
+const INT_MAX = 2147483647;
+// How Postgres prints a timestamp as text, which is what paginate() puts in the cursor
+const TIMESTAMP_TEXT = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+
+// The sort value must survive the `::type` cast of its sort field, or the query fails
+function isSortValue(value, type) {
+  if (typeof value !== 'string') return false;
+  if (type === 'integer') return /^-?\d+$/.test(value) && Math.abs(Number(value)) <= INT_MAX;
+  if (type === 'timestamp') {
+    if (!TIMESTAMP_TEXT.test(value)) return false;
+    // Date rolls 02-31 over into March where Postgres refuses it, so compare the round trip
+    const iso = value.slice(0, 19).replace(' ', 'T');
+    const date = parseDate(`${iso}Z`);
+    return date !== null && date.toISOString().slice(0, 19) === iso;
+  }
+  return true;
+}
+
+function decodeCursor(cursor, sort, order) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 4) return null;
+    const [cursorSort, cursorOrder, sortValue, id] = decoded;
+    if (cursorSort !== sort || cursorOrder !== order) return null;
+    if (!Number.isInteger(id) || Math.abs(id) > INT_MAX) return null;
+    if (!isSortValue(sortValue, SORT_FIELDS[sort].type)) return null;
+    return { sortValue, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Accepts a single value, a repeated query param or a comma-separated list
+function toList(value) {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Translate list query parameters into SQL.
+ * Returns { errors } on bad input, otherwise { sql, params, limit, sort, order }.
+ */
+function buildLeadListQuery(workspaceId, query, fieldDefinitions = []) {
+  const errors = [];
+  const params = [workspaceId];
+  const where = ['l.workspace_id = $1', 'l.deleted_at IS NULL'];
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (query.pipelineId !== undefined) {
+    const pipelineId = parseInt(query.pipelineId);
+    if (isNaN(pipelineId)) errors.push('pipelineId must be a number');
+    else where.push(`l.pipeline_id = ${add(pipelineId)}`);
+  }
+
+  if (query.stage !== undefined) {
+    where.push(`l.stage = ANY(${add(toList(query.stage))})`);
+  }
+
+  if (query.company) {
+    where.push(`l.company ILIKE ${add(`%${query.company}%`)}`);
+  }
+
+  if (query.createdFrom !== undefined) {
+    const from = parseDate(query.createdFrom);
+    if (!from) errors.push('createdFrom must be a valid date');
+    else where.push(`l.created_at >= ${add(from)}`);
+  }
+
+  if (query.createdTo !== undefined) {
+    const to = parseDate(query.createdTo);
+    if (!to) errors.push('createdTo must be a valid date');
+    else where.push(`l.created_at <= ${add(to)}`);
+  }
+
+  // Strategy names (case-insensitive) or ids via strategyId
+  if (query.strategy !== undefined) {
+    where.push(`EXISTS (
+      SELECT 1 FROM lead_content_strategies ls
+      JOIN content_strategies s ON s.id = ls.strategy_id
+      WHERE ls.lead_id = l.id AND lower(s.name) = ANY(${add(toList(query.strategy).map(n => n.toLowerCase()))})
+    )`);
+  }
+
+  if (query.strategyId !== undefined) {
+    const ids = toList(query.strategyId).map(id => parseInt(id));
+    if (ids.some(isNaN)) errors.push('strategyId must be a number or list of numbers');
+    else {
+      where.push(`EXISTS (
+        SELECT 1 FROM lead_content_strategies ls
+        WHERE ls.lead_id = l.id AND ls.strategy_id = ANY(${add(ids)})
+      )`);
+    }
+  }
+
+  const custom = buildCustomFieldFilters(query.custom, fieldDefinitions, add);
+  errors.push(...custom.errors);
+  where.push(...custom.clauses);
+
+  if (query.q) {
+    where.push(`${SEARCH_VECTOR} @@ plainto_tsquery('simple', ${add(query.q)})`);
+  }
+
+  const sort = query.sort || 'created_at';
+  const sortField = SORT_FIELDS[sort];
+  if (!sortField) {
+    errors.push(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+
+  const order = String(query.order || (['created_at', 'score'].includes(sort) ? 'desc' : 'asc')).toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push('order must be "asc" or "desc"');
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  if (query.cursor && sortField) {
+    const cursor = decodeCursor(query.cursor, sort, order);
+    if (!cursor) {
+      errors.push('Invalid cursor');
+    } else {
+      // Keyset pagination: (sort value, id) strictly after the last row of the previous page
+      const comparator = order === 'desc' ? '<' : '>';
+      where.push(
+        `(${sortField.expr}, l.id) ${comparator} (${add(cursor.sortValue)}::${sortField.type}, ${add(cursor.id)})`
+      );
+    }
+  }
+
+  if (errors.length > 0) return { errors };
+
+  const direction = order.toUpperCase();
+  const sql = `SELECT l.*, ${STRATEGIES_COLUMN}, (${sortField.expr})::text AS sort_value
+    FROM leads_clean l
+    WHERE ${where.join(' AND ')}
+    ORDER BY ${sortField.expr} ${direction}, l.id ${direction}
+    LIMIT ${add(limit + 1)}`;
+
+  return { sql, params, limit, sort, order };
+}
+
+// Split the extra look-ahead row off and build the next cursor
+function paginate(rows, limit, sort, order) {
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+  return {
+    rows: page.map(({ sort_value, ...lead }) => lead),
+    nextCursor: hasMore && last ? encodeCursor(sort, order, last.sort_value, last.id) : null
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  buildLeadListQuery,
+  paginate
+};
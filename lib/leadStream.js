@@ -0,0 +1,243 @@
+// 📄 lib/leadStream.js – Real-time lead events for open boards (Server-Sent Events over LISTEN/NOTIFY)
+const pool = require('../db');
+const { config } = require('./config');
+
+const STREAM_EVENTS = [
+  'lead.created',
+  'lead.updated',
+  'lead.deleted',
+  'lead.restored',
+  'lead.stage_changed',
+  'lead.merged'
+];
+
+const CHANNEL = 'lead_events';
+const RETENTION_HOURS = config.workers.leadEventRetentionHours;
+const BATCH_SIZE = 200;
+const HEARTBEAT_MS = 25000;
+// Suggested to EventSource as the reconnect delay
+const RETRY_MS = 3000;
+const LISTEN_RETRY_MS = 5000;
+
+/**
+ * Record a webhook-shaped event ({ event, workspaceId, occurredAt, data }) for the workspace's boards.
+ * Pass the transaction client: the event is only visible, and NOTIFY only sent, once the change commits.
+ */
+async function publishLeadEvent(db, workspaceId, payload) {
+  // Held until commit, so a workspace's events become visible in id order and resuming
+  // "after id N" can never skip an event that committed late
+  await db.query('SELECT pg_advisory_xact_lock(hashtext($1), $2)', [CHANNEL, workspaceId]);
+  await db.query(
+    'INSERT INTO lead_events (workspace_id, event, payload) VALUES ($1, $2, $3)',
+    [workspaceId, payload.event, payload]
+  );
+  await db.query('SELECT pg_notify($1, $2)', [CHANNEL, String(workspaceId)]);
+}
+
+async function eventsSince(db, workspaceId, afterId, limit = BATCH_SIZE) {
+  const result = await db.query(
+    `SELECT id, event, payload FROM lead_events
+     WHERE workspace_id = $1 AND id > $2
+     ORDER BY id ASC
+     LIMIT $3`,
+    [workspaceId, afterId, limit]
+  );
+  return result.rows;
+}
+
+async function latestEventId(db, workspaceId) {
+  const result = await db.query(
+    'SELECT COALESCE(MAX(id), 0) AS id FROM lead_events WHERE workspace_id = $1',
+    [workspaceId]
+  );
+  return Number(result.rows[0].id);
+}
+
+// A resume point that is no longer stored (pruned, or never ours) may hide events the client missed
+async function canResumeFrom(db, workspaceId, lastEventId) {
+  const result = await db.query(
+    'SELECT 1 FROM lead_events WHERE workspace_id = $1 AND id = $2',
+    [workspaceId, lastEventId]
+  );
+  return result.rows.length > 0;
+}
+
+async function pruneLeadEvents(db, { olderThanHours = RETENTION_HOURS } = {}) {
+  const result = await db.query(
+    'DELETE FROM lead_events WHERE created_at < NOW() - make_interval(hours => $1)',
+    [olderThanHours]
+  );
+  return result.rowCount;
+}
+
+// ─── Listener ────────────────────────────────────────────────
+
+// workspaceId → Set of wake-up callbacks, one per open stream
+const subscribers = new Map();
+let listener = null;
+
+const wakeAll = () => subscribers.forEach(streams => streams.forEach(wake => wake()));
+
+// One pooled connection LISTENs for every open stream in this process
+function listen() {
+  if (listener) return listener;
+
+  listener = (async () => {
+    const client = await pool.connect();
+    client.on('notification', ({ payload }) => {
+      (subscribers.get(Number(payload)) || []).forEach(wake => wake());
+    });
+    client.on('error', (err) => {
+      console.error('❌ Lead stream listener error:', err);
+      client.release(err);
+      listener = null;
+      // Streams catch up from the table, so nothing is lost while reconnecting
+      setTimeout(() => {
+        if (subscribers.size > 0) listen().then(wakeAll, () => {});
+      }, LISTEN_RETRY_MS).unref();
+    });
+    await client.query(`LISTEN ${CHANNEL}`);
+    return client;
+  })();
+
+  listener.catch(err => {
+    console.error('❌ Could not start the lead stream listener:', err);
+    listener = null;
+  });
+  return listener;
+}
+
+async function subscribe(workspaceId, wake) {
+  await listen();
+  if (!subscribers.has(workspaceId)) subscribers.set(workspaceId, new Set());
+  subscribers.get(workspaceId).add(wake);
+
+  return () => {
+    const streams = subscribers.get(workspaceId);
+    streams.delete(wake);
+    if (streams.size === 0) subscribers.delete(workspaceId);
+  };
+}
+
+// Release the listener connection (tests, shutdown)
+async function stopLeadStream() {
+  if (!listener) return;
+  const current = listener;
+  listener = null;
+  const client = await current.catch(() => null);
+  if (client) client.release();
+}
+
+// ─── Streams ─────────────────────────────────────────────────
+
+const formatEvent = ({ id, event, payload }) =>
+  `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify({ id: Number(id), ...payload })}\n\n`;
+
+/**
+ * Stream the workspace's lead events to `res` until the client disconnects or `expiresAt`
+ * (ms) passes. With `lastEventId` the events after it are replayed first; if they cannot
+ * all be replayed a `reset` event tells the client to reload the board instead.
+ */
+async function streamLeadEvents(res, { workspaceId, lastEventId = null, expiresAt = null }) {
+  let cursor = null;
+  let draining = false;
+  let pending = false;
+  let closed = false;
+
+  // Sends everything after `cursor`; wake-ups that arrive meanwhile trigger another pass
+  const drain = async () => {
+    if (cursor === null || closed) return;
+    if (draining) {
+      pending = true;
+      return;
+    }
+    draining = true;
+    try {
+      do {
+        pending = false;
+        let batch;
+        do {
+          batch = await eventsSince(pool, workspaceId, cursor);
+          batch.forEach(event => {
+            if (!closed) res.write(formatEvent(event));
+            cursor = Number(event.id);
+          });
+        } while (batch.length === BATCH_SIZE && !closed);
+      } while (pending && !closed);
+    } catch (err) {
+      console.error('❌ Lead stream error:', err);
+    } finally {
+      draining = false;
+    }
+  };
+
+  // Subscribe before reading the resume point so no commit in between is missed
+  const unsubscribe = await subscribe(workspaceId, drain);
+  if (res.destroyed) return unsubscribe();
+  let heartbeat;
+  let expiry;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    res.end();
+  };
+  res.on('close', close);
+
+  try {
+    const resumable = lastEventId === null || lastEventId === 0 || await canResumeFrom(pool, workspaceId, lastEventId);
+    cursor = resumable && lastEventId !== null ? lastEventId : await latestEventId(pool, workspaceId);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    if (!resumable) {
+      res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available; reload the board' })}\n\n`);
+    }
+    await drain();
+  } catch (err) {
+    console.error('❌ Lead stream error:', err);
+    return close();
+  }
+  if (closed) return;
+
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  heartbeat.unref();
+
+  // The access token expires while the stream is open; the client refreshes it and reconnects
+  if (expiresAt) {
+    expiry = setTimeout(() => {
+      res.write(`event: session_expired\ndata: ${JSON.stringify({ lastEventId: cursor })}\n\n`);
+      close();
+    }, Math.max(expiresAt - Date.now(), 0));
+    expiry.unref();
+  }
+}
+
+// Drop events older than LEAD_EVENT_RETENTION_HOURS every `intervalMs`
+function startLeadEventPruner({ intervalMs = config.workers.leadEventPruneMs } = {}) {
+  const prune = () => pruneLeadEvents(pool)
+    .catch(err => console.error('❌ Lead event prune error:', err));
+
+  prune();
+  const timer = setInterval(prune, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  STREAM_EVENTS,
+  publishLeadEvent,
+  eventsSince,
+  pruneLeadEvents,
+  streamLeadEvents,
+  stopLeadStream,
+  startLeadEventPruner
+};
@@ -0,0 +1,63 @@
+// 📄 lib/loginLockout.js – Progressive lockout after repeated failed logins for one email
+const { config } = require('./config');
+
+const LOCKOUT_THRESHOLD = config.auth.loginLockoutThreshold;
+const BASE_LOCKOUT_MS = 60000;
+const MAX_LOCKOUT_MS = 60 * 60000;
+// Failures older than this no longer count toward a lockout
+const FAILURE_WINDOW_HOURS = 24;
+
+// 1 minute at the threshold, doubling with every further failure, capped at an hour
+function lockoutDuration(failures) {
+  if (failures < LOCKOUT_THRESHOLD) return 0;
+  return Math.min(BASE_LOCKOUT_MS * 2 ** (failures - LOCKOUT_THRESHOLD), MAX_LOCKOUT_MS);
+}
+
+// Milliseconds until `email` may try again (0 when not locked)
+async function getLockoutRemaining(db, email) {
+  const result = await db.query(
+    `SELECT GREATEST(EXTRACT(EPOCH FROM locked_until - NOW()) * 1000, 0) AS remaining_ms
+     FROM login_lockouts WHERE email = $1`,
+    [email]
+  );
+  return result.rows.length > 0 ? Math.ceil(Number(result.rows[0].remaining_ms) || 0) : 0;
+}
+
+// Count a failure and lock the email when it reaches the threshold; returns { failures, lockedForMs }
+async function recordFailedLogin(db, email) {
+  const result = await db.query(
+    `INSERT INTO login_lockouts (email, failures, last_failed_at)
+     VALUES ($1, 1, NOW())
+     ON CONFLICT (email) DO UPDATE SET
+       failures = CASE
+         WHEN login_lockouts.last_failed_at < NOW() - make_interval(hours => $2) THEN 1
+         ELSE login_lockouts.failures + 1
+       END,
+       last_failed_at = NOW()
+     RETURNING failures`,
+    [email, FAILURE_WINDOW_HOURS]
+  );
+
+  const { failures } = result.rows[0];
+  const lockedForMs = lockoutDuration(failures);
+  if (lockedForMs > 0) {
+    await db.query(
+      `UPDATE login_lockouts SET locked_until = NOW() + make_interval(secs => $2)
+       WHERE email = $1`,
+      [email, lockedForMs / 1000]
+    );
+  }
+  return { failures, lockedForMs };
+}
+
+function clearFailedLogins(db, email) {
+  return db.query('DELETE FROM login_lockouts WHERE email = $1', [email]);
+}
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  lockoutDuration,
+  getLockoutRemaining,
+  recordFailedLogin,
+  clearFailedLogins
+};
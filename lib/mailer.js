@@ -0,0 +1,17 @@
+// 📄 lib/mailer.js – Shared nodemailer transport
+const nodemailer = require('nodemailer');
+const { config } = require('./config');
+
+// Without SMTP_USER no login is attempted, which is what local SMTP stubs expect
+const transporter = nodemailer.createTransport({
+  host: config.smtp.host,
+  port: config.smtp.port,
+  secure: config.smtp.secure,
+  auth: config.smtp.user
+    ? { user: config.smtp.user, pass: config.smtp.password }
+    : undefined
+});
+
+const MAIL_FROM = `FunnelFlow <${config.smtp.from}>`;
+
+module.exports = { transporter, MAIL_FROM };
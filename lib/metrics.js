@@ -0,0 +1,232 @@
+// 📄 lib/metrics.js – SQL aggregations behind GET /api/leads/metrics
+const PERIODS = ['day', 'week', 'month'];
+const MAX_BUCKETS = 366;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const DEFAULT_THRESHOLDS = { hotLeadDays: 7, staleLeadDays: 14 };
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Window used for the time series and cohorts when no `from` is given
+function defaultSeriesStart(date, period) {
+  const start = new Date(date);
+  if (period === 'day') start.setUTCDate(start.getUTCDate() - 30);
+  if (period === 'week') start.setUTCDate(start.getUTCDate() - 12 * 7);
+  if (period === 'month') start.setUTCMonth(start.getUTCMonth() - 12);
+  return start;
+}
+
+/**
+ * Validate ?from=&to=&period= into { range: { from, to, period, seriesFrom } } or { errors }.
+ * `from` stays null when omitted so snapshot figures cover all time, while the
+ * time series and cohorts fall back to the last 30 days, 12 weeks or 12 months.
+ */
+function parseMetricsRange(query) {
+  const errors = [];
+  const period = query.period || 'week';
+  if (!PERIODS.includes(period)) errors.push(`period must be one of: ${PERIODS.join(', ')}`);
+
+  const from = query.from ? parseDate(query.from) : null;
+  const to = query.to ? parseDate(query.to) : new Date();
+  if (query.from && !from) errors.push('from must be a valid date');
+  if (query.to && !to) errors.push('to must be a valid date');
+  if (errors.length > 0) return { errors };
+
+  if (from && from > to) return { errors: ['from must be before to'] };
+
+  const seriesFrom = from || defaultSeriesStart(to, period);
+  const days = (to - seriesFrom) / DAY_MS;
+  const buckets = period === 'day' ? days : period === 'week' ? days / 7 : days / 30;
+  if (buckets > MAX_BUCKETS) {
+    return { errors: [`Range too large for period "${period}" (max ${MAX_BUCKETS} periods)`] };
+  }
+
+  return { range: { from, to, period, seriesFrom } };
+}
+
+async function getMetricThresholds(db, userId) {
+  const result = await db.query(
+    'SELECT hot_lead_days, stale_lead_days FROM "user" WHERE id = $1',
+    [userId]
+  );
+  if (result.rows.length === 0) return { ...DEFAULT_THRESHOLDS };
+  return {
+    hotLeadDays: result.rows[0].hot_lead_days,
+    staleLeadDays: result.rows[0].stale_lead_days
+  };
+}
+
+/**
+ * Per-stage counts and age figures for leads created in the range.
+ * "recent"/"hot" and "old"/"stale" windows are measured back from now.
+ */
+async function leadSnapshot(db, { workspaceId, pipelineId, from, to, hotLeadDays, staleLeadDays }) {
+  const result = await db.query(
+    `SELECT l.stage,
+            COUNT(*)::int AS count,
+            COALESCE(SUM(EXTRACT(EPOCH FROM NOW() - l.created_at) / 86400), 0) AS total_age_days,
+            COUNT(*) FILTER (WHERE l.created_at >= NOW() - INTERVAL '7 days')::int AS added_this_week,
+            COUNT(*) FILTER (WHERE l.created_at >= NOW() - make_interval(days => $5))::int AS recent,
+            COUNT(*) FILTER (WHERE overdue.lead_id IS NOT NULL)::int AS overdue,
+            COUNT(*) FILTER (
+              WHERE l.created_at < NOW() - make_interval(days => $6) OR overdue.lead_id IS NOT NULL
+            )::int AS old_or_overdue
+     FROM leads_clean l
+     LEFT JOIN (
+       SELECT DISTINCT lead_id FROM lead_tasks
+       WHERE completed_at IS NULL AND due_at < NOW()
+     ) overdue ON overdue.lead_id = l.id
+     WHERE l.workspace_id = $1 AND l.pipeline_id = $2 AND l.deleted_at IS NULL
+       AND ($3::timestamp IS NULL OR l.created_at >= $3)
+       AND l.created_at <= $4
+     GROUP BY l.stage`,
+    [workspaceId, pipelineId, from, to, hotLeadDays, staleLeadDays]
+  );
+  return result.rows;
+}
+
+// Leads added, leads won and stage moves per period, with empty periods filled in
+async function timeSeries(db, { workspaceId, pipelineId, seriesFrom, to, period }) {
+  const result = await db.query(
+    `WITH periods AS (
+       SELECT generate_series(
+         date_trunc($5, $3::timestamp), date_trunc($5, $4::timestamp), ('1 ' || $5)::interval
+       ) AS period
+     ), added AS (
+       SELECT date_trunc($5, created_at) AS period, COUNT(*)::int AS count
+       FROM leads_clean
+       WHERE workspace_id = $1 AND pipeline_id = $2 AND deleted_at IS NULL
+         AND created_at BETWEEN $3 AND $4
+       GROUP BY 1
+     ), first_won AS (
+       SELECT h.lead_id, MIN(h.changed_at) AS won_at
+       FROM lead_stage_history h
+       JOIN leads_clean l ON l.id = h.lead_id
+       JOIN pipeline_stages s ON s.pipeline_id = l.pipeline_id AND s.name = h.to_stage
+       WHERE l.workspace_id = $1 AND l.pipeline_id = $2 AND l.deleted_at IS NULL AND s.terminal = 'won'
+       GROUP BY h.lead_id
+     ), won AS (
+       SELECT date_trunc($5, won_at) AS period, COUNT(*)::int AS count
+       FROM first_won
+       WHERE won_at BETWEEN $3 AND $4
+       GROUP BY 1
+     ), moves AS (
+       SELECT date_trunc($5, h.changed_at) AS period, COUNT(*)::int AS count
+       FROM lead_stage_history h
+       JOIN leads_clean l ON l.id = h.lead_id
+       WHERE l.workspace_id = $1 AND l.pipeline_id = $2 AND l.deleted_at IS NULL
+         AND h.from_stage IS NOT NULL AND h.changed_at BETWEEN $3 AND $4
+       GROUP BY 1
+     )
+     SELECT p.period,
+            COALESCE(added.count, 0) AS leads_added,
+            COALESCE(won.count, 0) AS won,
+            COALESCE(moves.count, 0) AS stage_changes
+     FROM periods p
+     LEFT JOIN added ON added.period = p.period
+     LEFT JOIN won ON won.period = p.period
+     LEFT JOIN moves ON moves.period = p.period
+     ORDER BY p.period`,
+    [workspaceId, pipelineId, seriesFrom, to, period]
+  );
+
+  return result.rows.map(row => ({
+    period: row.period,
+    leadsAdded: row.leads_added,
+    won: row.won,
+    stageChanges: row.stage_changes
+  }));
+}
+
+// Group leads by the period they were created in and report how far each cohort got
+async function cohortConversion(db, { workspaceId, pipeline, seriesFrom, to, period }) {
+  const params = [workspaceId, pipeline.id, seriesFrom, to, period];
+  const totals = await db.query(
+    `SELECT date_trunc($5, l.created_at) AS cohort,
+            COUNT(DISTINCT l.id)::int AS leads,
+            COUNT(DISTINCT l.id) FILTER (WHERE s.terminal = 'won')::int AS won
+     FROM leads_clean l
+     LEFT JOIN lead_stage_history h ON h.lead_id = l.id
+     LEFT JOIN pipeline_stages s ON s.pipeline_id = l.pipeline_id AND s.name = h.to_stage
+     WHERE l.workspace_id = $1 AND l.pipeline_id = $2 AND l.deleted_at IS NULL
+       AND l.created_at BETWEEN $3 AND $4
+     GROUP BY 1
+     ORDER BY 1`,
+    params
+  );
+  const entered = await db.query(
+    `SELECT date_trunc($5, l.created_at) AS cohort, h.to_stage AS stage,
+            COUNT(DISTINCT l.id)::int AS count
+     FROM leads_clean l
+     JOIN lead_stage_history h ON h.lead_id = l.id
+     WHERE l.workspace_id = $1 AND l.pipeline_id = $2 AND l.deleted_at IS NULL
+       AND l.created_at BETWEEN $3 AND $4
+     GROUP BY 1, 2`,
+    params
+  );
+
+  return totals.rows.map(row => {
+    const key = new Date(row.cohort).getTime();
+    const reached = {};
+    pipeline.stages.forEach(({ name }) => { reached[name] = 0; });
+    entered.rows
+      .filter(e => new Date(e.cohort).getTime() === key && reached[e.stage] !== undefined)
+      .forEach(e => { reached[e.stage] = e.count; });
+
+    return {
+      cohort: row.cohort,
+      leads: row.leads,
+      won: row.won,
+      conversionRate: row.leads > 0 ? Math.round((row.won / row.leads) * 100) : 0,
+      reachedStage: reached
+    };
+  });
+}
+
+// For each content strategy: how many of its leads (created in range) ever reached a won stage
+async function strategyConversion(db, { workspaceId, pipelineId, from, to }) {
+  const result = await db.query(
+    `WITH won_leads AS (
+       SELECT DISTINCT h.lead_id
+       FROM lead_stage_history h
+       JOIN leads_clean l ON l.id = h.lead_id
+       JOIN pipeline_stages s ON s.pipeline_id = l.pipeline_id AND s.name = h.to_stage
+       WHERE l.workspace_id = $1 AND l.pipeline_id = $2 AND l.deleted_at IS NULL AND s.terminal = 'won'
+     )
+     SELECT cs.id, cs.name,
+            COUNT(l.id)::int AS leads,
+            COUNT(w.lead_id)::int AS won
+     FROM content_strategies cs
+     JOIN lead_content_strategies ls ON ls.strategy_id = cs.id
+     JOIN leads_clean l ON l.id = ls.lead_id
+     LEFT JOIN won_leads w ON w.lead_id = l.id
+     WHERE cs.workspace_id = $1 AND l.pipeline_id = $2 AND l.deleted_at IS NULL
+       AND ($3::timestamp IS NULL OR l.created_at >= $3)
+       AND l.created_at <= $4
+     GROUP BY cs.id, cs.name
+     ORDER BY COUNT(w.lead_id)::float / COUNT(l.id) DESC, COUNT(l.id) DESC, lower(cs.name)`,
+    [workspaceId, pipelineId, from, to]
+  );
+
+  return result.rows.map(row => ({
+    strategyId: row.id,
+    name: row.name,
+    leads: row.leads,
+    won: row.won,
+    conversionRate: row.leads > 0 ? Math.round((row.won / row.leads) * 100) : 0
+  }));
+}
+
+module.exports = {
+  PERIODS,
+  DEFAULT_THRESHOLDS,
+  parseMetricsRange,
+  getMetricThresholds,
+  leadSnapshot,
+  timeSeries,
+  cohortConversion,
+  strategyConversion
+};
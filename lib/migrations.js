@@ -0,0 +1,142 @@
+// 📄 lib/migrations.js – Versioned up/down SQL migrations tracked in schema_migrations
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// Arbitrary key for pg_advisory_lock so two deploys never migrate at once
+const LOCK_KEY = 74810231;
+
+// Read migrations/NNN_name.up.sql (+ matching .down.sql) in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = fs.readdirSync(dir);
+  return files
+    .map(file => file.match(/^(\d+)_(.+)\.up\.sql$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const downFile = `${version}_${name}.down.sql`;
+      if (!files.includes(downFile)) {
+        throw new Error(`Migration ${file} has no ${downFile}`);
+      }
+      return {
+        version: parseInt(version),
+        name,
+        up: fs.readFileSync(path.join(dir, file), 'utf8'),
+        down: fs.readFileSync(path.join(dir, downFile), 'utf8')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Read-only: a database without schema_migrations simply has everything pending
+async function getStatus(db, migrations = loadMigrations()) {
+  const exists = await db.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  const appliedRows = exists.rows[0].exists
+    ? (await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')).rows
+    : [];
+
+  const appliedVersions = new Set(appliedRows.map(row => row.version));
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    applied: appliedRows,
+    pending: migrations.filter(m => !appliedVersions.has(m.version)).map(({ version, name }) => ({ version, name })),
+    // Recorded as applied but the file is gone – usually a branch mismatch
+    missing: appliedRows.filter(row => !known.has(row.version))
+  };
+}
+
+// Run `work` on one client holding the migration lock
+async function withMigrationLock(pool, work) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await work(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Each migration runs in its own transaction together with its bookkeeping row
+async function runInTransaction(client, sql, bookkeeping) {
+  try {
+    await client.query('BEGIN');
+    if (sql) await client.query(sql);
+    await bookkeeping();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+/**
+ * Apply every pending migration (or only those up to `to`).
+ * Returns the migrations that were applied.
+ */
+async function migrate(pool, { to = Infinity, migrations = loadMigrations(), log = () => {} } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const { pending } = await getStatus(client, migrations);
+    const toApply = migrations.filter(m => m.version <= to && pending.some(p => p.version === m.version));
+
+    for (const migration of toApply) {
+      log(`⬆️  ${migration.version}_${migration.name}`);
+      await runInTransaction(client, migration.up, () => client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      ));
+    }
+    return toApply.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+// Revert the last `steps` applied migrations, newest first
+async function rollback(pool, { steps = 1, migrations = loadMigrations(), log = () => {} } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    const { applied } = await getStatus(client, migrations);
+    const toRevert = applied.slice(-steps).reverse();
+
+    for (const row of toRevert) {
+      const migration = migrations.find(m => m.version === row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${row.version}_${row.name}: migration file not found`);
+      }
+      log(`⬇️  ${migration.version}_${migration.name}`);
+      await runInTransaction(client, migration.down, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      ));
+    }
+    return toRevert.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * Record migrations up to `to` as applied without running them. For databases whose
+ * schema was already built by hand with the old sql/ scripts.
+ */
+async function baseline(pool, { to, migrations = loadMigrations() }) {
+  return withMigrationLock(pool, async (client) => {
+    const marked = migrations.filter(m => m.version <= to);
+    for (const migration of marked) {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2) ON CONFLICT (version) DO NOTHING',
+        [migration.version, migration.name]
+      );
+    }
+    return marked.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, getStatus, migrate, rollback, baseline };
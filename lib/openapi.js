@@ -0,0 +1,850 @@
+// 📄 lib/openapi.js – OpenAPI 3.0 description of the /api/auth and /api/leads routes (GET /api/openapi.json)
+// tests/openapi.test.js fails when a route is added to either router without being described here.
+const { version } = require('../package.json');
+const { BULK_OPERATIONS, MAX_BULK_IDS } = require('./leadBulk');
+const { CONFIDENCE_LEVELS } = require('./leadDuplicates');
+const { PERIODS } = require('./metrics');
+const { STREAM_EVENTS } = require('./leadStream');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+const nullable = (schema) => ({ ...schema, nullable: true });
+const object = (properties, required) => ({ type: 'object', properties, ...(required ? { required } : {}) });
+
+const STRING = { type: 'string' };
+const INTEGER = { type: 'integer' };
+const NUMBER = { type: 'number' };
+const BOOLEAN = { type: 'boolean' };
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const DATE = { type: 'string', format: 'date' };
+const ID = { type: 'integer', minimum: 1 };
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  429: 'TooManyRequests'
+};
+
+/**
+ * One operation. `auth` is 'none', 'user' (access token only) or 'workspace' (access token plus
+ * the optional X-Workspace-Id header); `ok` is [status, description, schema?], sent as `okType`.
+ */
+function op({
+  summary, description, tag, auth = 'workspace', params = [],
+  body, bodyType = 'application/json', ok, okType = 'application/json', errors = []
+}) {
+  const [status, okDescription, schema] = ok;
+  const operation = {
+    tags: [tag],
+    summary,
+    ...(description ? { description } : {}),
+    security: auth === 'none' ? [] : [{ bearerAuth: [] }],
+    parameters: [...(auth === 'workspace' ? [{ $ref: '#/components/parameters/WorkspaceId' }] : []), ...params],
+    responses: {
+      [status]: { description: okDescription, ...(schema ? { content: { [okType]: { schema } } } : {}) }
+    }
+  };
+  if (body) operation.requestBody = { required: true, content: { [bodyType]: { schema: body } } };
+
+  const errorCodes = new Set([...(auth === 'none' ? [] : [401]), ...(auth === 'workspace' ? [403] : []), ...errors]);
+  [...errorCodes].sort().forEach(code => {
+    operation.responses[code] = { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` };
+  });
+  return operation;
+}
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: ID });
+const queryParam = (name, schema, description) => ({ name, in: 'query', required: false, description, schema });
+
+const leadId = pathParam('id', 'Lead ID');
+const legacyUserId = pathParam('userId', 'The caller\'s own user ID; results cover the whole workspace');
+const pipelineParam = queryParam('pipelineId', ID, 'Pipeline to use (default: the workspace default pipeline)');
+const rangeParams = [
+  queryParam('from', DATE_TIME, 'Only leads created from this time'),
+  queryParam('to', DATE_TIME, 'Only leads created up to this time (default: now)'),
+  queryParam('period', { type: 'string', enum: PERIODS, default: 'week' }, 'Bucket size of time series and cohorts')
+];
+
+// ─── Schemas ─────────────────────────────────────────────────
+
+const schemas = {
+  Error: object({
+    error: STRING,
+    details: arrayOf(STRING),
+    requestId: { type: 'string', description: 'Echoes X-Request-Id; quote it when reporting a problem' }
+  }, ['error']),
+  Message: object({ message: STRING }, ['message']),
+  User: object({
+    id: INTEGER,
+    email: { type: 'string', format: 'email' },
+    emailVerified: BOOLEAN,
+    pendingEmail: nullable({ type: 'string', format: 'email' })
+  }, ['id', 'email']),
+  Session: object({
+    token: { type: 'string', description: 'Access token for the Authorization header' },
+    refreshToken: { type: 'string', description: 'Single-use; exchange at /auth/refresh for a new pair' },
+    user: ref('User')
+  }, ['token', 'refreshToken', 'user']),
+  MetricThresholds: object({
+    hotLeadDays: { type: 'integer', minimum: 1, maximum: 365 },
+    staleLeadDays: { type: 'integer', minimum: 1, maximum: 365 }
+  }),
+  Strategy: object({ id: INTEGER, name: STRING }, ['id', 'name']),
+  Lead: object({
+    id: INTEGER,
+    user_id: INTEGER,
+    workspace_id: INTEGER,
+    pipeline_id: INTEGER,
+    company: STRING,
+    contact: STRING,
+    email: STRING,
+    stage: STRING,
+    currentStage: { type: 'string', description: 'Board column the lead is shown in (stage, or the entry stage if the pipeline no longer has it)' },
+    notes: STRING,
+    strategies: arrayOf(ref('Strategy')),
+    contentStrategies: arrayOf(STRING),
+    content: { type: 'string', description: 'Comma-joined strategy names (legacy)' },
+    customFields: { type: 'object', additionalProperties: true },
+    score: INTEGER,
+    score_updated_at: nullable(DATE_TIME),
+    dealAmount: nullable(NUMBER),
+    dealCurrency: nullable({ type: 'string', pattern: '^[A-Z]{3}$' }),
+    expectedCloseDate: nullable(DATE),
+    source: nullable(STRING),
+    utm: nullable(object({ source: STRING, medium: STRING, campaign: STRING, term: STRING, content: STRING })),
+    referrer: nullable(STRING),
+    created_at: DATE_TIME,
+    deleted_at: nullable(DATE_TIME)
+  }, ['id', 'company', 'contact', 'email', 'stage', 'currentStage', 'strategies', 'customFields']),
+  LeadInput: object({
+    company: { type: 'string', minLength: 2, maxLength: 200 },
+    contact: { type: 'string', maxLength: 200 },
+    email: { type: 'string', format: 'email', maxLength: 254 },
+    stage: { type: 'string', description: 'Unknown stages fall back to the first stage (create) or are ignored (update)' },
+    notes: { type: 'string', maxLength: 10000 },
+    contentStrategies: { oneOf: [arrayOf(STRING), STRING] },
+    content: { type: 'string', description: 'Comma-separated strategies (legacy; contentStrategies wins)' },
+    customFields: { type: 'object', additionalProperties: true, description: 'null removes a value' },
+    dealAmount: nullable({ type: 'number', minimum: 0 }),
+    dealCurrency: nullable({ type: 'string', pattern: '^[A-Za-z]{3}$' }),
+    expectedCloseDate: nullable(DATE)
+  }),
+  Board: {
+    type: 'object',
+    description: 'One key per stage of the pipeline, in pipeline order, each holding that column\'s leads',
+    additionalProperties: arrayOf(ref('Lead')),
+    example: { awareness: [], interest: [], consideration: [], evaluation: [], won: [] }
+  },
+  LeadEvent: {
+    ...object({
+      id: { type: 'integer', description: 'Also the SSE event id; resume after it with Last-Event-ID' },
+      event: { type: 'string', enum: STREAM_EVENTS },
+      workspaceId: INTEGER,
+      occurredAt: DATE_TIME,
+      data: object({
+        lead: ref('Lead'),
+        fromStage: nullable(STRING),
+        toStage: STRING,
+        merged: ref('Lead')
+      }, ['lead'])
+    }, ['id', 'event', 'workspaceId', 'occurredAt', 'data']),
+    description: 'The `data:` line of each SSE message; the SSE `event:` field carries `event`'
+  },
+  StageChange: object({
+    id: INTEGER,
+    lead_id: INTEGER,
+    from_stage: nullable(STRING),
+    to_stage: STRING,
+    changed_at: DATE_TIME,
+    changed_by: nullable(INTEGER),
+    changed_by_email: nullable(STRING)
+  }),
+  ScoreExplanation: object({
+    leadId: INTEGER,
+    score: INTEGER,
+    storedScore: INTEGER,
+    scoredAt: nullable(DATE_TIME),
+    rules: arrayOf(object({
+      ruleId: INTEGER,
+      name: STRING,
+      field: STRING,
+      fieldKey: nullable(STRING),
+      operator: STRING,
+      value: {},
+      points: INTEGER,
+      actual: {},
+      matched: BOOLEAN
+    }))
+  }),
+  Metrics: object({
+    pipelineId: INTEGER,
+    range: object({ from: nullable(DATE_TIME), to: DATE_TIME, period: STRING, seriesFrom: DATE_TIME }),
+    thresholds: ref('MetricThresholds'),
+    totalLeads: INTEGER,
+    awarenessToInterest: { type: 'integer', description: '% of leads in the second stage relative to the first' },
+    interestToConsideration: { type: 'integer', description: '% of leads in later open stages relative to the second' },
+    conversionRate: { type: 'integer', description: '% of leads in won stages relative to the first stage' },
+    avgTimeInFunnel: nullable({ type: 'number', description: 'Average lead age in days' }),
+    stageDistribution: { type: 'object', additionalProperties: INTEGER, description: '% of leads per stage' },
+    leadsAddedThisWeek: INTEGER,
+    inferredHotLeads: INTEGER,
+    engagementRate: INTEGER,
+    staleLeads: INTEGER,
+    leadsWithOverdueTasks: INTEGER,
+    timeInStage: {
+      type: 'object',
+      additionalProperties: object({ samples: INTEGER, avgDays: nullable(NUMBER), medianDays: nullable(NUMBER) })
+    },
+    stageConversionRates: {
+      type: 'object',
+      additionalProperties: object({ entered: INTEGER, advanced: INTEGER, rate: INTEGER })
+    },
+    timeSeries: arrayOf(object({ period: DATE_TIME, leadsAdded: INTEGER, won: INTEGER, stageChanges: INTEGER })),
+    cohorts: arrayOf(object({
+      cohort: DATE_TIME,
+      leads: INTEGER,
+      won: INTEGER,
+      conversionRate: INTEGER,
+      reachedStage: { type: 'object', additionalProperties: INTEGER }
+    })),
+    strategyConversionRates: arrayOf(object({
+      strategyId: INTEGER,
+      name: STRING,
+      leads: INTEGER,
+      won: INTEGER,
+      conversionRate: INTEGER
+    }))
+  }),
+  Forecast: object({
+    pipelineId: INTEGER,
+    currency: STRING,
+    period: STRING,
+    pipelineValue: object({
+      stages: arrayOf(object({
+        stage: STRING,
+        label: STRING,
+        terminal: nullable({ type: 'string', enum: ['won', 'lost'] }),
+        probability: INTEGER,
+        leads: INTEGER,
+        pricedLeads: INTEGER,
+        amount: NUMBER,
+        weightedAmount: NUMBER
+      })),
+      openAmount: NUMBER,
+      weightedOpenAmount: NUMBER
+    }),
+    forecast: object({
+      months: arrayOf(object({ month: STRING, deals: INTEGER, amount: NUMBER, weightedAmount: NUMBER })),
+      unscheduled: object({ deals: INTEGER, amount: NUMBER, weightedAmount: NUMBER })
+    }),
+    wonRevenue: object({
+      total: NUMBER,
+      deals: INTEGER,
+      series: arrayOf(object({ period: DATE_TIME, deals: INTEGER, amount: NUMBER }))
+    }),
+    otherCurrencies: arrayOf(object({ currency: STRING, leads: INTEGER, amount: NUMBER }))
+  }),
+  TrashedLead: {
+    allOf: [ref('Lead'), object({ purgeAt: DATE_TIME, deleted_by_email: nullable(STRING) })]
+  },
+  DuplicatePair: object({
+    leads: arrayOf(ref('Lead')),
+    reasons: arrayOf({ type: 'string', enum: ['email', 'email_domain', 'company', 'similar_company'] }),
+    confidence: { type: 'string', enum: CONFIDENCE_LEVELS }
+  }),
+  BulkResult: object({
+    operation: { type: 'string', enum: BULK_OPERATIONS },
+    summary: object({ updated: INTEGER, unchanged: INTEGER, not_found: INTEGER, failed: INTEGER }),
+    results: arrayOf(object({
+      id: INTEGER,
+      status: { type: 'string', enum: ['updated', 'unchanged', 'not_found', 'failed'] },
+      lead: ref('Lead'),
+      changes: { type: 'object', additionalProperties: object({ from: {}, to: {} }) },
+      error: STRING
+    }))
+  }),
+  ImportResult: object({
+    dryRun: BOOLEAN,
+    pipelineId: INTEGER,
+    totalRows: INTEGER,
+    imported: INTEGER,
+    valid: INTEGER,
+    duplicates: INTEGER,
+    invalid: INTEGER,
+    rows: arrayOf(object({
+      row: INTEGER,
+      status: { type: 'string', enum: ['imported', 'valid', 'duplicate', 'invalid'] },
+      leadId: INTEGER,
+      email: STRING,
+      errors: arrayOf(STRING)
+    }))
+  }),
+  Activity: object({
+    id: INTEGER,
+    lead_id: INTEGER,
+    author_id: nullable(INTEGER),
+    author_email: nullable(STRING),
+    type: { type: 'string', enum: ['call', 'email', 'meeting', 'note'] },
+    body: STRING,
+    occurred_at: DATE_TIME,
+    created_at: DATE_TIME,
+    updated_at: DATE_TIME
+  }),
+  Task: object({
+    id: INTEGER,
+    lead_id: INTEGER,
+    created_by: nullable(INTEGER),
+    assigned_to: nullable(INTEGER),
+    assigned_to_email: nullable(STRING),
+    title: STRING,
+    description: STRING,
+    due_at: nullable(DATE_TIME),
+    completed_at: nullable(DATE_TIME),
+    created_at: DATE_TIME,
+    updated_at: DATE_TIME
+  }),
+  DueTask: {
+    allOf: [ref('Task'), object({ company: STRING, contact: STRING, stage: STRING, overdue: BOOLEAN })]
+  },
+  Email: object({
+    id: INTEGER,
+    template_key: STRING,
+    to_email: STRING,
+    subject: STRING,
+    created_by: nullable(INTEGER),
+    status: { type: 'string', enum: ['pending', 'sent', 'failed'] },
+    attempts: INTEGER,
+    last_error: nullable(STRING),
+    created_at: DATE_TIME,
+    sent_at: nullable(DATE_TIME)
+  })
+};
+
+const errorResponse = (description) => ({ description, content: json(ref('Error')) });
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  parameters: {
+    WorkspaceId: {
+      name: 'X-Workspace-Id',
+      in: 'header',
+      required: false,
+      description: 'Workspace to act in (also accepted as ?workspaceId=); defaults to the personal workspace',
+      schema: ID
+    }
+  },
+  responses: {
+    BadRequest: errorResponse('Invalid body or query; `details` lists every problem'),
+    Unauthorized: errorResponse('Missing, invalid or expired credentials'),
+    Forbidden: errorResponse('Email not verified, not a member of the workspace, or role too low'),
+    NotFound: errorResponse('Not found in this workspace'),
+    Conflict: errorResponse('Conflicts with existing data'),
+    TooManyRequests: errorResponse('Rate limited; retry after the Retry-After header')
+  },
+  schemas
+};
+
+// ─── Auth ────────────────────────────────────────────────────
+
+const AUTH = 'Auth';
+const credentials = (password = { type: 'string', minLength: 8, maxLength: 72 }) => object({
+  email: { type: 'string', format: 'email' },
+  password
+}, ['email', 'password']);
+const passwordOnly = object({ password: STRING }, ['password']);
+
+const authPaths = {
+  '/auth/register': {
+    post: op({
+      tag: AUTH,
+      auth: 'none',
+      summary: 'Create an account and email a verification link',
+      description: 'Answers the same whether or not the email is taken; an existing account\'s owner is emailed a notice '
+        + 'instead. Log in once the email is verified. Rate limited per IP and per email.',
+      body: credentials(),
+      ok: ['200', 'Registration received', ref('Message')],
+      errors: [400, 429]
+    })
+  },
+  '/auth/login': {
+    post: op({
+      tag: AUTH,
+      auth: 'none',
+      summary: 'Log in with email and password',
+      description: 'Rate limited per IP and per email; repeated failures lock the email out for a while.',
+      body: credentials(STRING),
+      ok: ['200', 'Logged in', ref('Session')],
+      errors: [400, 401, 429]
+    })
+  },
+  '/auth/validate': {
+    get: op({
+      tag: AUTH,
+      auth: 'user',
+      summary: 'Check an access token and return its account',
+      ok: ['200', 'Token is valid', object({ user: ref('User') })],
+      errors: [404]
+    })
+  },
+  '/auth/refresh': {
+    post: op({
+      tag: AUTH,
+      auth: 'none',
+      summary: 'Exchange a refresh token for a new access/refresh pair',
+      description: 'Reusing an already rotated refresh token revokes the whole session.',
+      body: object({ refreshToken: STRING }, ['refreshToken']),
+      ok: ['200', 'New tokens', ref('Session')],
+      errors: [400, 401, 429]
+    })
+  },
+  '/auth/logout': {
+    post: op({ tag: AUTH, auth: 'user', summary: 'Revoke the current session', ok: ['200', 'Logged out', ref('Message')] })
+  },
+  '/auth/logout-all': {
+    post: op({
+      tag: AUTH,
+      auth: 'user',
+      summary: 'Revoke every session of the account',
+      ok: ['200', 'Logged out everywhere', object({ message: STRING, revoked: INTEGER })]
+    })
+  },
+  '/auth/request-reset': {
+    post: op({
+      tag: AUTH,
+      auth: 'none',
+      summary: 'Email a password reset link',
+      description: 'Answers the same whether or not the account exists.',
+      body: object({ email: { type: 'string', format: 'email' } }, ['email']),
+      ok: ['200', 'Reset requested', ref('Message')],
+      errors: [400, 429]
+    })
+  },
+  '/auth/reset-password': {
+    post: op({
+      tag: AUTH,
+      auth: 'none',
+      summary: 'Set a new password with a reset token; ends every session',
+      body: object({ token: STRING, password: { type: 'string', minLength: 8, maxLength: 72 } }, ['token', 'password']),
+      ok: ['200', 'Password reset', ref('Message')],
+      errors: [400, 429]
+    })
+  },
+  '/auth/verify-email': {
+    post: op({
+      tag: AUTH,
+      auth: 'none',
+      summary: 'Verify the account email (or confirm a pending email change)',
+      body: object({ token: STRING }, ['token']),
+      ok: ['200', 'Email verified', object({ message: STRING, user: ref('User') })],
+      errors: [400, 409, 429]
+    })
+  },
+  '/auth/resend-verification': {
+    post: op({
+      tag: AUTH,
+      auth: 'user',
+      summary: 'Send a new verification link',
+      ok: ['200', 'Link sent', ref('Message')],
+      errors: [400, 404]
+    })
+  },
+  '/auth/change-password': {
+    post: op({
+      tag: AUTH,
+      auth: 'user',
+      summary: 'Change the password; other sessions are ended and a new one is returned',
+      body: object({
+        currentPassword: STRING,
+        newPassword: { type: 'string', minLength: 8, maxLength: 72 }
+      }, ['currentPassword', 'newPassword']),
+      ok: ['200', 'Password changed', { allOf: [ref('Message'), ref('Session')] }],
+      errors: [400, 404]
+    })
+  },
+  '/auth/change-email': {
+    post: op({
+      tag: AUTH,
+      auth: 'user',
+      summary: 'Request an email change; takes effect once the new address is verified',
+      body: object({ newEmail: { type: 'string', format: 'email' }, password: STRING }, ['newEmail', 'password']),
+      ok: ['200', 'Verification sent', object({ message: STRING, pendingEmail: STRING })],
+      errors: [400, 404]
+    })
+  },
+  '/auth/settings': {
+    get: op({
+      tag: AUTH,
+      auth: 'user',
+      summary: 'Metric preferences (hot and stale lead windows)',
+      ok: ['200', 'Current settings', ref('MetricThresholds')]
+    }),
+    put: op({
+      tag: AUTH,
+      auth: 'user',
+      summary: 'Update metric preferences',
+      body: ref('MetricThresholds'),
+      ok: ['200', 'Updated settings', ref('MetricThresholds')],
+      errors: [400]
+    })
+  },
+  '/auth/account': {
+    delete: op({
+      tag: AUTH,
+      auth: 'user',
+      summary: 'Delete the account and its personal workspace',
+      description: 'Refused while the account owns team workspaces that have other members.',
+      body: passwordOnly,
+      ok: ['200', 'Account deleted', ref('Message')],
+      errors: [400, 404, 409]
+    })
+  }
+};
+
+// ─── Leads ───────────────────────────────────────────────────
+
+const LEADS = 'Leads';
+const ACTIVITIES = 'Lead activities';
+
+const leadPaths = {
+  '/leads': {
+    get: op({
+      tag: LEADS,
+      summary: 'Filtered, sorted, cursor-paginated lead list',
+      description: 'Custom fields filter as custom[key]=value or custom[key][gte|gt|lte|lt]=value.',
+      params: [
+        queryParam('stage', STRING),
+        queryParam('company', STRING),
+        queryParam('createdFrom', DATE_TIME),
+        queryParam('createdTo', DATE_TIME),
+        queryParam('strategy', STRING, 'Strategy name'),
+        queryParam('strategyId', ID),
+        queryParam('q', STRING, 'Full-text search over company, contact, email and notes'),
+        queryParam('sort', STRING),
+        queryParam('order', { type: 'string', enum: ['asc', 'desc'] }),
+        queryParam('limit', INTEGER),
+        queryParam('cursor', STRING, 'nextCursor from the previous page, with the same sort and order'),
+        pipelineParam
+      ],
+      ok: ['200', 'One page of leads', object({ leads: arrayOf(ref('Lead')), nextCursor: nullable(STRING) })],
+      errors: [400]
+    }),
+    post: op({
+      tag: LEADS,
+      summary: 'Create a lead (editor)',
+      body: { allOf: [ref('LeadInput'), object({ pipelineId: nullable(ID) }, ['company', 'contact', 'email'])] },
+      ok: ['201', 'Created lead, with likely duplicates to offer a merge for', {
+        allOf: [ref('Lead'), object({
+          possibleDuplicates: arrayOf(object({ leadId: INTEGER, reasons: arrayOf(STRING), confidence: STRING }))
+        })]
+      }],
+      errors: [400, 404]
+    })
+  },
+  '/leads/events': {
+    get: op({
+      tag: LEADS,
+      summary: 'Live lead changes for the board as Server-Sent Events',
+      description: 'Events: ' + STREAM_EVENTS.join(', ') + '. A `reset` event means missed events are gone and the '
+        + 'board should be reloaded; `session_expired` comes as the access token expires, after which the client '
+        + 'refreshes it and reconnects from the last event id.',
+      params: [
+        queryParam('token', STRING, 'Access token, for EventSource clients that cannot send Authorization'),
+        { name: 'Last-Event-ID', in: 'header', required: false, description: 'Replay events after this id', schema: INTEGER },
+        queryParam('lastEventId', INTEGER, 'Same as Last-Event-ID, for a new EventSource')
+      ],
+      ok: ['200', 'Event stream; each message\'s data is a LeadEvent', ref('LeadEvent')],
+      okType: 'text/event-stream',
+      errors: [400]
+    })
+  },
+  '/leads/export': {
+    get: op({
+      tag: LEADS,
+      summary: 'Download every lead as CSV or JSON',
+      params: [queryParam('format', { type: 'string', enum: ['csv', 'json'], default: 'csv' }), pipelineParam],
+      ok: ['200', 'Attachment (text/csv for CSV)', arrayOf(ref('Lead'))],
+      errors: [400]
+    })
+  },
+  '/leads/duplicates': {
+    get: op({
+      tag: LEADS,
+      summary: 'Likely duplicate pairs, most confident first',
+      params: [
+        queryParam('leadId', ID, 'Only pairs involving this lead'),
+        queryParam('minConfidence', { type: 'string', enum: CONFIDENCE_LEVELS, default: 'medium' }),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 500, default: 100 })
+      ],
+      ok: ['200', 'Duplicate pairs', arrayOf(ref('DuplicatePair'))],
+      errors: [400]
+    })
+  },
+  '/leads/merge': {
+    post: op({
+      tag: LEADS,
+      summary: 'Fold a duplicate into the primary lead (editor)',
+      body: object({ primaryId: ID, duplicateId: ID }, ['primaryId', 'duplicateId']),
+      ok: ['200', 'Merged lead', { allOf: [ref('Lead'), object({ mergedLeadId: INTEGER })] }],
+      errors: [400, 404]
+    })
+  },
+  '/leads/bulk': {
+    post: op({
+      tag: LEADS,
+      summary: 'Apply one operation to many leads in a single transaction (editor)',
+      body: object({
+        ids: { type: 'array', items: ID, maxItems: MAX_BULK_IDS },
+        operation: { type: 'string', enum: BULK_OPERATIONS },
+        stage: { type: 'string', description: 'For set_stage' },
+        strategies: { oneOf: [arrayOf(STRING), STRING], description: 'For add_strategies / remove_strategies' },
+        note: { type: 'string', description: 'For append_note' }
+      }, ['ids', 'operation']),
+      ok: ['200', 'Per-lead results in request order', ref('BulkResult')],
+      errors: [400]
+    })
+  },
+  '/leads/trash': {
+    get: op({
+      tag: LEADS,
+      summary: 'Deleted leads, newest first, with their purge date',
+      ok: ['200', 'The trash', object({ retentionDays: INTEGER, leads: arrayOf(ref('TrashedLead')) })]
+    }),
+    delete: op({
+      tag: LEADS,
+      summary: 'Permanently purge every lead in the trash (admin)',
+      ok: ['200', 'Purged lead IDs', object({ purged: arrayOf(INTEGER) })]
+    })
+  },
+  '/leads/trash/{id}/restore': {
+    post: op({
+      tag: LEADS,
+      summary: 'Restore a lead from the trash (editor)',
+      params: [leadId],
+      ok: ['200', 'Restored lead', ref('Lead')],
+      errors: [400, 404]
+    })
+  },
+  '/leads/trash/{id}': {
+    delete: op({
+      tag: LEADS,
+      summary: 'Permanently purge one lead from the trash (admin)',
+      params: [leadId],
+      ok: ['200', 'Purged lead ID', object({ purged: arrayOf(INTEGER) })],
+      errors: [400, 404]
+    })
+  },
+  '/leads/import': {
+    post: op({
+      tag: LEADS,
+      summary: 'Import leads from a CSV upload (editor)',
+      bodyType: 'multipart/form-data',
+      body: object({
+        file: { type: 'string', format: 'binary' },
+        mapping: { type: 'string', description: 'JSON object of lead field (or "custom.<key>") → CSV header' },
+        dryRun: { type: 'string', enum: ['true', 'false'] },
+        pipelineId: ID
+      }, ['file']),
+      ok: ['201', 'Import report (200 for a dry run)', ref('ImportResult')],
+      errors: [400, 404]
+    })
+  },
+  '/leads/metrics/{userId}': {
+    get: op({
+      tag: LEADS,
+      summary: 'Funnel metrics, time series and cohorts for a pipeline',
+      description: 'Percentages are whole numbers. Hot/stale windows come from the caller\'s settings.',
+      params: [legacyUserId, pipelineParam, ...rangeParams],
+      ok: ['200', 'Metrics', ref('Metrics')],
+      errors: [400, 403, 404]
+    })
+  },
+  '/leads/forecast/{userId}': {
+    get: op({
+      tag: LEADS,
+      summary: 'Pipeline value, weighted forecast and won revenue in one currency',
+      params: [
+        legacyUserId,
+        pipelineParam,
+        queryParam('currency', { type: 'string', pattern: '^[A-Za-z]{3}$' }, 'Default: DEFAULT_CURRENCY'),
+        ...rangeParams
+      ],
+      ok: ['200', 'Forecast', ref('Forecast')],
+      errors: [400, 403, 404]
+    })
+  },
+  '/leads/{id}': {
+    get: op({
+      tag: LEADS,
+      summary: 'Board view: the pipeline\'s leads grouped by stage',
+      params: [
+        pathParam('id', 'The caller\'s own user ID (the board was once per user); leads cover the whole workspace'),
+        pipelineParam,
+        queryParam('sort', { type: 'string', enum: ['created_at', 'score'], default: 'created_at' })
+      ],
+      ok: ['200', 'Leads per stage', ref('Board')],
+      errors: [400, 403, 404]
+    }),
+    put: op({
+      tag: LEADS,
+      summary: 'Update a lead; company is always required, other omitted fields keep their values (editor)',
+      params: [leadId],
+      body: { allOf: [ref('LeadInput'), object({}, ['company'])] },
+      ok: ['200', 'Updated lead', ref('Lead')],
+      errors: [400, 404]
+    }),
+    delete: op({
+      tag: LEADS,
+      summary: 'Move a lead to the trash (editor)',
+      params: [leadId],
+      ok: ['200', 'Deleted lead', { allOf: [ref('Lead'), object({ purgeAt: DATE_TIME })] }],
+      errors: [400, 404]
+    })
+  },
+  '/leads/{id}/history': {
+    get: op({
+      tag: LEADS,
+      summary: 'Stage changes of a lead, oldest first',
+      params: [leadId],
+      ok: ['200', 'Stage history', arrayOf(ref('StageChange'))],
+      errors: [400, 404]
+    })
+  },
+  '/leads/{id}/score': {
+    get: op({
+      tag: LEADS,
+      summary: 'Why a lead has its score',
+      params: [leadId],
+      ok: ['200', 'Per-rule breakdown', ref('ScoreExplanation')],
+      errors: [400, 404]
+    })
+  },
+  '/leads/tasks/due': {
+    get: op({
+      tag: ACTIVITIES,
+      summary: 'My open tasks that are overdue or due today',
+      ok: ['200', 'Due tasks', object({ overdue: arrayOf(ref('DueTask')), dueToday: arrayOf(ref('DueTask')) })]
+    })
+  },
+  '/leads/{id}/activities': {
+    get: op({
+      tag: ACTIVITIES,
+      summary: 'Activity timeline, newest first',
+      params: [leadId],
+      ok: ['200', 'Activities', arrayOf(ref('Activity'))],
+      errors: [400, 404]
+    }),
+    post: op({
+      tag: ACTIVITIES,
+      summary: 'Log an activity (editor)',
+      params: [leadId],
+      body: object({
+        type: { type: 'string', enum: ['call', 'email', 'meeting', 'note'] },
+        body: { type: 'string', maxLength: 10000 },
+        occurredAt: nullable(DATE_TIME)
+      }, ['type', 'body']),
+      ok: ['201', 'Logged activity', ref('Activity')],
+      errors: [400, 404]
+    })
+  },
+  '/leads/{id}/activities/{activityId}': {
+    put: op({
+      tag: ACTIVITIES,
+      summary: 'Edit an activity (its author, or an admin)',
+      params: [leadId, pathParam('activityId', 'Activity ID')],
+      body: object({ type: STRING, body: STRING, occurredAt: nullable(DATE_TIME) }),
+      ok: ['200', 'Updated activity', ref('Activity')],
+      errors: [400, 404]
+    }),
+    delete: op({
+      tag: ACTIVITIES,
+      summary: 'Delete an activity (its author, or an admin)',
+      params: [leadId, pathParam('activityId', 'Activity ID')],
+      ok: ['200', 'Deleted activity', ref('Activity')],
+      errors: [400, 404]
+    })
+  },
+  '/leads/{id}/tasks': {
+    get: op({
+      tag: ACTIVITIES,
+      summary: 'Tasks for a lead, open first, then by due date',
+      params: [leadId],
+      ok: ['200', 'Tasks', arrayOf(ref('Task'))],
+      errors: [400, 404]
+    }),
+    post: op({
+      tag: ACTIVITIES,
+      summary: 'Create a follow-up task, assigned to the creator unless assignedTo is given (editor)',
+      params: [leadId],
+      body: object({
+        title: { type: 'string', minLength: 2, maxLength: 200 },
+        description: { type: 'string', maxLength: 5000 },
+        dueAt: nullable(DATE_TIME),
+        assignedTo: nullable(INTEGER)
+      }, ['title']),
+      ok: ['201', 'Created task', ref('Task')],
+      errors: [400, 404]
+    })
+  },
+  '/leads/{id}/tasks/{taskId}': {
+    put: op({
+      tag: ACTIVITIES,
+      summary: 'Update a task; completed: true|false marks it done or reopens it (editor)',
+      params: [leadId, pathParam('taskId', 'Task ID')],
+      body: object({
+        title: STRING,
+        description: STRING,
+        dueAt: nullable(DATE_TIME),
+        assignedTo: nullable(INTEGER),
+        completed: BOOLEAN
+      }),
+      ok: ['200', 'Updated task', ref('Task')],
+      errors: [400, 404]
+    }),
+    delete: op({
+      tag: ACTIVITIES,
+      summary: 'Delete a task (editor)',
+      params: [leadId, pathParam('taskId', 'Task ID')],
+      ok: ['200', 'Deleted task', ref('Task')],
+      errors: [400, 404]
+    })
+  },
+  '/leads/{id}/emails': {
+    get: op({
+      tag: ACTIVITIES,
+      summary: 'Emails sent to the lead, newest first',
+      params: [leadId],
+      ok: ['200', 'Emails', arrayOf(ref('Email'))],
+      errors: [400, 404]
+    }),
+    post: op({
+      tag: ACTIVITIES,
+      summary: 'Email the lead from a template; queued and logged as an activity (editor)',
+      params: [leadId],
+      body: object({ templateKey: STRING, variables: { type: 'object', additionalProperties: true } }, ['templateKey']),
+      ok: ['202', 'Queued', object({
+        email: object({ id: INTEGER, templateKey: STRING, to: STRING, subject: STRING, status: STRING }),
+        activity: ref('Activity')
+      })],
+      errors: [400, 404]
+    })
+  }
+};
+
+module.exports = {
+  openapi: '3.0.3',
+  info: {
+    title: 'FunnelFlow API',
+    version,
+    description: 'Accounts, sessions and leads. Errors are JSON { error, details?, requestId }.'
+  },
+  servers: [{ url: '/api' }],
+  tags: [{ name: AUTH }, { name: LEADS }, { name: ACTIVITIES }],
+  paths: { ...authPaths, ...leadPaths },
+  components
+};
@@ -0,0 +1,178 @@
+// 📄 lib/pipelines.js – Workspace pipeline lookups shared by the leads and pipelines routes
+const { withTransaction } = require('./transaction');
+
+const DEFAULT_PIPELINE_NAME = 'Sales Funnel';
+
+const DEFAULT_STAGES = [
+  { name: 'awareness', label: 'Awareness', terminal: null, probability: 20 },
+  { name: 'interest', label: 'Interest', terminal: null, probability: 40 },
+  { name: 'intent', label: 'Intent', terminal: null, probability: 60 },
+  { name: 'evaluation', label: 'Evaluation', terminal: null, probability: 80 },
+  { name: 'purchase', label: 'Purchase', terminal: 'won', probability: 100 }
+];
+
+const TERMINAL_TYPES = ['won', 'lost'];
+
+// Chance (0-100) that a lead in `stage` is won, when the pipeline does not say:
+// won stages 100, lost stages 0, open stages spaced evenly in funnel order
+function defaultProbability(stage, openStages) {
+  if (stage.terminal) return stage.terminal === 'won' ? 100 : 0;
+  return Math.round(((openStages.indexOf(stage) + 1) * 100) / (openStages.length + 1));
+}
+
+async function attachStages(db, pipelines) {
+  if (pipelines.length === 0) return pipelines;
+
+  const result = await db.query(
+    `SELECT pipeline_id, name, label, position, terminal, probability
+     FROM pipeline_stages
+     WHERE pipeline_id = ANY($1)
+     ORDER BY pipeline_id, position`,
+    [pipelines.map(p => p.id)]
+  );
+
+  return pipelines.map(pipeline => ({
+    ...pipeline,
+    stages: result.rows
+      .filter(row => row.pipeline_id === pipeline.id)
+      .map(({ name, label, position, terminal, probability }) => ({ name, label, position, terminal, probability }))
+  }));
+}
+
+async function insertStages(db, pipelineId, stages) {
+  for (const [position, stage] of stages.entries()) {
+    await db.query(
+      `INSERT INTO pipeline_stages (pipeline_id, name, label, position, terminal, probability)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [pipelineId, stage.name, stage.label, position, stage.terminal || null, stage.probability]
+    );
+  }
+}
+
+// Returns the workspace's default pipeline, creating the classic five-stage funnel on first use
+async function ensureDefaultPipeline(db, workspaceId) {
+  const existing = await db.query(
+    'SELECT * FROM pipelines WHERE workspace_id = $1 AND is_default',
+    [workspaceId]
+  );
+  if (existing.rows.length > 0) {
+    const [pipeline] = await attachStages(db, existing.rows);
+    return pipeline;
+  }
+
+  // Created in its own transaction so the pipeline never exists without its stages
+  const created = await withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO pipelines (workspace_id, name, is_default)
+       VALUES ($1, $2, TRUE)
+       ON CONFLICT (workspace_id) WHERE is_default DO NOTHING
+       RETURNING *`,
+      [workspaceId, DEFAULT_PIPELINE_NAME]
+    );
+    if (result.rows.length > 0) await insertStages(client, result.rows[0].id, DEFAULT_STAGES);
+    return result.rows;
+  });
+
+  // Another request created it concurrently
+  if (created.length === 0) return ensureDefaultPipeline(db, workspaceId);
+
+  const [pipeline] = await attachStages(db, created);
+  return pipeline;
+}
+
+async function getPipeline(db, workspaceId, pipelineId) {
+  const result = await db.query(
+    'SELECT * FROM pipelines WHERE id = $1 AND workspace_id = $2',
+    [pipelineId, workspaceId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const [pipeline] = await attachStages(db, result.rows);
+  return pipeline;
+}
+
+// Pipeline named by the client, or the workspace default when none is given
+async function resolvePipeline(db, workspaceId, pipelineId) {
+  if (pipelineId === undefined || pipelineId === null || pipelineId === '') {
+    return ensureDefaultPipeline(db, workspaceId);
+  }
+  const id = parseInt(pipelineId);
+  if (isNaN(id)) return null;
+  return getPipeline(db, workspaceId, id);
+}
+
+async function listPipelines(db, workspaceId) {
+  await ensureDefaultPipeline(db, workspaceId);
+  const result = await db.query(
+    'SELECT * FROM pipelines WHERE workspace_id = $1 ORDER BY is_default DESC, created_at ASC',
+    [workspaceId]
+  );
+  return attachStages(db, result.rows);
+}
+
+function stageNames(pipeline) {
+  return pipeline.stages.map(stage => stage.name);
+}
+
+function emptyBoard(pipeline) {
+  return pipeline.stages.reduce((acc, stage) => {
+    acc[stage.name] = [];
+    return acc;
+  }, {});
+}
+
+// Normalizes a stage list from a request body and returns { stages, errors }
+function normalizeStages(rawStages) {
+  const errors = [];
+  if (!Array.isArray(rawStages) || rawStages.length === 0) {
+    return { stages: [], errors: ['Pipeline must have at least one stage'] };
+  }
+
+  const stages = rawStages.map((raw, index) => {
+    const stage = typeof raw === 'string' ? { name: raw } : raw || {};
+    const name = String(stage.name || '').trim().toLowerCase();
+    const label = String(stage.label || '').trim() || name;
+    const terminal = stage.terminal || null;
+    const probability = stage.probability ?? null;
+
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+      errors.push(`Stage ${index + 1}: name must contain only letters, numbers, "-" or "_"`);
+    }
+    if (terminal && !TERMINAL_TYPES.includes(terminal)) {
+      errors.push(`Stage ${index + 1}: terminal must be "won", "lost" or empty`);
+    }
+    if (probability !== null && !(Number.isInteger(probability) && probability >= 0 && probability <= 100)) {
+      errors.push(`Stage ${index + 1}: probability must be a whole number from 0 to 100`);
+    }
+    return { name, label, terminal, probability };
+  });
+
+  const openStages = stages.filter(s => !s.terminal);
+  stages
+    .filter(s => s.probability === null)
+    .forEach(s => { s.probability = defaultProbability(s, openStages); });
+
+  const names = stages.map(s => s.name);
+  const duplicates = names.filter((name, i) => names.indexOf(name) !== i);
+  if (duplicates.length > 0) {
+    errors.push(`Duplicate stage names: ${[...new Set(duplicates)].join(', ')}`);
+  }
+  if (stages.every(s => s.terminal)) {
+    errors.push('Pipeline needs at least one non-terminal stage');
+  }
+
+  return { stages, errors };
+}
+
+module.exports = {
+  DEFAULT_STAGES,
+  TERMINAL_TYPES,
+  ensureDefaultPipeline,
+  getPipeline,
+  resolvePipeline,
+  listPipelines,
+  insertStages,
+  stageNames,
+  emptyBoard,
+  normalizeStages
+};
@@ -0,0 +1,177 @@
+// 📄 lib/rateLimit.js – Rate limiters with swappable hit-counter storage
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const pool = require('../db');
+const { config } = require('./config');
+
+const CLEANUP_INTERVAL_MS = 10 * 60000;
+
+/**
+ * express-rate-limit store backed by the rate_limit_hits table, so every API instance
+ * shares the same counters. Expired windows are reset on the next hit and swept periodically.
+ */
+class PostgresStore {
+  constructor({ prefix, db = pool }) {
+    this.prefix = `${prefix}:`;
+    this.db = db;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.timer = setInterval(() => {
+      this.db.query('DELETE FROM rate_limit_hits WHERE reset_at < NOW()')
+        .catch(err => console.error('❌ Rate limit cleanup error:', err));
+    }, CLEANUP_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  async increment(key) {
+    const result = await this.db.query(
+      `INSERT INTO rate_limit_hits (key, hits, reset_at)
+       VALUES ($1, 1, NOW() + make_interval(secs => $2))
+       ON CONFLICT (key) DO UPDATE SET
+         hits = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN 1 ELSE rate_limit_hits.hits + 1 END,
+         reset_at = CASE WHEN rate_limit_hits.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_hits.reset_at END
+       RETURNING hits, EXTRACT(EPOCH FROM reset_at - NOW()) * 1000 AS remaining_ms`,
+      [this.prefix + key, this.windowMs / 1000]
+    );
+    const { hits, remaining_ms: remainingMs } = result.rows[0];
+    return { totalHits: hits, resetTime: new Date(Date.now() + Number(remainingMs)) };
+  }
+
+  async decrement(key) {
+    await this.db.query(
+      'UPDATE rate_limit_hits SET hits = GREATEST(hits - 1, 0) WHERE key = $1',
+      [this.prefix + key]
+    );
+  }
+
+  async resetKey(key) {
+    await this.db.query('DELETE FROM rate_limit_hits WHERE key = $1', [this.prefix + key]);
+  }
+
+  shutdown() {
+    clearInterval(this.timer);
+  }
+}
+
+// RATE_LIMIT_STORE=postgres when running more than one instance; the default keeps counters in memory
+const STORES = {
+  memory: () => new MemoryStore(),
+  postgres: (prefix) => new PostgresStore({ prefix })
+};
+
+function createStore(prefix) {
+  return STORES[config.auth.rateLimitStore](prefix);
+}
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+/**
+ * A limiter answering 429 with a JSON error and Retry-After.
+ * `name` namespaces its counters; `keyGenerator` defaults to the client IP.
+ * With `skipSuccessfulRequests` only responses with status >= 400 count.
+ */
+function createLimiter({
+  name,
+  windowMs,
+  max,
+  keyGenerator,
+  skipSuccessfulRequests = false,
+  message = 'Too many requests. Please try again later.'
+}) {
+  return rateLimit({
+    windowMs,
+    max,
+    keyGenerator,
+    skipSuccessfulRequests,
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: createStore(name),
+    handler: (req, res, next, options) => {
+      res.status(options.statusCode).json({ error: message });
+    }
+  });
+}
+
+const MINUTE = 60000;
+
+// Per-IP ceiling for everything under /api/auth
+const authIpLimiter = createLimiter({ name: 'auth-ip', windowMs: 15 * MINUTE, max: 100 });
+
+// Password guessing: per IP across accounts, and per account across IPs (failed attempts only)
+const loginIpLimiter = createLimiter({
+  name: 'login-ip',
+  windowMs: 15 * MINUTE,
+  max: 20,
+  skipSuccessfulRequests: true,
+  message: 'Too many login attempts. Please try again later.'
+});
+const loginAccountLimiter = createLimiter({
+  name: 'login-account',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  keyGenerator: (req) => normalizeEmail(req.body.email),
+  skipSuccessfulRequests: true,
+  message: 'Too many login attempts. Please try again later.'
+});
+
+// Reset emails: keeps any one inbox (and any one client) from being flooded
+const resetIpLimiter = createLimiter({
+  name: 'reset-ip',
+  windowMs: 60 * MINUTE,
+  max: 10,
+  message: 'Too many reset requests. Please try again later.'
+});
+const resetAccountLimiter = createLimiter({
+  name: 'reset-account',
+  windowMs: 60 * MINUTE,
+  max: 3,
+  keyGenerator: (req) => normalizeEmail(req.body.email),
+  message: 'Too many reset requests. Please try again later.'
+});
+
+// Sign-ups: every request may send an email, so the same limits as reset requests
+const registerIpLimiter = createLimiter({
+  name: 'register-ip',
+  windowMs: 60 * MINUTE,
+  max: 10,
+  message: 'Too many sign-up attempts. Please try again later.'
+});
+const registerAccountLimiter = createLimiter({
+  name: 'register-account',
+  windowMs: 60 * MINUTE,
+  max: 3,
+  keyGenerator: (req) => normalizeEmail(req.body.email),
+  message: 'Too many sign-up attempts. Please try again later.'
+});
+
+// Public lead capture: per client IP, and per key so one leaked form token cannot flood a workspace
+const captureIpLimiter = createLimiter({
+  name: 'capture-ip',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  message: 'Too many submissions. Please try again later.'
+});
+const captureKeyLimiter = createLimiter({
+  name: 'capture-key',
+  windowMs: 60 * MINUTE,
+  max: 500,
+  keyGenerator: (req) => String(req.captureKey.id),
+  message: 'Too many submissions for this form. Please try again later.'
+});
+
+module.exports = {
+  PostgresStore,
+  createLimiter,
+  normalizeEmail,
+  authIpLimiter,
+  loginIpLimiter,
+  loginAccountLimiter,
+  resetIpLimiter,
+  resetAccountLimiter,
+  registerIpLimiter,
+  registerAccountLimiter,
+  captureIpLimiter,
+  captureKeyLimiter
+};
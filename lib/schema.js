@@ -0,0 +1,112 @@
+// 📄 lib/schema.js – Declarative request-body schemas
+//
+// A schema maps body keys to rules:
+//   { email: { type: 'string', required: true, format: 'email' },
+//     tags: { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 20 } }
+// Keys not in the schema are left alone; routes still apply their own semantic checks.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === 'object' && !Array.isArray(value),
+  // Row IDs, as numbers or numeric strings (form selects send strings)
+  id: (value) => (Number.isInteger(value) && value > 0) || (typeof value === 'string' && /^\d+$/.test(value)),
+  // ISO 8601 date or timestamp
+  date: (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value)),
+  any: () => true
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object',
+  id: 'an ID',
+  date: 'an ISO date',
+  any: 'a value'
+};
+
+function checkValue(value, rule, path, errors) {
+  if (value === null) {
+    if (!rule.nullable) errors.push(`${path} must not be null`);
+    return;
+  }
+
+  const types = [].concat(rule.type || 'any');
+  const type = types.find(name => TYPE_CHECKS[name](value));
+  if (!type) {
+    errors.push(`${path} must be ${types.map(name => TYPE_NAMES[name]).join(' or ')}`);
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  if (type === 'string') {
+    const length = value.trim().length;
+    if (rule.minLength !== undefined && length < rule.minLength) {
+      errors.push(rule.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+      errors.push(`${path} must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.format === 'email' && length > 0 && !EMAIL_PATTERN.test(value.trim())) {
+      errors.push(`${path} must be a valid email address`);
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (rule.min !== undefined && value < rule.min) errors.push(`${path} must be at least ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) errors.push(`${path} must be at most ${rule.max}`);
+  }
+
+  if (type === 'array') {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push(`${path} must have at most ${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      value.forEach((item, i) => checkValue(item, rule.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (type === 'object' && rule.properties) {
+    errors.push(...validate(rule.properties, value, `${path}.`));
+  }
+}
+
+// Every problem with `body`, as messages like "email is required" (empty when valid)
+function validate(schema, body, prefix = '') {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return [prefix ? `${prefix.slice(0, -1)} must be an object` : 'Request body must be a JSON object'];
+  }
+
+  const errors = [];
+  for (const [key, rule] of Object.entries(schema)) {
+    const path = prefix + key;
+    if (body[key] === undefined) {
+      if (rule.required) errors.push(`${path} is required`);
+      continue;
+    }
+    checkValue(body[key], rule, path, errors);
+  }
+  return errors;
+}
+
+// 🔹 Route middleware: 400 { error: 'Validation failed', details } when the body does not match
+const validateBody = (schema) => (req, res, next) => {
+  const errors = validate(schema, req.body ?? {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+  next();
+};
+
+module.exports = { validate, validateBody };
@@ -0,0 +1,251 @@
+// 📄 lib/scoring.js – Rule-based lead scoring: evaluation, storage and explanations
+const pool = require('../db');
+const { config } = require('./config');
+const { STRATEGIES_COLUMN } = require('./contentStrategies');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const NUMERIC_OPERATORS = ['lt', 'lte', 'gt', 'gte'];
+
+// Operators each rule field supports
+const RULE_FIELDS = {
+  stage: ['eq', 'neq', 'in'],
+  age_days: NUMERIC_OPERATORS,
+  content_strategy: ['contains', 'in'],
+  email_domain: ['eq', 'neq', 'in'],
+  last_activity_days: NUMERIC_OPERATORS,
+  custom_field: ['eq', 'neq', 'in', 'contains', 'exists', ...NUMERIC_OPERATORS]
+};
+
+const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+// Problems with one field/operator/value test, shared by scoring rules and automation conditions
+function conditionErrors({ field, fieldKey, operator, value }) {
+  const errors = [];
+  if (!RULE_FIELDS[field]) {
+    errors.push(`field must be one of: ${Object.keys(RULE_FIELDS).join(', ')}`);
+  } else if (!RULE_FIELDS[field].includes(operator)) {
+    errors.push(`operator for ${field} must be one of: ${RULE_FIELDS[field].join(', ')}`);
+  }
+  if (field === 'custom_field' && (typeof fieldKey !== 'string' || !fieldKey.trim())) {
+    errors.push('fieldKey is required for custom_field rules');
+  }
+  if (NUMERIC_OPERATORS.includes(operator) && typeof value !== 'number') {
+    errors.push(`value must be a number for "${operator}"`);
+  }
+  if (operator === 'in' && (!Array.isArray(value) || value.length === 0)) {
+    errors.push('value must be a non-empty array for "in"');
+  }
+  if (['eq', 'neq', 'contains'].includes(operator) && (value === undefined || value === null)) {
+    errors.push(`value is required for "${operator}"`);
+  }
+  return errors;
+}
+
+/**
+ * Validate a rule body ({ name, field, fieldKey, operator, value, points, active }).
+ * When updating, pass the stored rule as `existing` so omitted keys keep their values.
+ */
+function validateRule(body, existing = null) {
+  const rule = {
+    name: body.name ?? existing?.name,
+    field: body.field ?? existing?.field,
+    fieldKey: body.fieldKey ?? existing?.field_key ?? null,
+    operator: body.operator ?? existing?.operator,
+    value: body.value !== undefined ? body.value : existing?.value,
+    points: body.points ?? existing?.points,
+    active: body.active ?? existing?.active ?? true
+  };
+
+  const errors = [];
+  if (typeof rule.name !== 'string' || rule.name.trim().length < 2) {
+    errors.push('Rule name must be at least 2 characters');
+  }
+  errors.push(...conditionErrors(rule));
+  if (!Number.isInteger(rule.points)) {
+    errors.push('points must be a whole number (negative to penalise)');
+  }
+  if (typeof rule.active !== 'boolean') {
+    errors.push('active must be true or false');
+  }
+
+  if (errors.length > 0) return { errors };
+  return {
+    rule: {
+      ...rule,
+      name: rule.name.trim(),
+      fieldKey: rule.field === 'custom_field' ? rule.fieldKey.trim() : null,
+      value: rule.operator === 'exists' ? null : rule.value
+    }
+  };
+}
+
+function compare(operator, actual, expected) {
+  if (actual === undefined || actual === null || actual === '') {
+    return false;
+  }
+  switch (operator) {
+    case 'exists': return true;
+    case 'eq': return normalize(actual) === normalize(expected);
+    case 'neq': return normalize(actual) !== normalize(expected);
+    case 'in': return expected.map(normalize).includes(normalize(actual));
+    case 'contains':
+      return Array.isArray(actual)
+        ? actual.map(normalize).includes(normalize(expected))
+        : String(actual).toLowerCase().includes(String(expected).toLowerCase());
+    case 'lt': return Number(actual) < expected;
+    case 'lte': return Number(actual) <= expected;
+    case 'gt': return Number(actual) > expected;
+    case 'gte': return Number(actual) >= expected;
+    default: return false;
+  }
+}
+
+// The lead attribute a condition looks at; `lead.last_activity_at` comes from rescoreLeads' query
+function conditionInput({ field, fieldKey }, lead, now) {
+  switch (field) {
+    case 'stage': return lead.stage;
+    case 'age_days': return lead.created_at ? (now - new Date(lead.created_at)) / DAY_MS : null;
+    case 'content_strategy': return (lead.strategies || []).map(s => s.name);
+    case 'email_domain': return lead.email && lead.email.includes('@') ? lead.email.split('@').pop() : null;
+    case 'last_activity_days':
+      return lead.last_activity_at ? (now - new Date(lead.last_activity_at)) / DAY_MS : null;
+    case 'custom_field': return lead.custom_fields ? lead.custom_fields[fieldKey] : null;
+    default: return null;
+  }
+}
+
+// Whether `lead` passes one { field, fieldKey, operator, value } test
+function conditionMatches(condition, lead, now = new Date()) {
+  const actual = conditionInput(condition, lead, now);
+  return condition.operator === 'in' && condition.field === 'content_strategy'
+    ? actual.some(tag => compare('in', tag, condition.value))
+    : compare(condition.operator, actual, condition.value);
+}
+
+// Score one lead and keep the per-rule breakdown for explanations
+function evaluateLead(lead, rules, now = new Date()) {
+  const breakdown = rules.map(rule => {
+    const condition = { ...rule, fieldKey: rule.field_key };
+    const actual = conditionInput(condition, lead, now);
+    const matched = conditionMatches(condition, lead, now);
+    return {
+      ruleId: rule.id,
+      name: rule.name,
+      field: rule.field,
+      fieldKey: rule.field_key,
+      operator: rule.operator,
+      value: rule.value,
+      points: rule.points,
+      actual: typeof actual === 'number' ? +actual.toFixed(1) : actual ?? null,
+      matched
+    };
+  });
+  const score = breakdown.reduce((sum, entry) => sum + (entry.matched ? entry.points : 0), 0);
+  return { score, breakdown };
+}
+
+function loadRules(db, workspaceId, { activeOnly = true } = {}) {
+  return db
+    .query(
+      `SELECT * FROM scoring_rules
+       WHERE workspace_id = $1 AND ($2 = FALSE OR active)
+       ORDER BY id`,
+      [workspaceId, activeOnly]
+    )
+    .then(result => result.rows);
+}
+
+// Leads plus their latest activity time, which recency rules score on
+function loadScorableLeads(db, workspaceId, leadIds) {
+  return db
+    .query(
+      `SELECT l.*, a.last_activity_at, ${STRATEGIES_COLUMN}
+       FROM leads_clean l
+       LEFT JOIN LATERAL (
+         SELECT MAX(occurred_at) AS last_activity_at
+         FROM lead_activities
+         WHERE lead_id = l.id
+       ) a ON TRUE
+       WHERE l.workspace_id = $1 AND l.deleted_at IS NULL
+         AND ($2::int[] IS NULL OR l.id = ANY($2))`,
+      [workspaceId, leadIds]
+    )
+    .then(result => result.rows);
+}
+
+/**
+ * Recompute and store scores for `leadIds` (or every lead in the workspace).
+ * Returns a Map of lead id → score so callers can return fresh rows.
+ */
+async function rescoreLeads(db, workspaceId, leadIds = null) {
+  const [rules, leads] = await Promise.all([
+    loadRules(db, workspaceId),
+    loadScorableLeads(db, workspaceId, leadIds)
+  ]);
+
+  const now = new Date();
+  const scores = new Map(leads.map(lead => [lead.id, evaluateLead(lead, rules, now).score]));
+  if (scores.size === 0) return scores;
+
+  await db.query(
+    `UPDATE leads_clean l SET score = s.score, score_updated_at = CURRENT_TIMESTAMP
+     FROM unnest($1::int[], $2::int[]) AS s(id, score)
+     WHERE l.id = s.id`,
+    [[...scores.keys()], [...scores.values()]]
+  );
+  return scores;
+}
+
+// Re-evaluate a lead against the current rules and show which ones contributed
+async function explainLeadScore(db, workspaceId, leadId) {
+  const [rules, leads] = await Promise.all([
+    loadRules(db, workspaceId),
+    loadScorableLeads(db, workspaceId, [leadId])
+  ]);
+  if (leads.length === 0) return null;
+
+  const lead = leads[0];
+  const { score, breakdown } = evaluateLead(lead, rules);
+  return {
+    leadId: lead.id,
+    score,
+    storedScore: lead.score,
+    scoredAt: lead.score_updated_at,
+    rules: breakdown
+  };
+}
+
+// Age and activity-recency rules drift with time, so rescore those workspaces hourly
+async function refreshTimeBasedScores() {
+  const workspaces = await pool.query(
+    `SELECT DISTINCT workspace_id FROM scoring_rules
+     WHERE active AND field IN ('age_days', 'last_activity_days')`
+  );
+  for (const { workspace_id: workspaceId } of workspaces.rows) {
+    await rescoreLeads(pool, workspaceId);
+  }
+  return workspaces.rows.length;
+}
+
+function startScoreRefresher({ intervalMs = config.workers.scoreRefreshMs } = {}) {
+  const timer = setInterval(() => {
+    refreshTimeBasedScores().catch(err => console.error('❌ Score refresh error:', err));
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  RULE_FIELDS,
+  conditionErrors,
+  conditionMatches,
+  validateRule,
+  evaluateLead,
+  loadRules,
+  loadScorableLeads,
+  rescoreLeads,
+  explainLeadScore,
+  refreshTimeBasedScores,
+  startScoreRefresher
+};
@@ -0,0 +1,148 @@
+// 📄 lib/sessions.js – Access tokens, rotating refresh tokens and session revocation
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const JWT_SECRET = config.auth.jwtSecret;
+const ACCESS_TOKEN_TTL = config.auth.accessTokenTtl;
+const REFRESH_TOKEN_TTL_MS = config.auth.refreshTokenTtlDays * 24 * 3600000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session row can be found directly
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  const id = parseInt(sessionId);
+  return isNaN(id) || !secret ? null : id;
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ id: user.id, email: user.email, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+}
+
+// Start a new session for a successful login/registration
+async function createSession(db, user, req) {
+  const result = await db.query(
+    `INSERT INTO auth_sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES ($1, '', $2, $3, $4)
+     RETURNING id`,
+    [user.id, req.get('user-agent') || null, req.ip || null, new Date(Date.now() + REFRESH_TOKEN_TTL_MS)]
+  );
+  const sessionId = result.rows[0].id;
+  const refreshToken = newRefreshToken(sessionId);
+
+  await db.query('UPDATE auth_sessions SET refresh_token_hash = $1 WHERE id = $2', [
+    hashToken(refreshToken),
+    sessionId
+  ]);
+
+  return { token: signAccessToken(user, sessionId), refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Returns { token, refreshToken, user } or { error } when the token is unusable.
+ * Replaying an already-rotated token revokes the whole session.
+ */
+async function rotateSession(db, refreshToken) {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return { error: 'Invalid refresh token' };
+
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(sessionId);
+
+  const result = await db.query(
+    `UPDATE auth_sessions s SET
+      previous_token_hash = s.refresh_token_hash,
+      refresh_token_hash = $1,
+      last_used_at = NOW(),
+      expires_at = $2
+     FROM "user" u
+     WHERE s.id = $3 AND s.refresh_token_hash = $4
+       AND s.revoked_at IS NULL AND s.expires_at > NOW()
+       AND u.id = s.user_id
+     RETURNING u.id, u.email`,
+    [hashToken(nextToken), new Date(Date.now() + REFRESH_TOKEN_TTL_MS), sessionId, presentedHash]
+  );
+
+  if (result.rows.length === 0) {
+    const reused = await db.query(
+      `UPDATE auth_sessions SET revoked_at = NOW()
+       WHERE id = $1 AND previous_token_hash = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [sessionId, presentedHash]
+    );
+    if (reused.rows.length > 0) {
+      console.warn(`⚠️ Refresh token reuse detected, session ${sessionId} revoked`);
+    }
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  const user = result.rows[0];
+  return { token: signAccessToken(user, sessionId), refreshToken: nextToken, user };
+}
+
+async function revokeSession(db, sessionId, userId) {
+  await db.query(
+    'UPDATE auth_sessions SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+}
+
+async function revokeAllSessions(db, userId) {
+  const result = await db.query(
+    'UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL RETURNING id',
+    [userId]
+  );
+  return result.rows.length;
+}
+
+// Access tokens are only honoured while their session is alive; returns the account row or null
+async function findActiveSession(db, decoded) {
+  if (!decoded || !decoded.sid) return null;
+  const result = await db.query(
+    `SELECT u.email, u.email_verified_at
+     FROM auth_sessions s
+     JOIN "user" u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [decoded.sid, decoded.id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Verify an access token's signature, expiry and session.
+ * Returns { user } (with the current email and emailVerified flag) or { status, error }.
+ */
+async function verifyAccessToken(db, token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return err.name === 'TokenExpiredError'
+      ? { status: 401, error: 'Unauthorized - Token expired' }
+      : { status: 403, error: 'Forbidden - Invalid token' };
+  }
+
+  const account = await findActiveSession(db, decoded);
+  if (!account) {
+    return { status: 401, error: 'Unauthorized - Session has been revoked' };
+  }
+  return {
+    user: { ...decoded, email: account.email, emailVerified: Boolean(account.email_verified_at) }
+  };
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken
+};
@@ -0,0 +1,75 @@
+// 📄 lib/stageHistory.js – Stage transition log and the analytics derived from it
+// Append a row to lead_stage_history (never updated afterwards).
+// clock_timestamp(), not the transaction start: an update that waited on the lead's row lock
+// must sort after the one it waited for.
+function recordStageChange(db, { leadId, changedBy, fromStage, toStage }) {
+  return db.query(
+    `INSERT INTO lead_stage_history (lead_id, changed_by, from_stage, to_stage, changed_at)
+     VALUES ($1, $2, $3, $4, clock_timestamp())`,
+    [leadId, changedBy, fromStage, toStage]
+  );
+}
+
+/**
+ * Per-stage time-in-stage and stage-to-stage conversion for leads of one pipeline,
+ * optionally limited to leads created in [from, to].
+ * Only completed stays count toward time-in-stage; the current stage is still open.
+ * A lead "advanced" from a stage if it later entered a stage further down the pipeline.
+ */
+async function stageHistoryStats(db, { workspaceId, pipeline, from = null, to = null }) {
+  const result = await db.query(
+    `WITH history AS (
+       SELECT h.id, h.lead_id, h.to_stage, h.changed_at,
+              LEAD(h.changed_at) OVER (PARTITION BY h.lead_id ORDER BY h.changed_at, h.id) AS left_at
+       FROM lead_stage_history h
+       JOIN leads_clean l ON l.id = h.lead_id
+       WHERE l.workspace_id = $1 AND l.pipeline_id = $2 AND l.deleted_at IS NULL
+         AND ($3::timestamp IS NULL OR l.created_at >= $3)
+         AND ($4::timestamp IS NULL OR l.created_at <= $4)
+     ), positioned AS (
+       SELECT history.*, s.position,
+              MAX(s.position) OVER (
+                PARTITION BY history.lead_id ORDER BY history.changed_at, history.id
+                ROWS BETWEEN 1 FOLLOWING AND UNBOUNDED FOLLOWING
+              ) AS later_position,
+              EXTRACT(EPOCH FROM history.left_at - history.changed_at) / 86400 AS days
+       FROM history
+       JOIN pipeline_stages s ON s.pipeline_id = $2 AND s.name = history.to_stage
+     )
+     SELECT to_stage AS stage,
+            COUNT(days)::int AS samples,
+            AVG(days) AS avg_days,
+            PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY days) AS median_days,
+            COUNT(DISTINCT lead_id)::int AS entered,
+            COUNT(DISTINCT lead_id) FILTER (WHERE later_position > position)::int AS advanced
+     FROM positioned
+     GROUP BY to_stage`,
+    [workspaceId, pipeline.id, from, to]
+  );
+
+  const byStage = new Map(result.rows.map(row => [row.stage, row]));
+  const round = (value) => (value === null ? null : +Number(value).toFixed(1));
+
+  const timeInStage = {};
+  const stageConversionRates = {};
+  pipeline.stages.forEach(({ name }) => {
+    const row = byStage.get(name) || { samples: 0, avg_days: null, median_days: null, entered: 0, advanced: 0 };
+    timeInStage[name] = {
+      samples: row.samples,
+      avgDays: row.samples > 0 ? round(row.avg_days) : null,
+      medianDays: row.samples > 0 ? round(row.median_days) : null
+    };
+    stageConversionRates[name] = {
+      entered: row.entered,
+      advanced: row.advanced,
+      rate: row.entered > 0 ? Math.round((row.advanced / row.entered) * 100) : 0
+    };
+  });
+
+  return { timeInStage, stageConversionRates };
+}
+
+module.exports = {
+  recordStageChange,
+  stageHistoryStats
+};
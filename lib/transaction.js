@@ -0,0 +1,20 @@
+// 📄 lib/transaction.js
+const pool = require('../db');
+
+// Run queries on a single client inside BEGIN/COMMIT, rolling back on error
+async function withTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { withTransaction };
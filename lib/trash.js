@@ -0,0 +1,49 @@
+// 📄 lib/trash.js – Soft-deleted leads: retention and permanent purging
+const pool = require('../db');
+const { config } = require('./config');
+
+// Trashed leads are kept this long before the scheduled purge removes them
+const TRASH_RETENTION_DAYS = config.workers.trashRetentionDays;
+
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 86400000);
+}
+
+/**
+ * Permanently delete trashed leads; history, activities, tasks and strategy links cascade.
+ * Limit by workspaceId, leadIds and/or olderThanDays (time spent in the trash).
+ * Returns the purged rows.
+ */
+async function purgeTrashedLeads(db, { workspaceId = null, leadIds = null, olderThanDays = null } = {}) {
+  const result = await db.query(
+    `DELETE FROM leads_clean
+     WHERE deleted_at IS NOT NULL
+       AND ($1::int IS NULL OR workspace_id = $1)
+       AND ($2::int[] IS NULL OR id = ANY($2))
+       AND ($3::int IS NULL OR deleted_at < NOW() - make_interval(days => $3))
+     RETURNING *`,
+    [workspaceId, leadIds, olderThanDays]
+  );
+  return result.rows;
+}
+
+// Purge leads past the retention period every few hours
+function startTrashPurger({ intervalMs = config.workers.trashPurgeMs } = {}) {
+  const purge = () => purgeTrashedLeads(pool, { olderThanDays: TRASH_RETENTION_DAYS })
+    .then(purged => {
+      if (purged.length > 0) console.log(`🗑️ Purged ${purged.length} lead(s) from the trash`);
+    })
+    .catch(err => console.error('❌ Trash purge error:', err));
+
+  purge();
+  const timer = setInterval(purge, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeDate,
+  purgeTrashedLeads,
+  startTrashPurger
+};
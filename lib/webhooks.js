@@ -0,0 +1,243 @@
+// 📄 lib/webhooks.js – Webhook event queueing, signing and delivery with retries
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const pool = require('../db');
+const { config } = require('./config');
+const { STREAM_EVENTS, publishLeadEvent } = require('./leadStream');
+
+const WEBHOOK_EVENTS = [
+  'lead.created',
+  'lead.updated',
+  'lead.deleted',
+  'lead.restored',
+  'lead.stage_changed',
+  'lead.won',
+  'lead.merged',
+  'ping'
+];
+
+const MAX_ATTEMPTS = config.workers.webhookMaxAttempts;
+const BASE_RETRY_MS = config.workers.webhookRetryBaseMs;
+const MAX_RETRY_MS = 6 * 3600000; // 6 hours
+const REQUEST_TIMEOUT_MS = 10000;
+// A claimed delivery is hidden this long, so a crashed worker's batch is retried later
+const CLAIM_LEASE_MS = 2 * 60000;
+
+// Webhooks may only reach the public internet: never loopback, private, carrier-grade NAT,
+// link-local (cloud metadata), multicast or reserved addresses. IPv4-mapped IPv6 is checked as IPv4.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Resolve a webhook URL's host and refuse it if any of its addresses is off limits.
+ * Returns { target, address, family } to connect to, or { error }. WEBHOOK_ALLOWED_HOSTS lists
+ * hosts exempt from the check (a local receiver in development and tests).
+ */
+async function resolveWebhookTarget(url) {
+  const target = new URL(url);
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (err) {
+    return { error: `Could not resolve ${hostname}` };
+  }
+  if (addresses.length === 0) return { error: `Could not resolve ${hostname}` };
+  if (!config.webhookAllowedHosts.includes(hostname) && addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { error: 'url must not point at a private, loopback or link-local address' };
+  }
+  return { target, ...addresses[0] };
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Receivers recompute this over "<timestamp>.<raw body>" with their copy of the secret
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Exponential backoff with up to 10% jitter: 30s, 1m, 2m, 4m ... capped at 6h
+function retryDelay(attempts) {
+  const delay = Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+/**
+ * Queue `event` for every active webhook in the workspace subscribed to it, and for open
+ * boards if it is a lead event. Pass the transaction client so nothing is sent unless the change commits.
+ */
+async function enqueueEvent(db, workspaceId, event, data) {
+  const payload = { event, workspaceId, occurredAt: new Date().toISOString(), data };
+  await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     SELECT id, $2, $3 FROM webhooks
+     WHERE workspace_id = $1 AND active AND $2 = ANY(events)`,
+    [workspaceId, event, payload]
+  );
+  if (STREAM_EVENTS.includes(event)) await publishLeadEvent(db, workspaceId, payload);
+}
+
+// Queue the events implied by a lead write: created/updated/deleted/restored plus stage movement
+async function enqueueLeadEvents(db, workspaceId, { type, lead, fromStage, pipeline }) {
+  await enqueueEvent(db, workspaceId, `lead.${type}`, { lead });
+
+  if (type === 'deleted' || !pipeline || lead.stage === fromStage) return;
+
+  if (type === 'updated') {
+    await enqueueEvent(db, workspaceId, 'lead.stage_changed', { lead, fromStage, toStage: lead.stage });
+  }
+  const entered = pipeline.stages.find(stage => stage.name === lead.stage);
+  if (entered && entered.terminal === 'won') {
+    await enqueueEvent(db, workspaceId, 'lead.won', { lead, fromStage: fromStage || null });
+  }
+}
+
+// Only the status code is kept: the response body of an arbitrary URL is never stored or shown
+async function postJson(url, body, headers) {
+  const resolved = await resolveWebhookTarget(url);
+  if (resolved.error) return { error: resolved.error };
+
+  const { target, address, family } = resolved;
+  return new Promise((resolve) => {
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(
+      target,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+        timeout: REQUEST_TIMEOUT_MS,
+        // Connect to the address that was checked, so a second DNS answer cannot swap it (rebinding)
+        lookup: (hostname, options, callback) => (options.all
+          ? callback(null, [{ address, family }])
+          : callback(null, address, family))
+      },
+      (res) => {
+        res.resume();
+        res.on('end', () => resolve({ statusCode: res.statusCode }));
+      }
+    );
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`)));
+    req.on('error', err => resolve({ error: err.message }));
+    req.end(body);
+  });
+}
+
+// Send one claimed delivery and record the outcome
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    createdAt: new Date(delivery.created_at).toISOString(),
+    ...delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  const result = await postJson(delivery.url, body, {
+    'User-Agent': 'FunnelFlow-Webhooks/1.0',
+    'X-FunnelFlow-Event': delivery.event,
+    'X-FunnelFlow-Delivery': String(delivery.id),
+    'X-FunnelFlow-Timestamp': String(timestamp),
+    'X-FunnelFlow-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`
+  });
+
+  const succeeded = !result.error && result.statusCode >= 200 && result.statusCode < 300;
+  const attempts = delivery.attempts + 1;
+  const error = result.error || (succeeded ? null : `HTTP ${result.statusCode}`);
+
+  await pool.query(
+    `INSERT INTO webhook_delivery_attempts (delivery_id, status_code, error, duration_ms)
+     VALUES ($1, $2, $3, $4)`,
+    [delivery.id, result.statusCode || null, error, Date.now() - started]
+  );
+
+  const status = succeeded ? 'succeeded' : attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  await pool.query(
+    `UPDATE webhook_deliveries SET
+      status = $1,
+      attempts = $2,
+      last_status_code = $3,
+      last_error = $4,
+      next_attempt_at = $5,
+      delivered_at = CASE WHEN $1 = 'succeeded' THEN NOW() ELSE NULL END
+     WHERE id = $6`,
+    [
+      status,
+      attempts,
+      result.statusCode || null,
+      error,
+      new Date(Date.now() + (status === 'pending' ? retryDelay(attempts) : 0)),
+      delivery.id
+    ]
+  );
+
+  return { id: delivery.id, status, attempts };
+}
+
+/**
+ * Claim and send up to `limit` due deliveries. Safe to run from several processes:
+ * rows are claimed with SKIP LOCKED and leased by pushing next_attempt_at forward.
+ */
+async function processDueDeliveries({ limit = 20 } = {}) {
+  const claimed = await pool.query(
+    `UPDATE webhook_deliveries d SET next_attempt_at = $2
+     FROM webhooks w
+     WHERE w.id = d.webhook_id AND d.id IN (
+       SELECT id FROM webhook_deliveries
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING d.*, w.url, w.secret`,
+    [limit, new Date(Date.now() + CLAIM_LEASE_MS)]
+  );
+
+  const results = [];
+  for (const delivery of claimed.rows) {
+    results.push(await attemptDelivery(delivery));
+  }
+  return results;
+}
+
+// Poll the queue in the background; returns a function that stops the worker
+function startWebhookWorker({ intervalMs = config.workers.webhookPollMs } = {}) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueDeliveries();
+    } catch (err) {
+      console.error('❌ Webhook worker error:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  resolveWebhookTarget,
+  signPayload,
+  enqueueEvent,
+  enqueueLeadEvents,
+  processDueDeliveries,
+  startWebhookWorker
+};
@@ -0,0 +1,72 @@
+// 📄 lib/workspaces.js – Workspace membership lookups and role checks
+const { withTransaction } = require('./transaction');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'editor', 'admin', 'owner'];
+
+function hasRole(role, minimumRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+}
+
+async function getMembership(db, workspaceId, userId) {
+  const result = await db.query(
+    `SELECT w.id, w.name, w.owner_id, w.is_personal, m.role
+     FROM workspaces w
+     JOIN workspace_members m ON m.workspace_id = w.id
+     WHERE w.id = $1 AND m.user_id = $2`,
+    [workspaceId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Returns the user's personal workspace membership, creating it on first use
+async function ensurePersonalWorkspace(db, userId) {
+  const existing = await db.query(
+    'SELECT id FROM workspaces WHERE owner_id = $1 AND is_personal',
+    [userId]
+  );
+  if (existing.rows.length > 0) return getMembership(db, existing.rows[0].id, userId);
+
+  const created = await withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO workspaces (name, owner_id, is_personal)
+       VALUES ('Personal', $1, TRUE)
+       ON CONFLICT (owner_id) WHERE is_personal DO NOTHING
+       RETURNING id`,
+      [userId]
+    );
+    if (result.rows.length > 0) {
+      await client.query(
+        "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [result.rows[0].id, userId]
+      );
+    }
+    return result.rows;
+  });
+
+  // Another request created it concurrently
+  if (created.length === 0) return ensurePersonalWorkspace(db, userId);
+
+  return getMembership(db, created[0].id, userId);
+}
+
+async function listWorkspaces(db, userId) {
+  await ensurePersonalWorkspace(db, userId);
+  const result = await db.query(
+    `SELECT w.id, w.name, w.owner_id, w.is_personal, w.created_at, m.role
+     FROM workspaces w
+     JOIN workspace_members m ON m.workspace_id = w.id
+     WHERE m.user_id = $1
+     ORDER BY w.is_personal DESC, w.created_at ASC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  getMembership,
+  ensurePersonalWorkspace,
+  listWorkspaces
+};
@@ -0,0 +1,88 @@
+// 📄 middleware/auth.js
+const pool = require('../db');
+const { hasRole, getMembership, ensurePersonalWorkspace } = require('../lib/workspaces');
+const { verifyAccessToken } = require('../lib/sessions');
+const { findCaptureKey } = require('../lib/leadCapture');
+
+// 🔹 Middleware to verify JWT token and its session (no workspace context)
+const verifyToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) return res.status(401).json({ error: 'Unauthorized - No token provided' });
+
+  let verified;
+  try {
+    verified = await verifyAccessToken(pool, token);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!verified.user) return res.status(verified.status).json({ error: verified.error });
+  req.user = verified.user;
+  next();
+};
+
+// 🔹 Middleware to verify JWT token and resolve the workspace being accessed.
+// Unverified accounts are rejected. The workspace comes from the X-Workspace-Id header
+// or ?workspaceId=, defaulting to the caller's personal workspace.
+// Sets req.workspace = { id, name, role, ... }.
+const authenticateToken = (req, res, next) => {
+  verifyToken(req, res, async (verifyErr) => {
+    if (verifyErr) return next(verifyErr);
+    if (!req.user.emailVerified) {
+      return res.status(403).json({ error: 'Forbidden - Please verify your email address first' });
+    }
+
+    try {
+      const requested = req.headers['x-workspace-id'] || req.query.workspaceId;
+
+      if (requested === undefined || requested === '') {
+        req.workspace = await ensurePersonalWorkspace(pool, req.user.id);
+        return next();
+      }
+
+      const workspaceId = parseInt(requested);
+      if (isNaN(workspaceId)) {
+        return res.status(400).json({ error: 'Invalid workspace ID' });
+      }
+
+      const membership = await getMembership(pool, workspaceId, req.user.id);
+      if (!membership) {
+        return res.status(403).json({ error: 'Forbidden - You are not a member of this workspace' });
+      }
+
+      req.workspace = membership;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+};
+
+// 🔹 Require at least `minimumRole` in the current workspace (use after authenticateToken)
+const requireRole = (minimumRole) => (req, res, next) => {
+  if (!req.workspace || !hasRole(req.workspace.role, minimumRole)) {
+    return res.status(403).json({ error: `Forbidden - Requires ${minimumRole} role in this workspace` });
+  }
+  next();
+};
+
+// 🔹 Middleware for the public lead-capture endpoint: an API key in the X-Api-Key header, or a
+// form token in the `formToken` field of plain HTML forms. Sets req.captureKey and req.workspace.
+const authenticateCaptureKey = async (req, res, next) => {
+  try {
+    const captureKey = await findCaptureKey(pool, req.headers['x-api-key'] || req.body?.formToken);
+    if (!captureKey) {
+      return res.status(401).json({ error: 'Unauthorized - Invalid or inactive API key' });
+    }
+
+    req.captureKey = captureKey;
+    req.workspace = captureKey.workspace;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { verifyToken, authenticateToken, requireRole, authenticateCaptureKey };
@@ -0,0 +1,44 @@
+// 📄 middleware/errors.js – Central error handling: one error format for the whole API
+const { config } = require('../lib/config');
+
+// Throw (or pass to next) from a handler to answer with a specific status
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// 🔹 Unknown /api routes answer in JSON rather than Express's HTML page
+const notFoundHandler = (req, res) => {
+  res.status(404).json({ error: `Not found: ${req.method} ${req.originalUrl.split('?')[0]}` });
+};
+
+// 🔹 Last middleware in the chain. Responds { error, details?, requestId }
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  // Malformed or oversized JSON bodies from express.json()
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
+
+  const status = err.status >= 400 && err.status < 600 ? err.status : 500;
+  if (status < 500) {
+    return res.status(status).json({ error: err.message, details: err.details });
+  }
+
+  // Query strings can carry access tokens (the lead event stream), so only the path is logged
+  console.error(`❌ [${req.id}] ${req.method} ${req.originalUrl.split('?')[0]} failed:`, err);
+  res.status(status).json({
+    error: err instanceof HttpError ? err.message : 'Internal server error',
+    details: config.isDevelopment ? err.message : undefined
+  });
+};
+
+module.exports = { HttpError, notFoundHandler, errorHandler };
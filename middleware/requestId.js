@@ -0,0 +1,24 @@
+// 📄 middleware/requestId.js – Tags every request with an ID for logs and error responses
+const crypto = require('crypto');
+
+// Accept a caller-supplied ID (e.g. from a load balancer) only if it looks sane
+const VALID_REQUEST_ID = /^[\w-]{1,128}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  // Error bodies carry the ID too, so a user can quote it when reporting a problem
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && body.error && !body.requestId) {
+      body = { ...body, requestId: req.id };
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = requestId;
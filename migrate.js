@@ -0,0 +1,54 @@
+// 📄 migrate.js – Database migration CLI
+//   npm run migrate            apply pending migrations (node migrate.js up [--to N])
+//   npm run rollback           revert the last migration (node migrate.js down [steps])
+//   npm run status             list applied and pending migrations
+//   node migrate.js baseline N mark 1..N as applied on a database built with the old sql/ scripts
+require('dotenv').config();
+const pool = require('./db');
+const { getStatus, migrate, rollback, baseline } = require('./lib/migrations');
+
+const log = (line) => console.log(line);
+
+async function run(command, arg) {
+  switch (command) {
+    case 'up': {
+      const toIndex = process.argv.indexOf('--to');
+      const to = toIndex > -1 ? parseInt(process.argv[toIndex + 1]) : Infinity;
+      const applied = await migrate(pool, { to, log });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = arg ? parseInt(arg) : 1;
+      if (isNaN(steps) || steps < 1) throw new Error('steps must be a positive number');
+      const reverted = await rollback(pool, { steps, log });
+      console.log(reverted.length ? `✅ Rolled back ${reverted.length} migration(s)` : '✅ Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      const { applied, pending, missing } = await getStatus(pool);
+      applied.forEach(m => console.log(`  ✔ ${m.version}_${m.name} (${new Date(m.applied_at).toISOString()})`));
+      pending.forEach(m => console.log(`  … ${m.version}_${m.name} (pending)`));
+      missing.forEach(m => console.log(`  ⚠️ ${m.version}_${m.name} is applied but has no migration file`));
+      console.log(`${applied.length} applied, ${pending.length} pending`);
+      break;
+    }
+    case 'baseline': {
+      const to = parseInt(arg);
+      if (isNaN(to)) throw new Error('Usage: node migrate.js baseline <version>');
+      const marked = await baseline(pool, { to });
+      console.log(`✅ Marked ${marked.length} migration(s) as applied`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down, status or baseline.`);
+  }
+}
+
+run(process.argv[2] || 'up', process.argv[3])
+  .then(() => pool.end())
+  .catch(async (err) => {
+    console.error('❌ Migration failed:', err.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,4 @@
+-- 📄 migrations/001_baseline.down.sql
+
+DROP TABLE IF EXISTS leads_clean;
+DROP TABLE IF EXISTS "user";
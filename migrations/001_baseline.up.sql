@@ -0,0 +1,24 @@
+-- 📄 migrations/001_baseline.up.sql
+-- Accounts and leads as the app has always used them (these tables predate migrations).
+
+CREATE TABLE IF NOT EXISTS "user" (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  password TEXT NOT NULL,
+  reset_token TEXT,
+  resetexpires TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS leads_clean (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES "user"(id) ON DELETE CASCADE,
+  company TEXT,
+  contact TEXT,
+  email TEXT,
+  stage TEXT,
+  notes TEXT,
+  -- Comma-separated content strategies
+  content TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,3 @@
+-- 📄 migrations/002_lead_stage_history.down.sql
+
+DROP TABLE IF EXISTS lead_stage_history;
@@ -0,0 +1,22 @@
+-- 📄 migrations/002_lead_stage_history.up.sql
+-- Append-only log of every stage a lead has entered.
+
+CREATE TABLE IF NOT EXISTS lead_stage_history (
+  id SERIAL PRIMARY KEY,
+  lead_id INTEGER NOT NULL REFERENCES leads_clean(id) ON DELETE CASCADE,
+  changed_by INTEGER REFERENCES "user"(id) ON DELETE SET NULL,
+  from_stage TEXT,
+  to_stage TEXT NOT NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_stage_history_lead
+  ON lead_stage_history (lead_id, changed_at);
+
+-- Seed one entry per existing lead so time-in-stage starts from creation
+INSERT INTO lead_stage_history (lead_id, changed_by, from_stage, to_stage, changed_at)
+SELECT l.id, l.user_id, NULL, COALESCE(l.stage, 'awareness'), COALESCE(l.created_at, CURRENT_TIMESTAMP)
+FROM leads_clean l
+WHERE NOT EXISTS (
+  SELECT 1 FROM lead_stage_history h WHERE h.lead_id = l.id
+);
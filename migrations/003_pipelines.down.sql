@@ -0,0 +1,6 @@
+-- 📄 migrations/003_pipelines.down.sql
+
+DROP INDEX IF EXISTS idx_leads_clean_pipeline;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS pipeline_id;
+DROP TABLE IF EXISTS pipeline_stages;
+DROP TABLE IF EXISTS pipelines;
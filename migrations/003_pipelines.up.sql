@@ -0,0 +1,54 @@
+-- 📄 migrations/003_pipelines.up.sql
+-- Per-user funnel pipelines with ordered stages; every lead belongs to one pipeline.
+
+CREATE TABLE IF NOT EXISTS pipelines (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one default pipeline per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pipelines_user_default
+  ON pipelines (user_id) WHERE is_default;
+
+CREATE TABLE IF NOT EXISTS pipeline_stages (
+  id SERIAL PRIMARY KEY,
+  pipeline_id INTEGER NOT NULL REFERENCES pipelines(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  label TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  terminal TEXT CHECK (terminal IN ('won', 'lost')),
+  UNIQUE (pipeline_id, name)
+);
+
+-- Give every existing user the classic five-stage funnel as their default
+INSERT INTO pipelines (user_id, name, is_default)
+SELECT u.id, 'Sales Funnel', TRUE
+FROM "user" u
+WHERE NOT EXISTS (SELECT 1 FROM pipelines p WHERE p.user_id = u.id AND p.is_default);
+
+INSERT INTO pipeline_stages (pipeline_id, name, label, position, terminal)
+SELECT p.id, s.name, s.label, s.position, s.terminal
+FROM pipelines p
+CROSS JOIN (VALUES
+  ('awareness', 'Awareness', 0, NULL),
+  ('interest', 'Interest', 1, NULL),
+  ('intent', 'Intent', 2, NULL),
+  ('evaluation', 'Evaluation', 3, NULL),
+  ('purchase', 'Purchase', 4, 'won')
+) AS s(name, label, position, terminal)
+WHERE p.is_default
+  AND NOT EXISTS (SELECT 1 FROM pipeline_stages ps WHERE ps.pipeline_id = p.id);
+
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS pipeline_id INTEGER REFERENCES pipelines(id);
+
+UPDATE leads_clean l
+SET pipeline_id = p.id
+FROM pipelines p
+WHERE l.pipeline_id IS NULL AND p.user_id = l.user_id AND p.is_default;
+
+ALTER TABLE leads_clean ALTER COLUMN pipeline_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_leads_clean_pipeline ON leads_clean (pipeline_id);
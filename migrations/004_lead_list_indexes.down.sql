@@ -0,0 +1,5 @@
+-- 📄 migrations/004_lead_list_indexes.down.sql
+
+DROP INDEX IF EXISTS idx_leads_clean_search;
+DROP INDEX IF EXISTS idx_leads_clean_user_stage;
+DROP INDEX IF EXISTS idx_leads_clean_user_created;
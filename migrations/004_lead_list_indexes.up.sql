@@ -0,0 +1,13 @@
+-- 📄 migrations/004_lead_list_indexes.up.sql
+-- Indexes backing GET /api/leads filtering, search and keyset pagination.
+
+CREATE INDEX IF NOT EXISTS idx_leads_clean_user_created
+  ON leads_clean (user_id, created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_leads_clean_user_stage
+  ON leads_clean (user_id, stage);
+
+-- Expression must match SEARCH_VECTOR in lib/leadFilters.js
+CREATE INDEX IF NOT EXISTS idx_leads_clean_search
+  ON leads_clean USING GIN (to_tsvector('simple',
+    COALESCE(company, '') || ' ' || COALESCE(contact, '') || ' ' || COALESCE(notes, '')));
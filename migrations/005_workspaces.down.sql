@@ -0,0 +1,31 @@
+-- 📄 migrations/005_workspaces.down.sql
+-- Pipelines go back to being per-user. Team pipelines are handed to the workspace owner
+-- and lose their default flag so each user keeps at most one default.
+
+DROP INDEX IF EXISTS idx_pipelines_workspace_default;
+
+UPDATE pipelines p
+SET is_default = FALSE
+FROM workspaces w
+WHERE w.id = p.workspace_id AND NOT w.is_personal AND p.is_default;
+
+UPDATE pipelines p
+SET user_id = w.owner_id
+FROM workspaces w
+WHERE w.id = p.workspace_id AND (p.user_id IS NULL OR NOT w.is_personal);
+
+ALTER TABLE pipelines DROP CONSTRAINT IF EXISTS pipelines_user_id_fkey;
+ALTER TABLE pipelines
+  ADD CONSTRAINT pipelines_user_id_fkey FOREIGN KEY (user_id) REFERENCES "user"(id) ON DELETE CASCADE;
+ALTER TABLE pipelines ALTER COLUMN user_id SET NOT NULL;
+ALTER TABLE pipelines DROP COLUMN IF EXISTS workspace_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pipelines_user_default
+  ON pipelines (user_id) WHERE is_default;
+
+DROP INDEX IF EXISTS idx_leads_clean_workspace_created;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS workspace_id;
+
+DROP TABLE IF EXISTS workspace_invitations;
+DROP TABLE IF EXISTS workspace_members;
+DROP TABLE IF EXISTS workspaces;
@@ -0,0 +1,78 @@
+-- 📄 migrations/005_workspaces.up.sql
+-- Team workspaces: leads and pipelines belong to a workspace, users join with a role.
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  owner_id INTEGER NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  is_personal BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Exactly one personal workspace per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspaces_personal
+  ON workspaces (owner_id) WHERE is_personal;
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'editor', 'viewer')),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members (user_id);
+
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('admin', 'editor', 'viewer')),
+  token TEXT NOT NULL UNIQUE,
+  invited_by INTEGER REFERENCES "user"(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every existing user gets a personal workspace holding their current leads
+INSERT INTO workspaces (name, owner_id, is_personal)
+SELECT 'Personal', u.id, TRUE
+FROM "user" u
+WHERE NOT EXISTS (SELECT 1 FROM workspaces w WHERE w.owner_id = u.id AND w.is_personal);
+
+INSERT INTO workspace_members (workspace_id, user_id, role)
+SELECT w.id, w.owner_id, 'owner'
+FROM workspaces w
+WHERE w.is_personal
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE;
+
+UPDATE leads_clean l
+SET workspace_id = w.id
+FROM workspaces w
+WHERE l.workspace_id IS NULL AND w.owner_id = l.user_id AND w.is_personal;
+
+ALTER TABLE leads_clean ALTER COLUMN workspace_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_leads_clean_workspace_created
+  ON leads_clean (workspace_id, created_at DESC, id DESC);
+
+-- Pipelines move from per-user to per-workspace; user_id now records who created them
+ALTER TABLE pipelines ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE;
+
+UPDATE pipelines p
+SET workspace_id = w.id
+FROM workspaces w
+WHERE p.workspace_id IS NULL AND w.owner_id = p.user_id AND w.is_personal;
+
+ALTER TABLE pipelines ALTER COLUMN workspace_id SET NOT NULL;
+ALTER TABLE pipelines ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE pipelines DROP CONSTRAINT IF EXISTS pipelines_user_id_fkey;
+ALTER TABLE pipelines
+  ADD CONSTRAINT pipelines_user_id_fkey FOREIGN KEY (user_id) REFERENCES "user"(id) ON DELETE SET NULL;
+
+DROP INDEX IF EXISTS idx_pipelines_user_default;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pipelines_workspace_default
+  ON pipelines (workspace_id) WHERE is_default;
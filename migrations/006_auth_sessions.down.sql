@@ -0,0 +1,3 @@
+-- 📄 migrations/006_auth_sessions.down.sql
+
+DROP TABLE IF EXISTS auth_sessions;
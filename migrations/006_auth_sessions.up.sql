@@ -0,0 +1,19 @@
+-- 📄 migrations/006_auth_sessions.up.sql
+-- Server-side login sessions backing rotating refresh tokens.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL,
+  -- Hash of the token this one replaced; presenting it again means the token was stolen
+  previous_token_hash TEXT,
+  user_agent TEXT,
+  ip TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_active
+  ON auth_sessions (user_id) WHERE revoked_at IS NULL;
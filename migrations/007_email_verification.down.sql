@@ -0,0 +1,7 @@
+-- 📄 migrations/007_email_verification.down.sql
+
+DROP INDEX IF EXISTS idx_user_verification_token;
+ALTER TABLE "user" DROP COLUMN IF EXISTS pending_email;
+ALTER TABLE "user" DROP COLUMN IF EXISTS verification_expires;
+ALTER TABLE "user" DROP COLUMN IF EXISTS verification_token;
+ALTER TABLE "user" DROP COLUMN IF EXISTS email_verified_at;
@@ -0,0 +1,15 @@
+-- 📄 migrations/007_email_verification.up.sql
+-- Email verification state and pending email changes on "user".
+
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS verification_token TEXT;
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS verification_expires TIMESTAMP;
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS pending_email TEXT;
+
+-- Accounts that existed before verification was introduced are trusted as-is
+UPDATE "user"
+SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP)
+WHERE email_verified_at IS NULL AND verification_token IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_verification_token
+  ON "user" (verification_token) WHERE verification_token IS NOT NULL;
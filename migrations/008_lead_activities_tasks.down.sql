@@ -0,0 +1,4 @@
+-- 📄 migrations/008_lead_activities_tasks.down.sql
+
+DROP TABLE IF EXISTS lead_tasks;
+DROP TABLE IF EXISTS lead_activities;
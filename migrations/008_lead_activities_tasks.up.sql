@@ -0,0 +1,34 @@
+-- 📄 migrations/008_lead_activities_tasks.up.sql
+-- Structured activity timeline and follow-up tasks per lead.
+
+CREATE TABLE IF NOT EXISTS lead_activities (
+  id SERIAL PRIMARY KEY,
+  lead_id INTEGER NOT NULL REFERENCES leads_clean(id) ON DELETE CASCADE,
+  author_id INTEGER REFERENCES "user"(id) ON DELETE SET NULL,
+  type TEXT NOT NULL CHECK (type IN ('call', 'email', 'meeting', 'note')),
+  body TEXT NOT NULL DEFAULT '',
+  occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_activities_lead
+  ON lead_activities (lead_id, occurred_at DESC);
+
+CREATE TABLE IF NOT EXISTS lead_tasks (
+  id SERIAL PRIMARY KEY,
+  lead_id INTEGER NOT NULL REFERENCES leads_clean(id) ON DELETE CASCADE,
+  created_by INTEGER REFERENCES "user"(id) ON DELETE SET NULL,
+  assigned_to INTEGER REFERENCES "user"(id) ON DELETE SET NULL,
+  title TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  due_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_lead ON lead_tasks (lead_id);
+
+CREATE INDEX IF NOT EXISTS idx_lead_tasks_open_due
+  ON lead_tasks (assigned_to, due_at) WHERE completed_at IS NULL;
@@ -0,0 +1,6 @@
+-- 📄 migrations/010_metric_thresholds.down.sql
+
+DROP INDEX IF EXISTS idx_lead_stage_history_changed;
+DROP INDEX IF EXISTS idx_leads_clean_pipeline_created;
+ALTER TABLE "user" DROP COLUMN IF EXISTS stale_lead_days;
+ALTER TABLE "user" DROP COLUMN IF EXISTS hot_lead_days;
@@ -0,0 +1,14 @@
+-- 📄 migrations/010_metric_thresholds.up.sql
+-- Per-user windows for the "hot" and "stale" lead indicators in metrics.
+
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS hot_lead_days INTEGER NOT NULL DEFAULT 7
+  CHECK (hot_lead_days BETWEEN 1 AND 365);
+ALTER TABLE "user" ADD COLUMN IF NOT EXISTS stale_lead_days INTEGER NOT NULL DEFAULT 14
+  CHECK (stale_lead_days BETWEEN 1 AND 365);
+
+-- Backs the date-range filters and per-period grouping in metrics
+CREATE INDEX IF NOT EXISTS idx_leads_clean_pipeline_created
+  ON leads_clean (pipeline_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_lead_stage_history_changed
+  ON lead_stage_history (changed_at);
@@ -0,0 +1,6 @@
+-- 📄 migrations/011_lead_scoring.down.sql
+
+DROP INDEX IF EXISTS idx_leads_clean_workspace_score;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS score_updated_at;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS score;
+DROP TABLE IF EXISTS scoring_rules;
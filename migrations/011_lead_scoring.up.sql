@@ -0,0 +1,28 @@
+-- 📄 migrations/011_lead_scoring.up.sql
+-- Weighted scoring rules per workspace and each lead's stored score.
+
+CREATE TABLE IF NOT EXISTS scoring_rules (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  created_by INTEGER REFERENCES "user"(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  field TEXT NOT NULL CHECK (field IN (
+    'stage', 'age_days', 'content_strategy', 'email_domain', 'last_activity_days', 'custom_field'
+  )),
+  -- Custom field key when field = 'custom_field'
+  field_key TEXT,
+  operator TEXT NOT NULL,
+  value JSONB,
+  points INTEGER NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scoring_rules_workspace ON scoring_rules (workspace_id);
+
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS score INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS score_updated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_leads_clean_workspace_score
+  ON leads_clean (workspace_id, score DESC, id DESC);
@@ -0,0 +1,5 @@
+-- 📄 migrations/012_custom_fields.down.sql
+
+DROP INDEX IF EXISTS idx_leads_clean_custom_fields;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS custom_fields;
+DROP TABLE IF EXISTS custom_field_definitions;
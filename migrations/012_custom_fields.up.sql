@@ -0,0 +1,23 @@
+-- 📄 migrations/012_custom_fields.up.sql
+-- Typed custom field definitions per workspace; values live on the lead as JSONB.
+
+CREATE TABLE IF NOT EXISTS custom_field_definitions (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  key TEXT NOT NULL,
+  label TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('text', 'number', 'currency', 'date', 'select', 'multi_select')),
+  -- Allowed values for select and multi_select
+  options TEXT[] NOT NULL DEFAULT '{}',
+  -- ISO 4217 code for currency fields
+  currency TEXT,
+  required BOOLEAN NOT NULL DEFAULT FALSE,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (workspace_id, key)
+);
+
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_leads_clean_custom_fields
+  ON leads_clean USING GIN (custom_fields);
@@ -0,0 +1,17 @@
+-- 📄 migrations/013_content_strategies.down.sql
+-- Names containing commas cannot round-trip and will be split on the way back.
+
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS content TEXT;
+
+UPDATE leads_clean l
+SET content = tags.names
+FROM (
+  SELECT ls.lead_id, string_agg(s.name, ',' ORDER BY s.name) AS names
+  FROM lead_content_strategies ls
+  JOIN content_strategies s ON s.id = ls.strategy_id
+  GROUP BY ls.lead_id
+) tags
+WHERE tags.lead_id = l.id;
+
+DROP TABLE IF EXISTS lead_content_strategies;
+DROP TABLE IF EXISTS content_strategies;
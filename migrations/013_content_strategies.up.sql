@@ -0,0 +1,41 @@
+-- 📄 migrations/013_content_strategies.up.sql
+-- Content strategies become workspace-level tags linked to leads, replacing the
+-- comma-joined leads_clean.content string.
+
+CREATE TABLE IF NOT EXISTS content_strategies (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Names are unique per workspace regardless of case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_strategies_workspace_name
+  ON content_strategies (workspace_id, lower(name));
+
+CREATE TABLE IF NOT EXISTS lead_content_strategies (
+  lead_id INTEGER NOT NULL REFERENCES leads_clean(id) ON DELETE CASCADE,
+  strategy_id INTEGER NOT NULL REFERENCES content_strategies(id) ON DELETE CASCADE,
+  PRIMARY KEY (lead_id, strategy_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_content_strategies_strategy
+  ON lead_content_strategies (strategy_id);
+
+-- Split the old strings once; the first spelling seen in a workspace wins
+INSERT INTO content_strategies (workspace_id, name)
+SELECT DISTINCT ON (l.workspace_id, lower(trim(tag))) l.workspace_id, trim(tag)
+FROM leads_clean l
+CROSS JOIN LATERAL unnest(string_to_array(l.content, ',')) AS tag
+WHERE trim(tag) <> ''
+ORDER BY l.workspace_id, lower(trim(tag)), l.created_at
+ON CONFLICT DO NOTHING;
+
+INSERT INTO lead_content_strategies (lead_id, strategy_id)
+SELECT DISTINCT l.id, s.id
+FROM leads_clean l
+CROSS JOIN LATERAL unnest(string_to_array(l.content, ',')) AS tag
+JOIN content_strategies s ON s.workspace_id = l.workspace_id AND lower(s.name) = lower(trim(tag))
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS content;
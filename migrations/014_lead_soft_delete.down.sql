@@ -0,0 +1,8 @@
+-- 📄 migrations/014_lead_soft_delete.down.sql
+
+-- Without the marker trashed leads would reappear, so they are removed for good
+DELETE FROM leads_clean WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_leads_clean_trash;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,8 @@
+-- 📄 migrations/014_lead_soft_delete.up.sql
+-- Deleted leads go to the trash first; they are purged after the retention period.
+
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES "user"(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_leads_clean_trash
+  ON leads_clean (workspace_id, deleted_at) WHERE deleted_at IS NOT NULL;
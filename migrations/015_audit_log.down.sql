@@ -0,0 +1,3 @@
+-- 📄 migrations/015_audit_log.down.sql
+
+DROP TABLE IF EXISTS audit_log;
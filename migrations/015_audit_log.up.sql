@@ -0,0 +1,24 @@
+-- 📄 migrations/015_audit_log.up.sql
+-- Append-only record of account and lead changes: who did what, to what, and from where.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  -- NULL for account events, which belong to no workspace
+  workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+  actor_id INTEGER REFERENCES "user"(id) ON DELETE SET NULL,
+  -- Kept so entries stay readable after the account is gone (or for unknown emails on failed logins)
+  actor_email TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT,
+  target_id INTEGER,
+  -- { field: { from, to } } for updates
+  changes JSONB,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  ip TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_workspace ON audit_log (workspace_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log (target_type, target_id, id DESC);
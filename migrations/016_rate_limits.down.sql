@@ -0,0 +1,4 @@
+-- 📄 migrations/016_rate_limits.down.sql
+
+DROP TABLE IF EXISTS login_lockouts;
+DROP TABLE IF EXISTS rate_limit_hits;
@@ -0,0 +1,18 @@
+-- 📄 migrations/016_rate_limits.up.sql
+-- Shared rate-limit counters (RATE_LIMIT_STORE=postgres) and per-email login lockouts.
+
+CREATE TABLE IF NOT EXISTS rate_limit_hits (
+  key TEXT PRIMARY KEY,
+  hits INTEGER NOT NULL DEFAULT 0,
+  reset_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_reset ON rate_limit_hits (reset_at);
+
+-- Keyed by the email that was tried, whether or not an account exists for it
+CREATE TABLE IF NOT EXISTS login_lockouts (
+  email TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_until TIMESTAMP
+);
@@ -0,0 +1,8 @@
+-- 📄 migrations/017_deal_values.down.sql
+
+ALTER TABLE pipeline_stages DROP COLUMN IF EXISTS probability;
+
+DROP INDEX IF EXISTS idx_leads_clean_expected_close;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS expected_close_date;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS deal_currency;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS deal_amount;
@@ -0,0 +1,31 @@
+-- 📄 migrations/017_deal_values.up.sql
+-- What each lead is worth, when it is expected to close, and how likely each stage is to win.
+
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS deal_amount NUMERIC(14, 2) CHECK (deal_amount >= 0);
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS deal_currency CHAR(3);
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS expected_close_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_leads_clean_expected_close
+  ON leads_clean (workspace_id, expected_close_date) WHERE deleted_at IS NULL;
+
+ALTER TABLE pipeline_stages ADD COLUMN IF NOT EXISTS probability INTEGER
+  CHECK (probability BETWEEN 0 AND 100);
+
+-- Won stages are certain, lost stages worthless, open stages spaced evenly in funnel order
+WITH open_stages AS (
+  SELECT id,
+    ROW_NUMBER() OVER (PARTITION BY pipeline_id ORDER BY position) AS n,
+    COUNT(*) OVER (PARTITION BY pipeline_id) AS total
+  FROM pipeline_stages
+  WHERE terminal IS NULL
+)
+UPDATE pipeline_stages ps
+SET probability = ROUND(o.n * 100.0 / (o.total + 1))
+FROM open_stages o
+WHERE ps.id = o.id AND ps.probability IS NULL;
+
+UPDATE pipeline_stages
+SET probability = CASE terminal WHEN 'won' THEN 100 ELSE 0 END
+WHERE terminal IS NOT NULL AND probability IS NULL;
+
+ALTER TABLE pipeline_stages ALTER COLUMN probability SET NOT NULL;
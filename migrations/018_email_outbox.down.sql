@@ -0,0 +1,4 @@
+-- 📄 migrations/018_email_outbox.down.sql
+
+DROP TABLE IF EXISTS email_outbox;
+DROP TABLE IF EXISTS email_templates;
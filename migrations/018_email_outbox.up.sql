@@ -0,0 +1,59 @@
+-- 📄 migrations/018_email_outbox.up.sql
+-- Stored email templates and a persistent outbox that the mail worker sends with retries.
+
+CREATE TABLE IF NOT EXISTS email_templates (
+  id SERIAL PRIMARY KEY,
+  -- NULL for the built-in templates; a workspace template with the same key overrides one
+  workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+  key TEXT NOT NULL,
+  name TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  html TEXT NOT NULL,
+  text TEXT,
+  created_by INTEGER REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_workspace_key
+  ON email_templates (workspace_id, key) WHERE workspace_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_system_key
+  ON email_templates (key) WHERE workspace_id IS NULL;
+
+INSERT INTO email_templates (workspace_id, key, name, subject, html)
+VALUES
+  (NULL, 'email_verification', 'Email verification', 'Verify your email address',
+   '<p>Click <a href="{{link}}">here</a> to verify your email address. This link expires in 24 hours.</p>'),
+  (NULL, 'password_reset', 'Password reset', 'Reset your password',
+   '<p>Click <a href="{{link}}">here</a> to reset your password. This link expires in 1 hour.</p>'),
+  (NULL, 'workspace_invitation', 'Workspace invitation', 'You''ve been invited to {{workspace.name}} on FunnelFlow',
+   '<p>{{inviter.email}} invited you to join <strong>{{workspace.name}}</strong> as {{role}}.</p>
+<p>Click <a href="{{link}}">here</a> to accept. This link expires in 7 days.</p>')
+ON CONFLICT DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id SERIAL PRIMARY KEY,
+  -- NULL for account emails (verification, password reset)
+  workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+  lead_id INTEGER REFERENCES leads_clean(id) ON DELETE SET NULL,
+  template_key TEXT,
+  to_email TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  html TEXT NOT NULL,
+  text TEXT,
+  created_by INTEGER REFERENCES "user"(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  message_id TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due
+  ON email_outbox (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_email_outbox_workspace
+  ON email_outbox (workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_lead
+  ON email_outbox (lead_id, created_at DESC) WHERE lead_id IS NOT NULL;
@@ -0,0 +1,4 @@
+-- 📄 migrations/019_automation_rules.down.sql
+
+DROP TABLE IF EXISTS automation_runs;
+DROP TABLE IF EXISTS automation_rules;
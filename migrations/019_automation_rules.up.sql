@@ -0,0 +1,42 @@
+-- 📄 migrations/019_automation_rules.up.sql
+-- Workspace automation rules (trigger → conditions → actions) and the log of every run.
+
+CREATE TABLE IF NOT EXISTS automation_rules (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  created_by INTEGER REFERENCES "user"(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  trigger TEXT NOT NULL CHECK (trigger IN ('lead.created', 'lead.stage_changed', 'lead.inactive')),
+  -- Days without activity or stage movement before a lead.inactive rule fires
+  inactive_days INTEGER CHECK (inactive_days > 0),
+  -- [{ field, fieldKey, operator, value }], all of which must match
+  conditions JSONB NOT NULL DEFAULT '[]',
+  -- [{ type: set_stage|add_strategies|append_note|send_email, ... }], applied in order
+  actions JSONB NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((trigger = 'lead.inactive') = (inactive_days IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_automation_rules_workspace_trigger
+  ON automation_rules (workspace_id, trigger) WHERE active;
+
+CREATE TABLE IF NOT EXISTS automation_runs (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  rule_id INTEGER REFERENCES automation_rules(id) ON DELETE SET NULL,
+  rule_name TEXT NOT NULL,
+  lead_id INTEGER REFERENCES leads_clean(id) ON DELETE SET NULL,
+  trigger TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('succeeded', 'failed')),
+  -- One entry per action: { type, status: changed|unchanged|failed, error? }
+  results JSONB NOT NULL DEFAULT '[]',
+  error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_automation_runs_workspace
+  ON automation_runs (workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_automation_runs_rule_lead
+  ON automation_runs (rule_id, lead_id, created_at DESC);
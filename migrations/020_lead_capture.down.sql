@@ -0,0 +1,8 @@
+-- 📄 migrations/020_lead_capture.down.sql
+
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS capture_key_id;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS referrer;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS utm;
+ALTER TABLE leads_clean DROP COLUMN IF EXISTS source;
+
+DROP TABLE IF EXISTS lead_capture_keys;
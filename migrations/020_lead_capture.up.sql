@@ -0,0 +1,31 @@
+-- 📄 migrations/020_lead_capture.up.sql
+-- API keys / form tokens for the public lead-capture endpoint, and where captured leads came from.
+
+CREATE TABLE IF NOT EXISTS lead_capture_keys (
+  id SERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  -- Leads are created on behalf of this member; the key stops working if they lose editor access
+  user_id INTEGER NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  -- Only a SHA-256 of the key is stored; the prefix lets people tell their keys apart
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  -- NULL means the workspace's default pipeline / the pipeline's first stage
+  pipeline_id INTEGER REFERENCES pipelines(id) ON DELETE SET NULL,
+  default_stage TEXT,
+  -- Where plain HTML form posts are sent after a submission
+  redirect_url TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_used_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_capture_keys_workspace ON lead_capture_keys (workspace_id);
+
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS source TEXT;
+-- { source, medium, campaign, term, content } from the utm_* parameters
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS utm JSONB;
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS referrer TEXT;
+ALTER TABLE leads_clean ADD COLUMN IF NOT EXISTS capture_key_id INTEGER
+  REFERENCES lead_capture_keys(id) ON DELETE SET NULL;
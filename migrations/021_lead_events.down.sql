@@ -0,0 +1,3 @@
+-- 📄 migrations/021_lead_events.down.sql
+
+DROP TABLE IF EXISTS lead_events;
@@ -0,0 +1,15 @@
+-- 📄 migrations/021_lead_events.up.sql
+-- Recent lead events for the real-time board stream; reconnecting clients replay what they missed.
+
+CREATE TABLE IF NOT EXISTS lead_events (
+  -- Sent as the SSE event id; clients resume from the last one they saw
+  id BIGSERIAL PRIMARY KEY,
+  workspace_id INTEGER NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  -- { event, workspaceId, occurredAt, data }, the same body webhooks receive
+  payload JSONB NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_events_workspace ON lead_events (workspace_id, id);
+CREATE INDEX IF NOT EXISTS idx_lead_events_created ON lead_events (created_at);
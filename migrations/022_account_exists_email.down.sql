@@ -0,0 +1,3 @@
+-- 📄 migrations/022_account_exists_email.down.sql
+
+DELETE FROM email_templates WHERE workspace_id IS NULL AND key = 'account_exists';
@@ -0,0 +1,9 @@
+-- 📄 migrations/022_account_exists_email.up.sql
+-- Sent instead of an error when someone registers with an email that already has an account.
+
+INSERT INTO email_templates (workspace_id, key, name, subject, html)
+VALUES
+  (NULL, 'account_exists', 'Account already exists', 'Someone tried to sign up with your email',
+   '<p>Someone tried to create a FunnelFlow account with this email address, which already has one.</p>
+<p>If it was you, <a href="{{link}}">log in</a> instead, or reset your password from the login page. Otherwise you can ignore this email.</p>')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,3 @@
+-- 📄 migrations/023_webhook_response_body.down.sql
+
+ALTER TABLE webhook_delivery_attempts ADD COLUMN IF NOT EXISTS response_body TEXT;
@@ -0,0 +1,4 @@
+-- 📄 migrations/023_webhook_response_body.up.sql
+-- Receivers' response bodies are no longer stored: a webhook URL could read internal services through them.
+
+ALTER TABLE webhook_delivery_attempts DROP COLUMN IF EXISTS response_body;
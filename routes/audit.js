@@ -0,0 +1,42 @@
+// 📄 routes/audit.js – Querying the audit trail
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { verifyToken, authenticateToken, requireRole } = require('../middleware/auth');
+const { buildAuditQuery } = require('../lib/audit');
+
+async function sendAuditPage(res, scope, query) {
+  const built = buildAuditQuery(scope, query);
+  if (built.errors) {
+    return res.status(400).json({ error: 'Invalid query', details: built.errors });
+  }
+
+  const result = await pool.query(built.sql, built.params);
+  const entries = result.rows.slice(0, built.limit);
+  res.json({
+    entries,
+    nextCursor: result.rows.length > built.limit ? entries[entries.length - 1].id : null
+  });
+}
+
+// 🔹 GET the caller's own account events (logins, failed logins, password resets ...)
+// Query: from, to, action, limit, before
+router.get('/account', verifyToken, async (req, res, next) => {
+  try {
+    await sendAuditPage(res, { userId: req.user.id }, req.query);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET the current workspace's audit log (admins only)
+// Query: from, to, actorId, action (comma-separated, "lead.*" for a prefix), targetType, targetId, limit, before
+router.get('/', authenticateToken, requireRole('admin'), async (req, res, next) => {
+  try {
+    await sendAuditPage(res, { workspaceId: req.workspace.id }, req.query);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -1,74 +1,184 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 const pool = require('../db');
-require('dotenv').config();
+const { queueEmail } = require('../lib/email');
+const { verifyToken } = require('../middleware/auth');
+const { withTransaction } = require('../lib/transaction');
+const { getMetricThresholds } = require('../lib/metrics');
+const { recordAudit } = require('../lib/audit');
+const {
+  normalizeEmail,
+  authIpLimiter,
+  loginIpLimiter,
+  loginAccountLimiter,
+  resetIpLimiter,
+  resetAccountLimiter,
+  registerIpLimiter,
+  registerAccountLimiter
+} = require('../lib/rateLimit');
+const { getLockoutRemaining, recordFailedLogin, clearFailedLogins } = require('../lib/loginLockout');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken
+} = require('../lib/sessions');
+const { config } = require('../lib/config');
+const { validateBody } = require('../lib/schema');
 
 const router = express.Router();
 const SALT_ROUNDS = 10;
-const JWT_SECRET = process.env.JWT_SECRET || 'secret';
-
-router.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', 'https://funnelflow.live');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  if (req.method === 'OPTIONS') return res.sendStatus(204);
-  next();
-});
+const VERIFICATION_TTL_MS = 24 * 3600000; // 24 hours
+// Compared against when the email is unknown, so both failures take as long as a real check
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), SALT_ROUNDS);
+// The same answers whether or not an account exists for the email
+const INVALID_LOGIN = 'Invalid email or password';
+const RESET_REQUESTED = 'If an account exists for that email, a reset link has been sent.';
+const REGISTERED = 'Check your inbox to verify your email address.';
+
+// bcrypt only looks at the first 72 bytes, so longer passwords are refused rather than truncated
+const NEW_PASSWORD = { type: 'string', required: true, minLength: 8, maxLength: 72 };
+const PASSWORD = { type: 'string', required: true, minLength: 1 };
+const EMAIL = { type: 'string', required: true, format: 'email', maxLength: 254 };
+const TOKEN = { type: 'string', required: true, minLength: 1, maxLength: 512 };
+const schemas = {
+  register: { email: EMAIL, password: NEW_PASSWORD },
+  login: { email: EMAIL, password: PASSWORD },
+  refresh: { refreshToken: TOKEN },
+  requestReset: { email: EMAIL },
+  resetPassword: { token: TOKEN, password: NEW_PASSWORD },
+  verifyEmail: { token: TOKEN },
+  changePassword: { currentPassword: PASSWORD, newPassword: NEW_PASSWORD },
+  changeEmail: { newEmail: EMAIL, password: PASSWORD },
+  settings: {
+    hotLeadDays: { type: 'integer', min: 1, max: 365 },
+    staleLeadDays: { type: 'integer', min: 1, max: 365 }
+  },
+  deleteAccount: { password: PASSWORD }
+};
 
 router.get('/favicon.ico', (req, res) => res.status(204).end());
 
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST || 'smtp.gmail.com',
-  port: process.env.SMTP_PORT || 587,
-  secure: process.env.SMTP_SECURE === 'true',
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASSWORD
-  }
-});
+router.use(authIpLimiter);
+
+// Queued in the outbox; the mail worker sends it and retries failures
+function sendVerificationEmail(to, token) {
+  return queueEmail(pool, {
+    templateKey: 'email_verification',
+    to,
+    variables: { link: `${config.appUrl}/verify-email.html?token=${token}` }
+  });
+}
 
-// Register
-router.post('/register', async (req, res) => {
+// Account events are audited without a workspace; a failed write must never block the auth flow
+function auditAuthEvent(req, entry) {
+  return recordAudit(pool, req, { workspaceId: null, targetType: 'user', ...entry })
+    .catch(err => console.error('❌ Failed to record audit entry:', err));
+}
+
+function newVerificationToken() {
+  return {
+    token: crypto.randomBytes(32).toString('hex'),
+    expires: new Date(Date.now() + VERIFICATION_TTL_MS)
+  };
+}
+
+// Register (rate limited like reset requests). A taken email gets the same answer; its owner is emailed
+// a notice instead, so the endpoint cannot be used to find out who has an account
+router.post('/register', registerIpLimiter, registerAccountLimiter, validateBody(schemas.register), async (req, res, next) => {
   const { email, password } = req.body;
   try {
-    const exists = await pool.query('SELECT * FROM "user" WHERE email = $1', [email]);
-    if (exists.rows.length > 0) return res.status(400).json({ error: 'Email is already registered.' });
-
+    // Hashed either way, so both answers take as long
     const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
-    const createdAt = new Date();
+    const verification = newVerificationToken();
 
     const result = await pool.query(
-      'INSERT INTO "user" (email, password, created_at) VALUES ($1, $2, $3) RETURNING id, email',
-      [email, hashedPassword, createdAt]
+      `INSERT INTO "user" (email, password, created_at, verification_token, verification_expires)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (email) DO NOTHING
+       RETURNING id, email`,
+      [email, hashedPassword, new Date(), verification.token, verification.expires]
     );
 
-    const token = jwt.sign({ id: result.rows[0].id, email }, JWT_SECRET, { expiresIn: '30d' });
-    res.json({ token, user: result.rows[0] });
+    if (result.rows.length === 0) {
+      const existing = await pool.query('SELECT id FROM "user" WHERE email = $1', [email]);
+      try {
+        await queueEmail(pool, { templateKey: 'account_exists', to: email, variables: { link: config.appUrl } });
+      } catch (mailErr) {
+        console.error('❌ Failed to send account notice:', mailErr);
+      }
+      await auditAuthEvent(req, {
+        action: 'auth.register',
+        actorEmail: email,
+        targetId: existing.rows[0] ? existing.rows[0].id : null,
+        metadata: { reason: 'email_taken' }
+      });
+      return res.json({ message: REGISTERED });
+    }
+
+    // The account exists either way; the user can ask for another link
+    try {
+      await sendVerificationEmail(email, verification.token);
+    } catch (mailErr) {
+      console.error('❌ Failed to send verification email:', mailErr);
+    }
+
+    await auditAuthEvent(req, {
+      action: 'auth.register',
+      actorId: result.rows[0].id,
+      actorEmail: email,
+      targetId: result.rows[0].id
+    });
+    res.json({ message: REGISTERED });
   } catch (err) {
-    console.error('❌ Error in /register:', err);
-    res.status(500).json({ error: 'Something went wrong during registration.' });
+    next(err);
   }
 });
 
-// Login
-router.post('/login', async (req, res) => {
+// Login (rate limited per IP and per email; repeated failures lock the email progressively)
+router.post('/login', loginIpLimiter, loginAccountLimiter, validateBody(schemas.login), async (req, res, next) => {
   const { email, password } = req.body;
+
+  const lockoutKey = normalizeEmail(email);
   try {
-    const result = await pool.query('SELECT * FROM "user" WHERE email = $1', [email]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    const lockedForMs = await getLockoutRemaining(pool, lockoutKey);
+    if (lockedForMs > 0) {
+      res.set('Retry-After', String(Math.ceil(lockedForMs / 1000)));
+      return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+    }
 
+    const result = await pool.query('SELECT * FROM "user" WHERE email = $1', [email]);
     const user = result.rows[0];
-    const valid = await bcrypt.compare(password, user.password);
-    if (!valid) return res.status(401).json({ error: 'Incorrect password' });
+    const valid = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+    if (!user || !valid) {
+      const { failures } = await recordFailedLogin(pool, lockoutKey);
+      await auditAuthEvent(req, {
+        action: 'auth.login_failed',
+        actorEmail: email,
+        targetId: user ? user.id : null,
+        metadata: { reason: user ? 'wrong_password' : 'unknown_email', failures }
+      });
+      return res.status(401).json({ error: INVALID_LOGIN });
+    }
 
-    const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: '30d' });
-    res.json({ token, user: { id: user.id, email: user.email } });
+    await clearFailedLogins(pool, lockoutKey);
+    const { token, refreshToken } = await createSession(pool, user, req);
+    await auditAuthEvent(req, {
+      action: 'auth.login',
+      actorId: user.id,
+      actorEmail: user.email,
+      targetId: user.id
+    });
+    res.json({
+      token,
+      refreshToken,
+      user: { id: user.id, email: user.email, emailVerified: Boolean(user.email_verified_at) }
+    });
   } catch (err) {
-    console.error('❌ Error in /login:', err);
-    res.status(500).json({ error: 'Something went wrong during login.' });
+    next(err);
   }
 });
 
@@ -79,23 +189,73 @@ router.get('/validate', async (req, res) => {
 
   const token = authHeader.split(' ')[1];
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const result = await pool.query('SELECT id, email FROM "user" WHERE id = $1', [decoded.id]);
+    const { user } = await verifyAccessToken(pool, token);
+    if (!user) return res.status(401).json({ error: 'Invalid or expired token' });
+
+    const result = await pool.query(
+      'SELECT id, email, email_verified_at, pending_email FROM "user" WHERE id = $1',
+      [user.id]
+    );
     if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
 
-    res.json({ user: result.rows[0] });
+    const { email_verified_at, pending_email, ...account } = result.rows[0];
+    res.json({ user: { ...account, emailVerified: Boolean(email_verified_at), pendingEmail: pending_email } });
   } catch (err) {
     console.error('❌ Token validation failed:', err);
     res.status(401).json({ error: 'Invalid or expired token' });
   }
 });
 
-// Request password reset
-router.post('/request-reset', async (req, res) => {
+// Refresh access token (rotates the refresh token)
+router.post('/refresh', validateBody(schemas.refresh), async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const result = await rotateSession(pool, refreshToken);
+    if (result.error) return res.status(401).json({ error: result.error });
+
+    res.json({ token: result.token, refreshToken: result.refreshToken, user: result.user });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Logout (revokes the current session)
+router.post('/logout', verifyToken, async (req, res, next) => {
+  try {
+    await revokeSession(pool, req.user.sid, req.user.id);
+    await auditAuthEvent(req, { action: 'auth.logout', targetId: req.user.id });
+    res.json({ message: 'Logged out.' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Logout everywhere (revokes every session of the user)
+router.post('/logout-all', verifyToken, async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(pool, req.user.id);
+    await auditAuthEvent(req, { action: 'auth.logout_all', targetId: req.user.id, metadata: { revoked } });
+    res.json({ message: 'Logged out of all sessions.', revoked });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Request password reset (always answers the same, so it cannot be used to probe for accounts)
+router.post('/request-reset', resetIpLimiter, resetAccountLimiter, validateBody(schemas.requestReset), async (req, res, next) => {
   const { email } = req.body;
+
   try {
     const result = await pool.query('SELECT * FROM "user" WHERE email = $1', [email]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    if (result.rows.length === 0) {
+      await auditAuthEvent(req, {
+        action: 'auth.password_reset_requested',
+        actorEmail: email,
+        metadata: { reason: 'unknown_email' }
+      });
+      return res.json({ message: RESET_REQUESTED });
+    }
 
     const token = crypto.randomBytes(32).toString('hex');
     const expires = new Date(Date.now() + 3600000); // 1 hour
@@ -105,25 +265,31 @@ router.post('/request-reset', async (req, res) => {
       [token, expires, email]
     );
 
-    const resetLink = `https://funnelflow.live/reset-password.html?token=${token}`;
-    await transporter.sendMail({
-      from: `FunnelFlow <${process.env.SMTP_FROM_EMAIL || process.env.SMTP_USER}>`,
-      to: result.rows[0].email,
-      subject: 'Reset your password',
-      html: `<p>Click <a href="${resetLink}">here</a> to reset your password. This link expires in 1 hour.</p>`
-    });
+    // A mail failure is logged, not reported, or the error itself would confirm the account
+    try {
+      await queueEmail(pool, {
+        templateKey: 'password_reset',
+        to: result.rows[0].email,
+        variables: { link: `${config.appUrl}/reset-password.html?token=${token}` }
+      });
+    } catch (mailErr) {
+      console.error('❌ Failed to send reset email:', mailErr);
+    }
 
-    res.json({ message: 'Reset link sent to your email.' });
+    await auditAuthEvent(req, {
+      action: 'auth.password_reset_requested',
+      actorEmail: email,
+      targetId: result.rows[0].id
+    });
+    res.json({ message: RESET_REQUESTED });
   } catch (err) {
-    console.error('❌ Error in /request-reset:', err);
-    res.status(500).json({ error: 'Failed to send reset link.' });
+    next(err);
   }
 });
 
 // Reset password
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', validateBody(schemas.resetPassword), async (req, res, next) => {
   const { token, password } = req.body;
-  if (!token || !password) return res.status(400).json({ error: 'Missing token or password' });
 
   try {
     const result = await pool.query(
@@ -133,15 +299,222 @@ router.post('/reset-password', async (req, res) => {
     if (result.rows.length === 0) return res.status(400).json({ error: 'Invalid or expired token' });
 
     const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+    await withTransaction(async (client) => {
+      await client.query(
+        'UPDATE "user" SET password = $1, reset_token = NULL, resetexpires = NULL WHERE reset_token = $2',
+        [hashedPassword, token]
+      );
+
+      // Anyone holding an old session must log in with the new password
+      await revokeAllSessions(client, result.rows[0].id);
+    });
+
+    await auditAuthEvent(req, {
+      action: 'auth.password_reset_completed',
+      actorId: result.rows[0].id,
+      actorEmail: result.rows[0].email,
+      targetId: result.rows[0].id
+    });
+
+    res.json({ message: 'Password successfully reset.' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Verify email (also confirms a pending email change)
+router.post('/verify-email', validateBody(schemas.verifyEmail), async (req, res, next) => {
+  const { token } = req.body;
+
+  try {
+    const result = await pool.query(
+      `UPDATE "user" SET
+        email = COALESCE(pending_email, email),
+        pending_email = NULL,
+        email_verified_at = NOW(),
+        verification_token = NULL,
+        verification_expires = NULL
+       WHERE verification_token = $1 AND verification_expires > NOW()
+       RETURNING id, email`,
+      [token]
+    );
+    if (result.rows.length === 0) return res.status(400).json({ error: 'Invalid or expired token' });
+
+    await auditAuthEvent(req, {
+      action: 'auth.email_verified',
+      actorId: result.rows[0].id,
+      actorEmail: result.rows[0].email,
+      targetId: result.rows[0].id
+    });
+    res.json({ message: 'Email verified.', user: { ...result.rows[0], emailVerified: true } });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'Email is already registered.' });
+    }
+    next(err);
+  }
+});
+
+// Resend verification email (for the account email or a pending change)
+router.post('/resend-verification', verifyToken, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      'SELECT email, pending_email, email_verified_at FROM "user" WHERE id = $1',
+      [req.user.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const account = result.rows[0];
+    if (account.email_verified_at && !account.pending_email) {
+      return res.status(400).json({ error: 'Email is already verified.' });
+    }
+
+    const verification = newVerificationToken();
     await pool.query(
-      'UPDATE "user" SET password = $1, reset_token = NULL, resetexpires = NULL WHERE reset_token = $2',
-      [hashedPassword, token]
+      'UPDATE "user" SET verification_token = $1, verification_expires = $2 WHERE id = $3',
+      [verification.token, verification.expires, req.user.id]
     );
+    await sendVerificationEmail(account.pending_email || account.email, verification.token);
 
-    res.json({ message: 'Password successfully reset.' });
+    res.json({ message: 'Verification link sent to your email.' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change password while logged in (ends every other session)
+router.post('/change-password', verifyToken, validateBody(schemas.changePassword), async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const result = await pool.query('SELECT * FROM "user" WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const user = result.rows[0];
+    const valid = await bcrypt.compare(currentPassword, user.password);
+    if (!valid) return res.status(401).json({ error: 'Incorrect password' });
+
+    const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    const session = await withTransaction(async (client) => {
+      await client.query('UPDATE "user" SET password = $1 WHERE id = $2', [hashedPassword, user.id]);
+      await revokeAllSessions(client, user.id);
+      return createSession(client, user, req);
+    });
+
+    await auditAuthEvent(req, { action: 'auth.password_changed', targetId: user.id });
+
+    res.json({ message: 'Password changed.', ...session });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Change email (takes effect once the new address is verified)
+router.post('/change-email', verifyToken, validateBody(schemas.changeEmail), async (req, res, next) => {
+  const { newEmail, password } = req.body;
+
+  try {
+    const result = await pool.query('SELECT * FROM "user" WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const user = result.rows[0];
+    const valid = await bcrypt.compare(password, user.password);
+    if (!valid) return res.status(401).json({ error: 'Incorrect password' });
+
+    const exists = await pool.query('SELECT 1 FROM "user" WHERE email = $1', [newEmail]);
+    if (exists.rows.length > 0) return res.status(400).json({ error: 'Email is already registered.' });
+
+    const verification = newVerificationToken();
+    await pool.query(
+      `UPDATE "user" SET pending_email = $1, verification_token = $2, verification_expires = $3
+       WHERE id = $4`,
+      [newEmail, verification.token, verification.expires, user.id]
+    );
+    await sendVerificationEmail(newEmail, verification.token);
+
+    await auditAuthEvent(req, { action: 'auth.email_change_requested', targetId: user.id, metadata: { newEmail } });
+    res.json({ message: 'Verification link sent to your new email.', pendingEmail: newEmail });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Metric preferences: how recent a lead must be to count as "hot" and how old before it is "stale"
+router.get('/settings', verifyToken, async (req, res, next) => {
+  try {
+    res.json(await getMetricThresholds(pool, req.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.put('/settings', verifyToken, validateBody(schemas.settings), async (req, res, next) => {
+  const { hotLeadDays, staleLeadDays } = req.body;
+
+  try {
+    await pool.query(
+      `UPDATE "user" SET
+        hot_lead_days = COALESCE($1, hot_lead_days),
+        stale_lead_days = COALESCE($2, stale_lead_days)
+       WHERE id = $3`,
+      [hotLeadDays ?? null, staleLeadDays ?? null, req.user.id]
+    );
+    res.json(await getMetricThresholds(pool, req.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Delete account
+router.delete('/account', verifyToken, validateBody(schemas.deleteAccount), async (req, res, next) => {
+  const { password } = req.body;
+
+  try {
+    const result = await pool.query('SELECT * FROM "user" WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+
+    const user = result.rows[0];
+    const valid = await bcrypt.compare(password, user.password);
+    if (!valid) return res.status(401).json({ error: 'Incorrect password' });
+
+    // Team workspaces would be deleted with their owner, taking teammates' leads with them
+    const sharedWorkspaces = await pool.query(
+      `SELECT w.id, w.name FROM workspaces w
+       WHERE w.owner_id = $1 AND NOT w.is_personal
+         AND EXISTS (
+           SELECT 1 FROM workspace_members m WHERE m.workspace_id = w.id AND m.user_id <> $1
+         )`,
+      [user.id]
+    );
+    if (sharedWorkspaces.rows.length > 0) {
+      return res.status(409).json({
+        error: 'Delete or hand over your team workspaces first',
+        details: sharedWorkspaces.rows.map(w => w.name)
+      });
+    }
+
+    await withTransaction(async (client) => {
+      // Leads this user created in other people's workspaces stay with that workspace's owner
+      await client.query(
+        `UPDATE leads_clean l SET user_id = w.owner_id
+         FROM workspaces w
+         WHERE l.workspace_id = w.id AND l.user_id = $1 AND w.owner_id <> $1`,
+        [user.id]
+      );
+      // Recorded first: the entry keeps actor_email once the account row is gone
+      await recordAudit(client, req, {
+        action: 'auth.account_deleted',
+        workspaceId: null,
+        actorEmail: user.email,
+        targetType: 'user',
+        targetId: user.id
+      });
+      await client.query('DELETE FROM "user" WHERE id = $1', [user.id]);
+    });
+
+    res.json({ message: 'Account deleted.' });
   } catch (err) {
-    console.error('❌ Error in /reset-password:', err);
-    res.status(500).json({ error: 'Failed to reset password.' });
+    next(err);
   }
 });
 
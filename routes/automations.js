@@ -0,0 +1,217 @@
+// 📄 routes/automations.js – Workspace automation rules and their run log
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateBody } = require('../lib/schema');
+const { RULE_FIELDS, loadScorableLeads } = require('../lib/scoring');
+const { loadTemplate } = require('../lib/email');
+const {
+  TRIGGERS,
+  ACTION_TYPES,
+  EMAIL_RECIPIENTS,
+  RUN_STATUSES,
+  validateAutomationRule,
+  evaluateConditions,
+  loadAutomationRules
+} = require('../lib/automation');
+
+// Every member can read rules and runs; rules act on leads unattended, so only admins change them
+router.use(authenticateToken);
+const canEdit = requireRole('editor');
+const canManage = requireRole('admin');
+
+// JSONB parameters must be serialised ourselves: pg would send arrays as Postgres arrays
+const ruleParams = (rule) => [
+  rule.name,
+  rule.trigger,
+  rule.inactiveDays,
+  JSON.stringify(rule.conditions),
+  JSON.stringify(rule.actions),
+  rule.active
+];
+
+// Per-field and per-action checks are done by validateAutomationRule
+const RULE = {
+  name: { type: 'string', maxLength: 100 },
+  trigger: { type: 'string', enum: TRIGGERS },
+  inactiveDays: { type: 'integer', nullable: true, min: 1, max: 365 },
+  conditions: { type: 'array', items: { type: 'object' } },
+  actions: { type: 'array', items: { type: 'object' } },
+  active: { type: 'boolean' }
+};
+const schemas = {
+  create: {
+    ...RULE,
+    name: { ...RULE.name, required: true },
+    trigger: { ...RULE.trigger, required: true },
+    actions: { ...RULE.actions, required: true }
+  },
+  update: RULE,
+  test: {
+    leadId: { type: 'id', required: true }
+  }
+};
+
+// Templates are looked up when the rule is saved so a typo fails now, not on every run
+async function missingTemplates(workspaceId, rule) {
+  const keys = [...new Set(rule.actions.filter(a => a.type === 'send_email').map(a => a.templateKey))];
+  const found = await Promise.all(keys.map(key => loadTemplate(pool, workspaceId, key)));
+  return keys.filter((key, i) => !found[i]).map(key => `Email template "${key}" not found`);
+}
+
+async function findRule(req, res) {
+  const ruleId = parseInt(req.params.id);
+  if (isNaN(ruleId)) {
+    res.status(400).json({ error: 'Invalid rule ID' });
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM automation_rules WHERE id = $1 AND workspace_id = $2',
+    [ruleId, req.workspace.id]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Automation rule not found' });
+    return null;
+  }
+  return result.rows[0];
+}
+
+// ─── Rules ───────────────────────────────────────────────────
+
+// 🔹 GET rules (and the triggers, condition fields and actions they may use)
+router.get('/rules', async (req, res, next) => {
+  try {
+    const rules = await loadAutomationRules(pool, req.workspace.id, { activeOnly: false });
+    res.json({
+      rules,
+      triggers: TRIGGERS,
+      fields: RULE_FIELDS,
+      actions: ACTION_TYPES,
+      emailRecipients: EMAIL_RECIPIENTS
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST create a rule
+// { name, trigger, inactiveDays?, conditions?: [{ field, fieldKey?, operator, value }], actions: [{ type, ... }], active? }
+router.post('/rules', canManage, validateBody(schemas.create), async (req, res, next) => {
+  try {
+    const { rule, errors } = validateAutomationRule(req.body);
+    const problems = errors || await missingTemplates(req.workspace.id, rule);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: problems });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO automation_rules
+        (name, trigger, inactive_days, conditions, actions, active, workspace_id, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [...ruleParams(rule), req.workspace.id, req.user.id]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 PUT update a rule (omitted keys keep their values)
+router.put('/rules/:id', canManage, validateBody(schemas.update), async (req, res, next) => {
+  try {
+    const existing = await findRule(req, res);
+    if (!existing) return;
+
+    const { rule, errors } = validateAutomationRule(req.body, existing);
+    const problems = errors || await missingTemplates(req.workspace.id, rule);
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: problems });
+    }
+
+    const result = await pool.query(
+      `UPDATE automation_rules SET
+        name = $1, trigger = $2, inactive_days = $3, conditions = $4, actions = $5, active = $6,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7
+       RETURNING *`,
+      [...ruleParams(rule), existing.id]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE a rule (its runs stay in the log)
+router.delete('/rules/:id', canManage, async (req, res, next) => {
+  try {
+    const rule = await findRule(req, res);
+    if (!rule) return;
+
+    await pool.query('DELETE FROM automation_rules WHERE id = $1', [rule.id]);
+    res.json(rule);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST check a rule's conditions against a lead without running its actions { leadId }
+router.post('/rules/:id/test', canEdit, validateBody(schemas.test), async (req, res, next) => {
+  try {
+    const rule = await findRule(req, res);
+    if (!rule) return;
+
+    const [lead] = await loadScorableLeads(pool, req.workspace.id, [parseInt(req.body.leadId)]);
+    if (!lead) {
+      return res.status(404).json({ error: 'Lead not found in this workspace' });
+    }
+
+    const conditions = evaluateConditions(rule, lead);
+    res.json({
+      ruleId: rule.id,
+      leadId: lead.id,
+      matched: conditions.every(c => c.matched),
+      conditions,
+      actions: rule.actions
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Run log ─────────────────────────────────────────────────
+
+// 🔹 GET rule runs, newest first (?ruleId=, ?leadId=, ?status=, ?limit=)
+router.get('/runs', async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${RUN_STATUSES.join(', ')}` });
+    }
+    const ruleId = req.query.ruleId !== undefined ? parseInt(req.query.ruleId) : null;
+    const leadId = req.query.leadId !== undefined ? parseInt(req.query.leadId) : null;
+    if (Number.isNaN(ruleId) || Number.isNaN(leadId)) {
+      return res.status(400).json({ error: 'ruleId and leadId must be numbers' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const result = await pool.query(
+      `SELECT * FROM automation_runs
+       WHERE workspace_id = $1
+         AND ($2::int IS NULL OR rule_id = $2)
+         AND ($3::int IS NULL OR lead_id = $3)
+         AND ($4::text IS NULL OR status = $4)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $5`,
+      [req.workspace.id, ruleId, leadId, status || null, limit]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
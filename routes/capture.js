@@ -0,0 +1,309 @@
+// 📄 routes/capture.js – Public lead-capture endpoint and the keys that authorise it
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken, requireRole, authenticateCaptureKey } = require('../middleware/auth');
+const { hasRole } = require('../lib/workspaces');
+const { withTransaction } = require('../lib/transaction');
+const { resolvePipeline, stageNames } = require('../lib/pipelines');
+const { formatLead, validateLeadData } = require('../lib/leadData');
+const { recordStageChange } = require('../lib/stageHistory');
+const { loadFieldDefinitions, normalizeCustomFields } = require('../lib/customFields');
+const { rescoreLeads } = require('../lib/scoring');
+const { enqueueLeadEvents } = require('../lib/webhooks');
+const { recordAudit, diffLead } = require('../lib/audit');
+const { runLeadAutomations } = require('../lib/automation');
+const { validateBody } = require('../lib/schema');
+const { captureIpLimiter, captureKeyLimiter } = require('../lib/rateLimit');
+const {
+  generateCaptureKey,
+  formatCaptureKey,
+  extractUtm,
+  isSpam
+} = require('../lib/leadCapture');
+
+const canEdit = requireRole('editor');
+
+const REQUIRED_TEXT = { type: 'string', required: true, minLength: 1 };
+const KEY = {
+  name: { type: 'string', maxLength: 100 },
+  pipelineId: { type: 'id', nullable: true },
+  defaultStage: { type: 'string', nullable: true },
+  redirectUrl: { type: 'string', nullable: true, maxLength: 2048 },
+  active: { type: 'boolean' }
+};
+const schemas = {
+  // Company/email rules and custom fields are checked by validateLeadData, as for POST /api/leads
+  lead: {
+    company: { ...REQUIRED_TEXT, maxLength: 200 },
+    contact: { ...REQUIRED_TEXT, maxLength: 200 },
+    email: { ...REQUIRED_TEXT, format: 'email', maxLength: 254 },
+    notes: { type: 'string', maxLength: 10000 },
+    customFields: { type: 'object' },
+    source: { type: 'string', maxLength: 100 },
+    referrer: { type: 'string', maxLength: 2048 }
+  },
+  createKey: { ...KEY, name: { ...KEY.name, required: true, minLength: 1 } },
+  updateKey: KEY
+};
+
+function validRedirectUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Resolves { pipelineId, defaultStage, redirectUrl } from a key body; returns { settings } or { status, error }
+async function resolveKeySettings(workspaceId, body, existing = null) {
+  const pipelineId = body.pipelineId !== undefined ? body.pipelineId : existing?.pipeline_id ?? null;
+  const defaultStage = body.defaultStage !== undefined ? body.defaultStage : existing?.default_stage ?? null;
+  const redirectUrl = body.redirectUrl !== undefined ? body.redirectUrl : existing?.redirect_url ?? null;
+
+  const pipeline = await resolvePipeline(pool, workspaceId, pipelineId);
+  if (!pipeline) return { status: 404, error: 'Pipeline not found' };
+  if (defaultStage && !stageNames(pipeline).includes(defaultStage)) {
+    return { status: 400, error: `Stage "${defaultStage}" is not in this pipeline` };
+  }
+  if (redirectUrl && !validRedirectUrl(redirectUrl)) {
+    return { status: 400, error: 'redirectUrl must be a valid http(s) URL' };
+  }
+  return {
+    settings: {
+      pipelineId: pipelineId === null ? null : pipeline.id,
+      defaultStage: defaultStage || null,
+      redirectUrl: redirectUrl || null
+    }
+  };
+}
+
+// Members manage their own keys; admins manage every key in the workspace
+async function findKey(req, res) {
+  const keyId = parseInt(req.params.id);
+  if (isNaN(keyId)) {
+    res.status(400).json({ error: 'Invalid key ID' });
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM lead_capture_keys WHERE id = $1 AND workspace_id = $2',
+    [keyId, req.workspace.id]
+  );
+  const captureKey = result.rows[0];
+  if (!captureKey || (captureKey.user_id !== req.user.id && !hasRole(req.workspace.role, 'admin'))) {
+    res.status(404).json({ error: 'API key not found' });
+    return null;
+  }
+  return captureKey;
+}
+
+// Plain HTML forms go on to the key's thank-you page; API clients get JSON
+function respondCaptured(req, res) {
+  if (req.is('urlencoded') && req.captureKey.redirect_url) {
+    return res.redirect(303, req.captureKey.redirect_url);
+  }
+  res.status(201).json({ received: true });
+}
+
+// ─── Public intake ───────────────────────────────────────────
+
+// 🔹 POST a lead from a website form (API key in X-Api-Key, or `formToken` in the form)
+// { company, contact, email, notes?, customFields?, source?, referrer?, utm_source? ... utm_content? }
+// JSON or url-encoded. Spam caught by the honeypot gets the same answer as a real submission.
+router.post(
+  '/leads',
+  captureIpLimiter,
+  express.urlencoded({ extended: true, limit: '100kb' }),
+  authenticateCaptureKey,
+  captureKeyLimiter,
+  (req, res, next) => (isSpam(req.body) ? respondCaptured(req, res) : next()),
+  validateBody(schemas.lead),
+  async (req, res, next) => {
+    try {
+      const { captureKey } = req;
+      const workspaceId = captureKey.workspace_id;
+      const { company, contact, email, notes = '', customFields = {}, source, referrer } = req.body;
+
+      const fieldDefinitions = await loadFieldDefinitions(pool, workspaceId);
+      const validationErrors = validateLeadData({ company, email, customFields }, fieldDefinitions);
+      if (validationErrors) {
+        return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+      }
+
+      // The key's pipeline or stage may have been deleted since; fall back to the defaults
+      const pipeline = await resolvePipeline(pool, workspaceId, captureKey.pipeline_id)
+        || await resolvePipeline(pool, workspaceId, null);
+      const validStages = stageNames(pipeline);
+      const leadStage = validStages.includes(captureKey.default_stage) ? captureKey.default_stage : validStages[0];
+
+      const lead = await withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO leads_clean
+            (user_id, workspace_id, pipeline_id, company, contact, email, stage, notes,
+             custom_fields, source, utm, referrer, capture_key_id, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, jsonb_strip_nulls($9), $10, $11, $12, $13, CURRENT_TIMESTAMP)
+           RETURNING *`,
+          [
+            captureKey.user_id,
+            workspaceId,
+            pipeline.id,
+            company.trim(),
+            contact.trim(),
+            email.trim(),
+            leadStage,
+            notes.trim(),
+            normalizeCustomFields(customFields, fieldDefinitions),
+            source?.trim() || 'web_form',
+            extractUtm(req.body, req.query),
+            referrer?.trim() || req.headers.referer?.slice(0, 2048) || null,
+            captureKey.id
+          ]
+        );
+
+        await recordStageChange(client, {
+          leadId: result.rows[0].id,
+          changedBy: captureKey.user_id,
+          fromStage: null,
+          toStage: leadStage
+        });
+        const scores = await rescoreLeads(client, workspaceId, [result.rows[0].id]);
+        const created = { ...result.rows[0], strategies: [], score: scores.get(result.rows[0].id) };
+        await recordAudit(client, req, {
+          action: 'lead.create',
+          actorId: captureKey.user_id,
+          targetType: 'lead',
+          targetId: created.id,
+          changes: diffLead({}, created),
+          metadata: { captureKeyId: captureKey.id, source: created.source }
+        });
+        await enqueueLeadEvents(client, workspaceId, {
+          type: 'created',
+          lead: formatLead(created),
+          fromStage: null,
+          pipeline
+        });
+        await client.query('UPDATE lead_capture_keys SET last_used_at = NOW() WHERE id = $1', [captureKey.id]);
+
+        return created;
+      });
+
+      await runLeadAutomations(workspaceId, 'lead.created', [lead.id]);
+      respondCaptured(req, res);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ─── Keys ────────────────────────────────────────────────────
+
+// 🔹 GET capture keys (admins see the whole workspace's, editors their own)
+router.get('/keys', authenticateToken, canEdit, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM lead_capture_keys
+       WHERE workspace_id = $1 AND ($2 OR user_id = $3)
+       ORDER BY created_at DESC, id DESC`,
+      [req.workspace.id, hasRole(req.workspace.role, 'admin'), req.user.id]
+    );
+    res.json(result.rows.map(formatCaptureKey));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST create a key { name, pipelineId?, defaultStage?, redirectUrl? }
+// The key is only returned here; store it in the form or site configuration
+router.post('/keys', authenticateToken, canEdit, validateBody(schemas.createKey), async (req, res, next) => {
+  try {
+    const { settings, status, error } = await resolveKeySettings(req.workspace.id, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const { key, prefix, hash } = generateCaptureKey();
+    const result = await pool.query(
+      `INSERT INTO lead_capture_keys
+        (workspace_id, user_id, name, key_prefix, key_hash, pipeline_id, default_stage, redirect_url)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        req.workspace.id,
+        req.user.id,
+        req.body.name.trim(),
+        prefix,
+        hash,
+        settings.pipelineId,
+        settings.defaultStage,
+        settings.redirectUrl
+      ]
+    );
+    await recordAudit(pool, req, {
+      action: 'capture_key.create',
+      targetType: 'capture_key',
+      targetId: result.rows[0].id,
+      metadata: { name: result.rows[0].name, prefix }
+    });
+    res.status(201).json({ ...formatCaptureKey(result.rows[0]), key });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 PUT update a key's name, target pipeline/stage, redirect or active flag
+router.put('/keys/:id', authenticateToken, canEdit, validateBody(schemas.updateKey), async (req, res, next) => {
+  try {
+    const existing = await findKey(req, res);
+    if (!existing) return;
+
+    const { settings, status, error } = await resolveKeySettings(req.workspace.id, req.body, existing);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const result = await pool.query(
+      `UPDATE lead_capture_keys SET
+        name = COALESCE($1, name),
+        pipeline_id = $2,
+        default_stage = $3,
+        redirect_url = $4,
+        active = COALESCE($5, active),
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [
+        req.body.name?.trim() || null,
+        settings.pipelineId,
+        settings.defaultStage,
+        settings.redirectUrl,
+        req.body.active ?? null,
+        existing.id
+      ]
+    );
+    res.json(formatCaptureKey(result.rows[0]));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE revoke a key (leads it created keep their source but lose the link)
+router.delete('/keys/:id', authenticateToken, canEdit, async (req, res, next) => {
+  try {
+    const captureKey = await findKey(req, res);
+    if (!captureKey) return;
+
+    await pool.query('DELETE FROM lead_capture_keys WHERE id = $1', [captureKey.id]);
+    await recordAudit(pool, req, {
+      action: 'capture_key.revoke',
+      targetType: 'capture_key',
+      targetId: captureKey.id,
+      metadata: { name: captureKey.name, prefix: captureKey.key_prefix }
+    });
+    res.json(formatCaptureKey(captureKey));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
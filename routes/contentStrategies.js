@@ -0,0 +1,193 @@
+// 📄 routes/contentStrategies.js – Content-strategy tags: CRUD, rename and merge
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { withTransaction } = require('../lib/transaction');
+const { validateStrategyName } = require('../lib/contentStrategies');
+const { rescoreLeads } = require('../lib/scoring');
+const { validateBody } = require('../lib/schema');
+
+// Editors may add strategies; renaming, merging and deleting touch every lead, so admin only
+router.use(authenticateToken);
+const canEdit = requireRole('editor');
+const canManage = requireRole('admin');
+
+// Name rules live in validateStrategyName
+const schemas = {
+  strategy: { name: { type: 'string', required: true } },
+  merge: { targetId: { type: 'id', required: true } }
+};
+
+async function findStrategy(db, workspaceId, id) {
+  const result = await db.query(
+    'SELECT * FROM content_strategies WHERE id = $1 AND workspace_id = $2',
+    [id, workspaceId]
+  );
+  return result.rows[0] || null;
+}
+
+// Strategy-based scoring rules match on names, so affected leads need a fresh score
+async function rescoreStrategyLeads(db, workspaceId, strategyId) {
+  const leads = await db.query(
+    'SELECT lead_id FROM lead_content_strategies WHERE strategy_id = $1',
+    [strategyId]
+  );
+  if (leads.rows.length > 0) {
+    await rescoreLeads(db, workspaceId, leads.rows.map(row => row.lead_id));
+  }
+}
+
+// 🔹 GET strategies with how many leads use each
+router.get('/', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT s.*, COUNT(l.id)::int AS lead_count
+       FROM content_strategies s
+       LEFT JOIN lead_content_strategies ls ON ls.strategy_id = s.id
+       LEFT JOIN leads_clean l ON l.id = ls.lead_id AND l.deleted_at IS NULL
+       WHERE s.workspace_id = $1
+       GROUP BY s.id
+       ORDER BY lower(s.name)`,
+      [req.workspace.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST create a strategy
+router.post('/', canEdit, validateBody(schemas.strategy), async (req, res, next) => {
+  try {
+    const { name } = req.body;
+    const nameError = validateStrategyName(name);
+    if (nameError) {
+      return res.status(400).json({ error: 'Validation failed', details: [nameError] });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO content_strategies (workspace_id, name) VALUES ($1, $2) RETURNING *',
+      [req.workspace.id, name.trim()]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A strategy with this name already exists' });
+    }
+    next(err);
+  }
+});
+
+// 🔹 PUT rename a strategy (every linked lead picks up the new name)
+router.put('/:id', canManage, validateBody(schemas.strategy), async (req, res, next) => {
+  try {
+    const strategyId = parseInt(req.params.id);
+    if (isNaN(strategyId)) {
+      return res.status(400).json({ error: 'Invalid strategy ID' });
+    }
+
+    const { name } = req.body;
+    const nameError = validateStrategyName(name);
+    if (nameError) {
+      return res.status(400).json({ error: 'Validation failed', details: [nameError] });
+    }
+
+    const renamed = await withTransaction(async (client) => {
+      const result = await client.query(
+        'UPDATE content_strategies SET name = $1 WHERE id = $2 AND workspace_id = $3 RETURNING *',
+        [name.trim(), strategyId, req.workspace.id]
+      );
+      if (result.rows.length === 0) return null;
+      await rescoreStrategyLeads(client, req.workspace.id, strategyId);
+      return result.rows[0];
+    });
+
+    if (!renamed) {
+      return res.status(404).json({ error: 'Content strategy not found' });
+    }
+    res.json(renamed);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A strategy with this name already exists - merge them instead' });
+    }
+    next(err);
+  }
+});
+
+// 🔹 POST merge this strategy into { targetId }: its leads move over and it is deleted
+router.post('/:id/merge', canManage, validateBody(schemas.merge), async (req, res, next) => {
+  try {
+    const sourceId = parseInt(req.params.id);
+    const targetId = parseInt(req.body.targetId);
+    if (isNaN(sourceId) || isNaN(targetId)) {
+      return res.status(400).json({ error: 'Invalid strategy ID' });
+    }
+    if (sourceId === targetId) {
+      return res.status(400).json({ error: 'Cannot merge a strategy into itself' });
+    }
+
+    const merged = await withTransaction(async (client) => {
+      const source = await findStrategy(client, req.workspace.id, sourceId);
+      const target = await findStrategy(client, req.workspace.id, targetId);
+      if (!source || !target) return null;
+
+      await client.query(
+        `INSERT INTO lead_content_strategies (lead_id, strategy_id)
+         SELECT lead_id, $2 FROM lead_content_strategies WHERE strategy_id = $1
+         ON CONFLICT DO NOTHING`,
+        [sourceId, targetId]
+      );
+      await client.query('DELETE FROM content_strategies WHERE id = $1', [sourceId]);
+      await rescoreStrategyLeads(client, req.workspace.id, targetId);
+
+      const count = await client.query(
+        'SELECT COUNT(*)::int AS lead_count FROM lead_content_strategies WHERE strategy_id = $1',
+        [targetId]
+      );
+      return { ...target, lead_count: count.rows[0].lead_count, mergedFrom: source };
+    });
+
+    if (!merged) {
+      return res.status(404).json({ error: 'Content strategy not found' });
+    }
+    res.json(merged);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE a strategy and unlink it from every lead
+router.delete('/:id', canManage, async (req, res, next) => {
+  try {
+    const strategyId = parseInt(req.params.id);
+    if (isNaN(strategyId)) {
+      return res.status(400).json({ error: 'Invalid strategy ID' });
+    }
+
+    const deleted = await withTransaction(async (client) => {
+      const linked = await client.query(
+        'SELECT lead_id FROM lead_content_strategies WHERE strategy_id = $1',
+        [strategyId]
+      );
+      const result = await client.query(
+        'DELETE FROM content_strategies WHERE id = $1 AND workspace_id = $2 RETURNING *',
+        [strategyId, req.workspace.id]
+      );
+      if (result.rows.length === 0) return null;
+      if (linked.rows.length > 0) {
+        await rescoreLeads(client, req.workspace.id, linked.rows.map(row => row.lead_id));
+      }
+      return result.rows[0];
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Content strategy not found' });
+    }
+    res.json(deleted);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
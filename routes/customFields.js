@@ -0,0 +1,170 @@
+// 📄 routes/customFields.js – Workspace custom field definitions for leads
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { withTransaction } = require('../lib/transaction');
+const { FIELD_TYPES, validateDefinition, loadFieldDefinitions } = require('../lib/customFields');
+const { validateBody } = require('../lib/schema');
+
+// Every member can read definitions; changing the schema requires admin
+router.use(authenticateToken);
+const canManage = requireRole('admin');
+
+// Key format, options and currency per type are checked by validateDefinition
+const FIELD = {
+  key: { type: 'string' },
+  label: { type: 'string', maxLength: 100 },
+  type: { type: 'string', enum: FIELD_TYPES },
+  options: { type: 'array', items: { type: 'string', maxLength: 100 }, maxItems: 100 },
+  currency: { type: 'string', nullable: true },
+  required: { type: 'boolean' },
+  position: { type: 'integer' }
+};
+const schemas = {
+  create: {
+    ...FIELD,
+    key: { ...FIELD.key, required: true },
+    label: { ...FIELD.label, required: true },
+    type: { ...FIELD.type, required: true }
+  },
+  update: FIELD
+};
+
+// 🔹 GET field definitions (and the supported types)
+router.get('/', async (req, res, next) => {
+  try {
+    const fields = await loadFieldDefinitions(pool, req.workspace.id);
+    res.json({ fields, types: FIELD_TYPES });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST define a new field
+router.post('/', canManage, validateBody(schemas.create), async (req, res, next) => {
+  try {
+    const { definition, errors } = validateDefinition(req.body);
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO custom_field_definitions
+        (workspace_id, key, label, type, options, currency, required, position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        req.workspace.id,
+        definition.key,
+        definition.label,
+        definition.type,
+        definition.options,
+        definition.currency,
+        definition.required,
+        definition.position
+      ]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A custom field with this key already exists' });
+    }
+    next(err);
+  }
+});
+
+// 🔹 PUT update label, options, currency, required or position (key and type are fixed)
+router.put('/:id', canManage, validateBody(schemas.update), async (req, res, next) => {
+  try {
+    const fieldId = parseInt(req.params.id);
+    if (isNaN(fieldId)) {
+      return res.status(400).json({ error: 'Invalid field ID' });
+    }
+
+    const existing = await pool.query(
+      'SELECT * FROM custom_field_definitions WHERE id = $1 AND workspace_id = $2',
+      [fieldId, req.workspace.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+
+    const current = existing.rows[0];
+    const { definition, errors } = validateDefinition(req.body, current);
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    // Dropping a select option would leave leads holding a value that no longer validates
+    const removedOptions = current.options.filter(o => !definition.options.includes(o));
+    if (removedOptions.length > 0) {
+      const inUse = await pool.query(
+        `SELECT COUNT(*)::int AS count FROM leads_clean
+         WHERE workspace_id = $1 AND (
+           custom_fields->>$2 = ANY($3)
+           OR (jsonb_typeof(custom_fields->$2) = 'array' AND custom_fields->$2 ?| $3)
+         )`,
+        [req.workspace.id, current.key, removedOptions]
+      );
+      if (inUse.rows[0].count > 0) {
+        return res.status(409).json({
+          error: 'Cannot remove options that leads still use',
+          details: [`${removedOptions.join(', ')}: ${inUse.rows[0].count} lead(s)`]
+        });
+      }
+    }
+
+    const result = await pool.query(
+      `UPDATE custom_field_definitions SET
+        label = $1, options = $2, currency = $3, required = $4, position = $5
+       WHERE id = $6
+       RETURNING *`,
+      [
+        definition.label,
+        definition.options,
+        definition.currency,
+        definition.required,
+        definition.position,
+        fieldId
+      ]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE a field and its values on every lead
+router.delete('/:id', canManage, async (req, res, next) => {
+  try {
+    const fieldId = parseInt(req.params.id);
+    if (isNaN(fieldId)) {
+      return res.status(400).json({ error: 'Invalid field ID' });
+    }
+
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        'DELETE FROM custom_field_definitions WHERE id = $1 AND workspace_id = $2 RETURNING *',
+        [fieldId, req.workspace.id]
+      );
+      if (result.rows.length === 0) return null;
+
+      await client.query(
+        `UPDATE leads_clean SET custom_fields = custom_fields - $1
+         WHERE workspace_id = $2 AND custom_fields ? $1`,
+        [result.rows[0].key, req.workspace.id]
+      );
+      return result.rows[0];
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Custom field not found' });
+    }
+    res.json(deleted);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,254 @@
+// 📄 routes/email.js – Email templates and the workspace outbox
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validateBody } = require('../lib/schema');
+const {
+  renderTemplate,
+  templateVariables,
+  validateTemplate,
+  leadEmailVariables
+} = require('../lib/email');
+
+// Editors write templates; deleting them and working the outbox is admin only
+router.use(authenticateToken);
+const canEdit = requireRole('editor');
+const canManage = requireRole('admin');
+
+const OUTBOX_STATUSES = ['pending', 'sent', 'failed'];
+
+const TEMPLATE = {
+  key: { type: 'string', maxLength: 50 },
+  name: { type: 'string', maxLength: 100 },
+  subject: { type: 'string', maxLength: 200 },
+  html: { type: 'string', maxLength: 100000 },
+  text: { type: 'string', nullable: true, maxLength: 100000 }
+};
+const schemas = {
+  create: {
+    ...TEMPLATE,
+    key: { ...TEMPLATE.key, required: true },
+    name: { ...TEMPLATE.name, required: true },
+    subject: { ...TEMPLATE.subject, required: true },
+    html: { ...TEMPLATE.html, required: true }
+  },
+  update: TEMPLATE,
+  preview: {
+    variables: { type: 'object' },
+    leadId: { type: 'id' }
+  }
+};
+
+const formatTemplate = (template) => ({
+  ...template,
+  system: template.workspace_id === null,
+  variables: templateVariables(template)
+});
+
+// Built-in templates are visible to every workspace but can only be overridden, not edited
+async function findTemplate(req, res) {
+  const templateId = parseInt(req.params.id);
+  if (isNaN(templateId)) {
+    res.status(400).json({ error: 'Invalid template ID' });
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM email_templates WHERE id = $1 AND (workspace_id = $2 OR workspace_id IS NULL)',
+    [templateId, req.workspace.id]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Template not found' });
+    return null;
+  }
+  return result.rows[0];
+}
+
+function rejectSystemTemplate(res, template) {
+  if (template.workspace_id !== null) return false;
+  res.status(403).json({
+    error: 'Built-in templates are read-only - create a workspace template with the same key to override it'
+  });
+  return true;
+}
+
+// ─── Templates ───────────────────────────────────────────────
+
+// 🔹 GET workspace templates plus the built-in ones they do not override
+router.get('/templates', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT DISTINCT ON (key) *
+       FROM email_templates
+       WHERE workspace_id = $1 OR workspace_id IS NULL
+       ORDER BY key, workspace_id NULLS LAST`,
+      [req.workspace.id]
+    );
+    res.json(result.rows.map(formatTemplate));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET single template
+router.get('/templates/:id', async (req, res, next) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+    res.json(formatTemplate(template));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST create a template (using a built-in key overrides that email for this workspace)
+router.post('/templates', canEdit, validateBody(schemas.create), async (req, res, next) => {
+  try {
+    const errors = validateTemplate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const { key, name, subject, html, text = null } = req.body;
+    const result = await pool.query(
+      `INSERT INTO email_templates (workspace_id, key, name, subject, html, text, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [req.workspace.id, key, name.trim(), subject.trim(), html, text, req.user.id]
+    );
+    res.status(201).json(formatTemplate(result.rows[0]));
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A template with this key already exists' });
+    }
+    next(err);
+  }
+});
+
+// 🔹 PUT update name, subject or body (the key is fixed)
+router.put('/templates/:id', canEdit, validateBody(schemas.update), async (req, res, next) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template || rejectSystemTemplate(res, template)) return;
+
+    const errors = validateTemplate(req.body, { partial: true });
+    if (req.body.key !== undefined && req.body.key !== template.key) {
+      errors.push('key cannot be changed; create a new template instead');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const { name, subject, html, text } = req.body;
+    const result = await pool.query(
+      `UPDATE email_templates SET
+        name = COALESCE($1, name),
+        subject = COALESCE($2, subject),
+        html = COALESCE($3, html),
+        text = CASE WHEN $4 THEN $5 ELSE text END,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6
+       RETURNING *`,
+      [name?.trim() || null, subject?.trim() || null, html || null, text !== undefined, text ?? null, template.id]
+    );
+    res.json(formatTemplate(result.rows[0]));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE a workspace template (an overridden built-in takes effect again)
+router.delete('/templates/:id', canManage, async (req, res, next) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template || rejectSystemTemplate(res, template)) return;
+
+    await pool.query('DELETE FROM email_templates WHERE id = $1', [template.id]);
+    res.json(formatTemplate(template));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST render a template without sending it
+// { variables?, leadId? } – with leadId the lead's fields are filled in as for a real send
+router.post('/templates/:id/preview', canEdit, validateBody(schemas.preview), async (req, res, next) => {
+  try {
+    const template = await findTemplate(req, res);
+    if (!template) return;
+
+    let variables = req.body.variables || {};
+    if (req.body.leadId !== undefined) {
+      const lead = await pool.query(
+        'SELECT * FROM leads_clean WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL',
+        [parseInt(req.body.leadId), req.workspace.id]
+      );
+      if (lead.rows.length === 0) {
+        return res.status(404).json({ error: 'Lead not found in this workspace' });
+      }
+      variables = leadEmailVariables(lead.rows[0], { workspace: req.workspace, sender: req.user }, variables);
+    }
+
+    res.json({ ...renderTemplate(template, variables), variables: templateVariables(template) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Outbox ──────────────────────────────────────────────────
+
+// 🔹 GET emails sent from this workspace, newest first (?status=, ?leadId=, ?limit=)
+router.get('/outbox', canManage, async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+    }
+    const leadId = req.query.leadId !== undefined ? parseInt(req.query.leadId) : null;
+    if (Number.isNaN(leadId)) {
+      return res.status(400).json({ error: 'Invalid lead ID' });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const result = await pool.query(
+      `SELECT id, lead_id, template_key, to_email, subject, created_by, status, attempts,
+              next_attempt_at, last_error, message_id, created_at, sent_at
+       FROM email_outbox
+       WHERE workspace_id = $1
+         AND ($2::text IS NULL OR status = $2)
+         AND ($3::int IS NULL OR lead_id = $3)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $4`,
+      [req.workspace.id, status || null, leadId, limit]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST retry a failed email now
+router.post('/outbox/:id/retry', canManage, async (req, res, next) => {
+  try {
+    const messageId = parseInt(req.params.id);
+    if (isNaN(messageId)) {
+      return res.status(400).json({ error: 'Invalid email ID' });
+    }
+
+    const result = await pool.query(
+      `UPDATE email_outbox SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+       WHERE id = $1 AND workspace_id = $2 AND status = 'failed'
+       RETURNING id, lead_id, template_key, to_email, subject, status, attempts, next_attempt_at, created_at`,
+      [messageId, req.workspace.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Failed email not found' });
+    }
+    res.status(202).json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
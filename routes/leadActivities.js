@@ -0,0 +1,398 @@
+// 📄 routes/leadActivities.js – Activity timeline, follow-up tasks and emails under /api/leads/:id/
+// Mounted by routes/leads.js after authentication, so req.user and req.workspace are set.
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const pool = require('../db');
+const { requireRole } = require('../middleware/auth');
+const { hasRole, getMembership } = require('../lib/workspaces');
+const { rescoreLeads } = require('../lib/scoring');
+const { validateBody } = require('../lib/schema');
+const { withTransaction } = require('../lib/transaction');
+const { recordAudit } = require('../lib/audit');
+const { loadTemplate, leadEmailVariables, queueEmail } = require('../lib/email');
+
+const ACTIVITY_TYPES = ['call', 'email', 'meeting', 'note'];
+const canEdit = requireRole('editor');
+
+const ACTIVITY = {
+  type: { type: 'string', enum: ACTIVITY_TYPES },
+  body: { type: 'string', maxLength: 10000 },
+  occurredAt: { type: 'date', nullable: true }
+};
+const TASK = {
+  title: { type: 'string', maxLength: 200 },
+  description: { type: 'string', maxLength: 5000 },
+  dueAt: { type: 'date', nullable: true },
+  assignedTo: { type: 'integer', nullable: true },
+  completed: { type: 'boolean' }
+};
+const schemas = {
+  createActivity: { ...ACTIVITY, type: { ...ACTIVITY.type, required: true }, body: { ...ACTIVITY.body, required: true } },
+  updateActivity: ACTIVITY,
+  createTask: { ...TASK, title: { ...TASK.title, required: true } },
+  updateTask: TASK,
+  sendEmail: {
+    templateKey: { type: 'string', required: true, minLength: 1 },
+    variables: { type: 'object' }
+  }
+};
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// 🔹 Verify :id is a lead in the current workspace and expose it as req.lead
+const loadLead = async (req, res, next) => {
+  try {
+    const leadId = parseInt(req.params.id);
+    if (isNaN(leadId)) {
+      return res.status(400).json({ error: 'Invalid lead ID' });
+    }
+
+    const result = await pool.query(
+      'SELECT id, user_id, workspace_id FROM leads_clean WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL',
+      [leadId, req.workspace.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Lead not found in this workspace' });
+    }
+
+    req.lead = result.rows[0];
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+function validateActivity({ type, body, occurredAt }, partial = false) {
+  const errors = [];
+  if ((!partial || type !== undefined) && !ACTIVITY_TYPES.includes(type)) {
+    errors.push(`Activity type must be one of: ${ACTIVITY_TYPES.join(', ')}`);
+  }
+  if ((!partial || body !== undefined) && (typeof body !== 'string' || body.trim().length === 0)) {
+    errors.push('Activity body is required');
+  }
+  if (occurredAt !== undefined && occurredAt !== null && !parseDate(occurredAt)) {
+    errors.push('occurredAt must be a valid date');
+  }
+  return errors.length > 0 ? errors : null;
+}
+
+async function validateTask(workspaceId, { title, dueAt, assignedTo }, partial = false) {
+  const errors = [];
+  if ((!partial || title !== undefined) && (typeof title !== 'string' || title.trim().length < 2)) {
+    errors.push('Task title must be at least 2 characters');
+  }
+  if (dueAt !== undefined && dueAt !== null && !parseDate(dueAt)) {
+    errors.push('dueAt must be a valid date');
+  }
+  if (assignedTo !== undefined && assignedTo !== null) {
+    const member = Number.isInteger(assignedTo) && await getMembership(pool, workspaceId, assignedTo);
+    if (!member) errors.push('assignedTo must be a member of this workspace');
+  }
+  return errors.length > 0 ? errors : null;
+}
+
+// ─── Activities ──────────────────────────────────────────────
+
+// 🔹 GET activity timeline for a lead (newest first)
+router.get('/activities', loadLead, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT a.*, u.email AS author_email
+       FROM lead_activities a
+       LEFT JOIN "user" u ON u.id = a.author_id
+       WHERE a.lead_id = $1
+       ORDER BY a.occurred_at DESC, a.id DESC`,
+      [req.lead.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST log an activity
+router.post('/activities', canEdit, loadLead, validateBody(schemas.createActivity), async (req, res, next) => {
+  try {
+    const { type, body, occurredAt } = req.body;
+    const validationErrors = validateActivity({ type, body, occurredAt });
+    if (validationErrors) {
+      return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO lead_activities (lead_id, author_id, type, body, occurred_at)
+       VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_TIMESTAMP))
+       RETURNING *`,
+      [req.lead.id, req.user.id, type, body.trim(), occurredAt ? parseDate(occurredAt) : null]
+    );
+    // Activity recency feeds lead scoring
+    await rescoreLeads(pool, req.workspace.id, [req.lead.id]);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Authors may edit their own entries; admins may edit anyone's
+async function loadActivity(req, res) {
+  const activityId = parseInt(req.params.activityId);
+  if (isNaN(activityId)) {
+    res.status(400).json({ error: 'Invalid activity ID' });
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM lead_activities WHERE id = $1 AND lead_id = $2',
+    [activityId, req.lead.id]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Activity not found' });
+    return null;
+  }
+
+  const activity = result.rows[0];
+  if (activity.author_id !== req.user.id && !hasRole(req.workspace.role, 'admin')) {
+    res.status(403).json({ error: 'Forbidden - You can only change your own activities' });
+    return null;
+  }
+  return activity;
+}
+
+// 🔹 PUT edit an activity
+router.put('/activities/:activityId', canEdit, loadLead, validateBody(schemas.updateActivity), async (req, res, next) => {
+  try {
+    const activity = await loadActivity(req, res);
+    if (!activity) return;
+
+    const { type, body, occurredAt } = req.body;
+    const validationErrors = validateActivity({ type, body, occurredAt }, true);
+    if (validationErrors) {
+      return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+    }
+
+    const result = await pool.query(
+      `UPDATE lead_activities SET
+        type = COALESCE($1, type),
+        body = COALESCE($2, body),
+        occurred_at = COALESCE($3, occurred_at),
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [type || null, body?.trim() || null, occurredAt ? parseDate(occurredAt) : null, activity.id]
+    );
+    await rescoreLeads(pool, req.workspace.id, [req.lead.id]);
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE an activity
+router.delete('/activities/:activityId', canEdit, loadLead, async (req, res, next) => {
+  try {
+    const activity = await loadActivity(req, res);
+    if (!activity) return;
+
+    await pool.query('DELETE FROM lead_activities WHERE id = $1', [activity.id]);
+    await rescoreLeads(pool, req.workspace.id, [req.lead.id]);
+    res.json(activity);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Tasks ───────────────────────────────────────────────────
+
+// 🔹 GET tasks for a lead (open first, then by due date)
+router.get('/tasks', loadLead, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.*, u.email AS assigned_to_email
+       FROM lead_tasks t
+       LEFT JOIN "user" u ON u.id = t.assigned_to
+       WHERE t.lead_id = $1
+       ORDER BY (t.completed_at IS NOT NULL), t.due_at ASC NULLS LAST, t.id ASC`,
+      [req.lead.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST create a follow-up task (assigned to the creator unless assignedTo is given)
+router.post('/tasks', canEdit, loadLead, validateBody(schemas.createTask), async (req, res, next) => {
+  try {
+    const { title, description = '', dueAt = null, assignedTo = req.user.id } = req.body;
+    const validationErrors = await validateTask(req.workspace.id, { title, dueAt, assignedTo });
+    if (validationErrors) {
+      return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO lead_tasks (lead_id, created_by, assigned_to, title, description, due_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        req.lead.id,
+        req.user.id,
+        assignedTo,
+        title.trim(),
+        String(description).trim(),
+        dueAt ? parseDate(dueAt) : null
+      ]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 PUT update a task; { completed: true|false } marks it done or reopens it
+router.put('/tasks/:taskId', canEdit, loadLead, validateBody(schemas.updateTask), async (req, res, next) => {
+  try {
+    const taskId = parseInt(req.params.taskId);
+    if (isNaN(taskId)) {
+      return res.status(400).json({ error: 'Invalid task ID' });
+    }
+
+    const { title, description, dueAt, assignedTo, completed } = req.body;
+    const validationErrors = await validateTask(req.workspace.id, { title, dueAt, assignedTo }, true);
+    if (validationErrors) {
+      return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+    }
+
+    const result = await pool.query(
+      `UPDATE lead_tasks SET
+        title = COALESCE($1, title),
+        description = COALESCE($2, description),
+        due_at = CASE WHEN $3 THEN $4 ELSE due_at END,
+        assigned_to = CASE WHEN $5 THEN $6 ELSE assigned_to END,
+        completed_at = CASE
+          WHEN $7::boolean IS NULL THEN completed_at
+          WHEN $7 THEN COALESCE(completed_at, CURRENT_TIMESTAMP)
+          ELSE NULL
+        END,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8 AND lead_id = $9
+       RETURNING *`,
+      [
+        title?.trim() || null,
+        description !== undefined ? String(description).trim() : null,
+        dueAt !== undefined,
+        dueAt ? parseDate(dueAt) : null,
+        // Like dueAt, an explicit null clears it (unassigns the task)
+        assignedTo !== undefined,
+        assignedTo ?? null,
+        typeof completed === 'boolean' ? completed : null,
+        taskId,
+        req.lead.id
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE a task
+router.delete('/tasks/:taskId', canEdit, loadLead, async (req, res, next) => {
+  try {
+    const taskId = parseInt(req.params.taskId);
+    if (isNaN(taskId)) {
+      return res.status(400).json({ error: 'Invalid task ID' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM lead_tasks WHERE id = $1 AND lead_id = $2 RETURNING *',
+      [taskId, req.lead.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ─── Emails ──────────────────────────────────────────────────
+
+// 🔹 GET emails sent to this lead (newest first)
+router.get('/emails', loadLead, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, template_key, to_email, subject, created_by, status, attempts, last_error,
+              created_at, sent_at
+       FROM email_outbox
+       WHERE lead_id = $1 AND workspace_id = $2
+       ORDER BY created_at DESC, id DESC`,
+      [req.lead.id, req.workspace.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST email the lead from a template { templateKey, variables? }
+// Queued in the outbox and logged on the timeline as an "email" activity
+router.post('/emails', canEdit, loadLead, validateBody(schemas.sendEmail), async (req, res, next) => {
+  try {
+    const { templateKey, variables = {} } = req.body;
+    const lead = (await pool.query('SELECT * FROM leads_clean WHERE id = $1', [req.lead.id])).rows[0];
+    if (!lead.email) {
+      return res.status(400).json({ error: 'Lead has no email address' });
+    }
+    if (!(await loadTemplate(pool, req.workspace.id, templateKey))) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const sent = await withTransaction(async (client) => {
+      const email = await queueEmail(client, {
+        workspaceId: req.workspace.id,
+        templateKey,
+        to: lead.email,
+        leadId: lead.id,
+        createdBy: req.user.id,
+        variables: leadEmailVariables(lead, { workspace: req.workspace, sender: req.user }, variables)
+      });
+      const activity = await client.query(
+        `INSERT INTO lead_activities (lead_id, author_id, type, body)
+         VALUES ($1, $2, 'email', $3)
+         RETURNING *`,
+        [lead.id, req.user.id, `Sent "${email.subject}" to ${email.to_email}`]
+      );
+      await recordAudit(client, req, {
+        action: 'lead.email',
+        targetType: 'lead',
+        targetId: lead.id,
+        metadata: { emailId: email.id, templateKey: email.template_key }
+      });
+      return { email, activity: activity.rows[0] };
+    });
+
+    await rescoreLeads(pool, req.workspace.id, [lead.id]);
+    res.status(202).json({
+      email: {
+        id: sent.email.id,
+        templateKey: sent.email.template_key,
+        to: sent.email.to_email,
+        subject: sent.email.subject,
+        status: sent.email.status
+      },
+      activity: sent.activity
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// 📄 routes/leadEvents.js – Server-Sent Events stream of lead changes for open boards
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { streamLeadEvents } = require('../lib/leadStream');
+
+// EventSource cannot set headers, so browsers pass the access token as ?token= instead
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// 🔹 GET stream lead.created/updated/deleted/restored/stage_changed/merged events for the workspace
+// EventSource resends Last-Event-ID when it reconnects; a new EventSource can pass ?lastEventId=
+router.get('/', tokenFromQuery, authenticateToken, async (req, res, next) => {
+  try {
+    const resumeFrom = req.headers['last-event-id'] ?? req.query.lastEventId;
+    const lastEventId = resumeFrom !== undefined && resumeFrom !== '' ? Number(resumeFrom) : null;
+    if (lastEventId !== null && (!Number.isInteger(lastEventId) || lastEventId < 0)) {
+      return res.status(400).json({ error: 'Last-Event-ID must be a non-negative whole number' });
+    }
+
+    await streamLeadEvents(res, {
+      workspaceId: req.workspace.id,
+      lastEventId,
+      expiresAt: req.user.exp ? req.user.exp * 1000 : null
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
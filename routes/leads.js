@@ -2,261 +2,816 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const cors = require('cors');
-const jwt = require('jsonwebtoken');
-require('dotenv').config();
-
-const JWT_SECRET = process.env.JWT_SECRET || 'secret';
-
-const allowedOrigins = [
-  'https://funnelflow.live',
-  'http://localhost:3000'
-];
-
-const corsOptionsDelegate = function (req, callback) {
-  const origin = req.header('Origin');
-  if (allowedOrigins.includes(origin)) {
-    callback(null, {
-      origin: true,
-      credentials: true,
-      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'x-user-id'],
-      optionsSuccessStatus: 200
-    });
-  } else {
-    callback(new Error('Not allowed by CORS'), null);
-  }
-};
+const multer = require('multer');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { withTransaction } = require('../lib/transaction');
+const { resolvePipeline, getPipeline, stageNames, emptyBoard } = require('../lib/pipelines');
+const { buildLeadListQuery, paginate } = require('../lib/leadFilters');
+const { formatLead, validateLeadData } = require('../lib/leadData');
+const { recordStageChange, stageHistoryStats } = require('../lib/stageHistory');
+const {
+  parseMetricsRange,
+  getMetricThresholds,
+  leadSnapshot,
+  timeSeries,
+  cohortConversion,
+  strategyConversion
+} = require('../lib/metrics');
+const { MAX_IMPORT_ROWS, parseCsv, resolveColumnMapping, mapRow, toCsv } = require('../lib/leadCsv');
+const { enqueueLeadEvents } = require('../lib/webhooks');
+const { rescoreLeads, explainLeadScore } = require('../lib/scoring');
+const { loadFieldDefinitions, normalizeCustomFields } = require('../lib/customFields');
+const {
+  STRATEGIES_COLUMN,
+  parseStrategyNames,
+  validateStrategyNames,
+  setLeadStrategies,
+  loadLeadStrategies
+} = require('../lib/contentStrategies');
+const { CONFIDENCE_LEVELS, findDuplicatePairs, mergeLeads } = require('../lib/leadDuplicates');
+const { TRASH_RETENTION_DAYS, purgeDate, purgeTrashedLeads } = require('../lib/trash');
+const { BULK_OPERATIONS, MAX_BULK_IDS, validateBulkRequest, applyBulkOperation } = require('../lib/leadBulk');
+const { recordAudit, diffLead } = require('../lib/audit');
+const { validateBody } = require('../lib/schema');
+const { config } = require('../lib/config');
+const { pipelineValue, weightedForecast, wonRevenue, otherCurrencies } = require('../lib/forecast');
+const { runLeadAutomations } = require('../lib/automation');
+const leadActivityRoutes = require('./leadActivities');
 
-router.use(cors(corsOptionsDelegate));
-router.options('*', cors(corsOptionsDelegate));
-
-// 🔹 Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) return res.status(401).json({ error: 'Unauthorized - No token provided' });
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+});
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: 'Forbidden - Invalid token' });
-    req.user = user;
-    next();
-  });
+// Company/email rules, custom fields and strategy names are checked by the shared validators
+const LEAD = {
+  company: { type: 'string', maxLength: 200 },
+  contact: { type: 'string', maxLength: 200 },
+  email: { type: 'string', format: 'email', maxLength: 254 },
+  stage: { type: 'string' },
+  notes: { type: 'string', maxLength: 10000 },
+  content: { type: ['string', 'array'] },
+  contentStrategies: { type: ['string', 'array'] },
+  customFields: { type: 'object' },
+  dealAmount: { type: 'number', nullable: true, min: 0, max: 999999999999.99 },
+  dealCurrency: { type: 'string', nullable: true },
+  expectedCloseDate: { type: 'date', nullable: true }
+};
+const REQUIRED_TEXT = { required: true, minLength: 1 };
+const schemas = {
+  create: {
+    ...LEAD,
+    company: { ...LEAD.company, ...REQUIRED_TEXT },
+    contact: { ...LEAD.contact, ...REQUIRED_TEXT },
+    email: { ...LEAD.email, ...REQUIRED_TEXT },
+    pipelineId: { type: 'id', nullable: true }
+  },
+  update: LEAD,
+  merge: {
+    primaryId: { type: 'id', required: true },
+    duplicateId: { type: 'id', required: true }
+  },
+  bulk: {
+    ids: { type: 'array', required: true, items: { type: 'integer', min: 1 }, maxItems: MAX_BULK_IDS },
+    operation: { type: 'string', required: true, enum: BULK_OPERATIONS },
+    stage: { type: 'string' },
+    strategies: { type: ['string', 'array'] },
+    note: { type: 'string' }
+  }
 };
 
 // 🔹 Helper Functions
-function groupLeadsByStage(leads) {
-  const validStages = ['awareness', 'interest', 'intent', 'evaluation', 'purchase'];
-  const grouped = { awareness: [], interest: [], intent: [], evaluation: [], purchase: [] };
+function groupLeadsByStage(leads, pipeline) {
+  const validStages = stageNames(pipeline);
+  const grouped = emptyBoard(pipeline);
 
   leads.forEach(lead => {
-    const stage = validStages.includes(lead.stage) ? lead.stage : 'awareness';
-    grouped[stage].push({
-      ...lead,
-      currentStage: stage,
-      company: lead.company || 'Unknown Company',
-      contact: lead.contact || '',
-      email: lead.email || '',
-      notes: lead.notes || '',
-      content: lead.content || '',
-      contentStrategies: (lead.content || '')
-        .split(',')
-        .map(s => s.trim())
-        .filter(Boolean)
-    });
+    const stage = validStages.includes(lead.stage) ? lead.stage : validStages[0];
+    grouped[stage].push(formatLead(lead, stage));
   });
 
   return grouped;
 }
 
-function validateLeadData(leadData) {
-  const errors = [];
-  if (!leadData.company || leadData.company.trim().length < 2) {
-    errors.push('Company name must be at least 2 characters');
-  }
-  if (leadData.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(leadData.email)) {
-    errors.push('Invalid email format');
-  }
-  return errors.length > 0 ? errors : null;
+// Board orderings within each stage column
+const BOARD_SORTS = {
+  created_at: 'created_at DESC, id DESC',
+  score: 'score DESC, created_at DESC, id DESC'
+};
+
+// Fetch and group every lead the workspace has in one pipeline
+async function fetchBoard(workspaceId, pipeline, sort = 'created_at') {
+  const result = await pool.query(
+    `SELECT l.*, ${STRATEGIES_COLUMN}
+     FROM leads_clean l
+     WHERE l.workspace_id = $1 AND l.pipeline_id = $2 AND l.deleted_at IS NULL
+     ORDER BY ${BOARD_SORTS[sort]}`,
+    [workspaceId, pipeline.id]
+  );
+  return groupLeadsByStage(result.rows, pipeline);
 }
 
-// Apply authentication middleware to all lead routes
+// Apply authentication middleware to all lead routes; every member may read,
+// writes need at least the editor role (checked per route), purging the trash needs admin
 router.use(authenticateToken);
+const canEdit = requireRole('editor');
+const canManage = requireRole('admin');
+
+// 🔹 GET filtered, sorted, paginated lead list for the current workspace
+// Query: stage, company, createdFrom, createdTo, strategy, strategyId, q, sort, order, limit, cursor, pipelineId,
+// custom[key]=value or custom[key][gte|gt|lte|lt]=value for custom fields
+router.get('/', async (req, res, next) => {
+  try {
+    const fieldDefinitions = await loadFieldDefinitions(pool, req.workspace.id);
+    const listQuery = buildLeadListQuery(req.workspace.id, req.query, fieldDefinitions);
+    if (listQuery.errors) {
+      return res.status(400).json({ error: 'Invalid query', details: listQuery.errors });
+    }
+
+    const result = await pool.query(listQuery.sql, listQuery.params);
+    const { rows, nextCursor } = paginate(result.rows, listQuery.limit, listQuery.sort, listQuery.order);
+
+    res.json({
+      leads: rows.map(lead => formatLead(lead)),
+      nextCursor
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET export all leads as CSV or JSON (?format=csv|json&pipelineId=)
+router.get('/export', async (req, res, next) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be "csv" or "json"' });
+    }
+
+    const pipelineId = req.query.pipelineId !== undefined ? parseInt(req.query.pipelineId) : null;
+    if (req.query.pipelineId !== undefined && isNaN(pipelineId)) {
+      return res.status(400).json({ error: 'Invalid pipeline ID' });
+    }
+
+    // Read inside one transaction so the export is a consistent snapshot
+    const rows = await withTransaction(async (client) => {
+      const result = await client.query(
+        `SELECT l.*, p.name AS pipeline, ${STRATEGIES_COLUMN}
+         FROM leads_clean l
+         JOIN pipelines p ON p.id = l.pipeline_id
+         WHERE l.workspace_id = $1 AND l.deleted_at IS NULL AND ($2::int IS NULL OR l.pipeline_id = $2)
+         ORDER BY l.created_at DESC, l.id DESC`,
+        [workspaceId, pipelineId]
+      );
+      return result.rows;
+    });
+
+    const leads = rows.map(lead => formatLead(lead));
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="leads-${stamp}.json"`);
+      return res.json(leads);
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="leads-${stamp}.csv"`);
+    res.send(toCsv(leads));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET likely duplicate pairs, most confident first
+// ?leadId= only pairs involving that lead, ?minConfidence=low|medium|high (default medium), ?limit= (max 500)
+router.get('/duplicates', async (req, res, next) => {
+  try {
+    const workspaceId = req.workspace.id;
+    const minConfidence = req.query.minConfidence || 'medium';
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 100;
+    const leadId = req.query.leadId !== undefined ? parseInt(req.query.leadId) : null;
+
+    if (!CONFIDENCE_LEVELS.includes(minConfidence)) {
+      return res.status(400).json({ error: `minConfidence must be one of: ${CONFIDENCE_LEVELS.join(', ')}` });
+    }
+    if (isNaN(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    }
+    if (req.query.leadId !== undefined && isNaN(leadId)) {
+      return res.status(400).json({ error: 'Invalid lead ID' });
+    }
+
+    const pairs = await findDuplicatePairs(pool, workspaceId, { leadId, minConfidence, limit });
+    const ids = [...new Set(pairs.flatMap(pair => pair.leadIds))];
+    const result = await pool.query(
+      `SELECT l.*, ${STRATEGIES_COLUMN}
+       FROM leads_clean l
+       WHERE l.workspace_id = $1 AND l.id = ANY($2) AND l.deleted_at IS NULL`,
+      [workspaceId, ids]
+    );
+    const leads = new Map(result.rows.map(lead => [lead.id, formatLead(lead)]));
+
+    res.json(pairs.map(({ leadIds, reasons, confidence }) => ({
+      leads: leadIds.map(id => leads.get(id)),
+      reasons,
+      confidence
+    })));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST merge { primaryId, duplicateId }: the duplicate is folded into the primary and removed
+router.post('/merge', canEdit, validateBody(schemas.merge), async (req, res, next) => {
+  try {
+    const primaryId = parseInt(req.body.primaryId);
+    const duplicateId = parseInt(req.body.duplicateId);
+
+    if (primaryId === duplicateId) {
+      return res.status(400).json({ error: 'Cannot merge a lead into itself' });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const merge = await mergeLeads(client, {
+        workspaceId: req.workspace.id,
+        primaryId,
+        duplicateId,
+        userId: req.user.id
+      });
+      if (merge) {
+        await recordAudit(client, req, {
+          action: 'lead.merge',
+          targetType: 'lead',
+          targetId: primaryId,
+          changes: merge.changes,
+          metadata: { mergedLeadId: duplicateId, mergedCompany: merge.merged.company }
+        });
+      }
+      return merge;
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Lead not found in this workspace' });
+    }
+    res.json({ ...result.lead, mergedLeadId: duplicateId });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST apply one operation to many leads in a single transaction
+// { ids, operation: set_stage|add_strategies|remove_strategies|append_note|delete, stage?, strategies?, note? }
+router.post('/bulk', canEdit, validateBody(schemas.bulk), async (req, res, next) => {
+  try {
+    const { request, errors } = validateBulkRequest(req.body);
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const results = await withTransaction(async (client) => {
+      const applied = await applyBulkOperation(client, {
+        workspaceId: req.workspace.id,
+        userId: req.user.id,
+        request
+      });
+      for (const result of applied.filter(r => r.status === 'updated')) {
+        await recordAudit(client, req, {
+          action: request.operation === 'delete' ? 'lead.delete' : 'lead.update',
+          targetType: 'lead',
+          targetId: result.id,
+          changes: result.changes,
+          metadata: { bulk: request.operation }
+        });
+      }
+      return applied;
+    });
+
+    if (request.operation === 'set_stage') {
+      const moved = results.filter(r => r.status === 'updated').map(r => r.id);
+      const automated = await runLeadAutomations(req.workspace.id, 'lead.stage_changed', moved);
+      results.forEach(result => {
+        if (automated.has(result.id)) result.lead = formatLead(automated.get(result.id));
+      });
+    }
+
+    const summary = { updated: 0, unchanged: 0, not_found: 0, failed: 0 };
+    results.forEach(result => { summary[result.status]++; });
+    res.json({ operation: request.operation, summary, results });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET the trash: deleted leads, newest first, with when each will be purged
+router.get('/trash', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT l.*, ${STRATEGIES_COLUMN}, u.email AS deleted_by_email
+       FROM leads_clean l
+       LEFT JOIN "user" u ON u.id = l.deleted_by
+       WHERE l.workspace_id = $1 AND l.deleted_at IS NOT NULL
+       ORDER BY l.deleted_at DESC, l.id DESC`,
+      [req.workspace.id]
+    );
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      leads: result.rows.map(lead => ({ ...formatLead(lead), purgeAt: purgeDate(lead.deleted_at) }))
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST restore a lead from the trash
+router.post('/trash/:id/restore', canEdit, async (req, res, next) => {
+  try {
+    const leadId = parseInt(req.params.id);
+    const workspaceId = req.workspace.id;
+
+    if (isNaN(leadId)) {
+      return res.status(400).json({ error: 'Invalid lead ID' });
+    }
+
+    const restored = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE leads_clean SET deleted_at = NULL, deleted_by = NULL
+         WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NOT NULL
+         RETURNING *`,
+        [leadId, workspaceId]
+      );
+      if (result.rows.length === 0) return null;
+
+      // Time-based rules may have moved on while the lead sat in the trash
+      const scores = await rescoreLeads(client, workspaceId, [leadId]);
+      const strategies = (await loadLeadStrategies(client, [leadId])).get(leadId);
+      const lead = formatLead({ ...result.rows[0], strategies, score: scores.get(leadId) });
+      await recordAudit(client, req, {
+        action: 'lead.restore',
+        targetType: 'lead',
+        targetId: leadId,
+        metadata: { company: lead.company }
+      });
+      await enqueueLeadEvents(client, workspaceId, { type: 'restored', lead });
+      return lead;
+    });
+
+    if (!restored) {
+      return res.status(404).json({ error: 'Lead not found in the trash' });
+    }
+    res.json(restored);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE permanently purge one lead from the trash
+router.delete('/trash/:id', canManage, async (req, res, next) => {
+  try {
+    const leadId = parseInt(req.params.id);
+    if (isNaN(leadId)) {
+      return res.status(400).json({ error: 'Invalid lead ID' });
+    }
+
+    const purged = await withTransaction(async (client) => {
+      const rows = await purgeTrashedLeads(client, { workspaceId: req.workspace.id, leadIds: [leadId] });
+      if (rows.length > 0) {
+        await recordAudit(client, req, {
+          action: 'lead.purge',
+          targetType: 'lead',
+          targetId: leadId,
+          metadata: { company: rows[0].company }
+        });
+      }
+      return rows;
+    });
+    if (purged.length === 0) {
+      return res.status(404).json({ error: 'Lead not found in the trash' });
+    }
+    res.json({ purged: purged.map(lead => lead.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE empty the trash
+router.delete('/trash', canManage, async (req, res, next) => {
+  try {
+    const purged = await withTransaction(async (client) => {
+      const rows = await purgeTrashedLeads(client, { workspaceId: req.workspace.id });
+      if (rows.length > 0) {
+        await recordAudit(client, req, {
+          action: 'lead.purge',
+          metadata: { leadIds: rows.map(lead => lead.id) }
+        });
+      }
+      return rows;
+    });
+    res.json({ purged: purged.map(lead => lead.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST import leads from a CSV upload
+// multipart/form-data: file, mapping (JSON { leadField | "custom.<key>": "CSV header" }), dryRun, pipelineId
+router.post('/import', canEdit, (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ error: 'Upload failed', details: [err.message] });
+    next();
+  });
+}, async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
+    const dryRun = ['true', '1', 'yes'].includes(String(req.body.dryRun).toLowerCase());
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Missing CSV file', details: ['Upload the CSV in a "file" field'] });
+    }
+
+    let parsed;
+    try {
+      parsed = parseCsv(req.file.buffer);
+    } catch (parseErr) {
+      return res.status(400).json({ error: 'Could not parse CSV', details: [parseErr.message] });
+    }
+
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({ error: 'CSV has no data rows' });
+    }
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `CSV exceeds the ${MAX_IMPORT_ROWS} row limit` });
+    }
+
+    const fieldDefinitions = await loadFieldDefinitions(pool, workspaceId);
+    const { columns, errors: mappingErrors } = resolveColumnMapping(req.body.mapping, parsed.headers, fieldDefinitions);
+    if (mappingErrors) {
+      return res.status(400).json({ error: 'Invalid column mapping', details: mappingErrors });
+    }
+
+    const pipeline = await resolvePipeline(pool, workspaceId, req.body.pipelineId);
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+    const validStages = stageNames(pipeline);
+
+    const rows = await withTransaction(async (client) => {
+      const existing = await client.query(
+        `SELECT LOWER(email) AS email FROM leads_clean
+         WHERE workspace_id = $1 AND email IS NOT NULL AND deleted_at IS NULL`,
+        [workspaceId]
+      );
+      const seenEmails = new Set(existing.rows.map(row => row.email));
+      const results = [];
+      const importedLeads = [];
+
+      for (const { line, values } of parsed.rows) {
+        const lead = mapRow(values, columns, fieldDefinitions);
+        const errors = [];
+
+        if (!lead.company || !lead.contact || !lead.email) {
+          errors.push('Company, contact, and email are required');
+        }
+        errors.push(...(validateLeadData(lead, fieldDefinitions) || []));
+        errors.push(...validateStrategyNames(lead.content));
+        if (lead.stage && !validStages.includes(lead.stage.toLowerCase())) {
+          errors.push(`Unknown stage "${lead.stage}"`);
+        }
+
+        if (errors.length > 0) {
+          results.push({ row: line, status: 'invalid', errors });
+          continue;
+        }
+
+        const emailKey = lead.email.toLowerCase();
+        if (seenEmails.has(emailKey)) {
+          results.push({ row: line, status: 'duplicate', email: lead.email });
+          continue;
+        }
+        seenEmails.add(emailKey);
+
+        if (dryRun) {
+          results.push({ row: line, status: 'valid', email: lead.email });
+          continue;
+        }
+
+        const leadStage = lead.stage ? lead.stage.toLowerCase() : validStages[0];
+        const inserted = await client.query(
+          `INSERT INTO leads_clean
+            (user_id, workspace_id, pipeline_id, company, contact, email, stage, notes, custom_fields, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, jsonb_strip_nulls($9), CURRENT_TIMESTAMP)
+           RETURNING *`,
+          [
+            userId,
+            workspaceId,
+            pipeline.id,
+            lead.company,
+            lead.contact,
+            lead.email,
+            leadStage,
+            lead.notes,
+            normalizeCustomFields(lead.customFields, fieldDefinitions)
+          ]
+        );
+        const strategies = await setLeadStrategies(
+          client, workspaceId, inserted.rows[0].id, parseStrategyNames(lead.content)
+        );
+        await recordStageChange(client, {
+          leadId: inserted.rows[0].id,
+          changedBy: userId,
+          fromStage: null,
+          toStage: leadStage
+        });
+        importedLeads.push({ ...inserted.rows[0], strategies });
+        results.push({ row: line, status: 'imported', leadId: inserted.rows[0].id });
+      }
+
+      if (importedLeads.length > 0) {
+        await recordAudit(client, req, {
+          action: 'lead.import',
+          metadata: { pipelineId: pipeline.id, leadIds: importedLeads.map(lead => lead.id) }
+        });
+        const scores = await rescoreLeads(client, workspaceId, importedLeads.map(lead => lead.id));
+        for (const lead of importedLeads) {
+          await enqueueLeadEvents(client, workspaceId, {
+            type: 'created',
+            lead: formatLead({ ...lead, score: scores.get(lead.id) }),
+            fromStage: null,
+            pipeline
+          });
+        }
+      }
+
+      return results;
+    });
+
+    if (!dryRun) {
+      const importedIds = rows.filter(row => row.status === 'imported').map(row => row.leadId);
+      await runLeadAutomations(workspaceId, 'lead.created', importedIds);
+    }
 
-// 🔹 GET all leads for a user
-router.get('/:userId', async (req, res) => {
+    const count = (status) => rows.filter(row => row.status === status).length;
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      pipelineId: pipeline.id,
+      totalRows: rows.length,
+      imported: count('imported'),
+      valid: dryRun ? count('valid') : count('imported'),
+      duplicates: count('duplicate'),
+      invalid: count('invalid'),
+      rows
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET all leads in the workspace, grouped by stage (board view)
+// `:userId` must be the caller's own id; workspace membership decides what is visible.
+router.get('/:userId', async (req, res, next) => {
   try {
     const requestedUserId = parseInt(req.params.userId);
-    const tokenUserId = req.user.id;
 
     if (isNaN(requestedUserId)) {
       return res.status(400).json({ error: 'Invalid user ID' });
     }
 
-    if (requestedUserId !== tokenUserId) {
+    if (requestedUserId !== req.user.id) {
       return res.status(403).json({ error: 'Unauthorized - You can only access your own leads' });
     }
 
-    const result = await pool.query(
-      'SELECT * FROM leads_clean WHERE user_id = $1 ORDER BY created_at DESC',
-      [requestedUserId]
-    );
+    const sort = req.query.sort || 'created_at';
+    if (!BOARD_SORTS[sort]) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(BOARD_SORTS).join(', ')}` });
+    }
 
-    if (result.rows.length === 0) {
-      return res.status(200).json({
-        awareness: [],
-        interest: [],
-        intent: [],
-        evaluation: [],
-        purchase: []
-      });
+    const pipeline = await resolvePipeline(pool, req.workspace.id, req.query.pipelineId);
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
     }
 
-    const groupedLeads = groupLeadsByStage(result.rows);
+    const groupedLeads = await fetchBoard(req.workspace.id, pipeline, sort);
     res.json(groupedLeads);
 
   } catch (err) {
-    console.error('GET leads error:', err);
-    res.status(500).json({ 
-      error: 'Failed to fetch leads',
-      details: process.env.NODE_ENV === 'development' ? err.message : undefined
-    });
+    next(err);
   }
 });
 
 // 🔹 POST create new lead
-router.post('/', async (req, res) => {
+router.post('/', canEdit, validateBody(schemas.create), async (req, res, next) => {
   try {
     const userId = req.user.id;
+    const workspaceId = req.workspace.id;
     const {
       company,
       contact,
       email,
-      stage = 'awareness',
+      stage,
       notes = '',
-      content = ''
+      content = '',
+      contentStrategies,
+      customFields = {},
+      pipelineId,
+      dealAmount = null,
+      dealCurrency = null,
+      expectedCloseDate = null
     } = req.body;
 
-    // Validate required fields
-    if (!company || !contact || !email) {
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        details: ['Company, contact, and email are required']
-      });
-    }
-
-    const normalizedContent = Array.isArray(content)
-      ? content.map(c => c.trim()).filter(Boolean).join(',')
-      : typeof content === 'string'
-        ? content.trim()
-        : '';
+    // `contentStrategies` (array) replaces the legacy comma-separated `content`
+    const strategyNames = parseStrategyNames(contentStrategies ?? content);
 
-    const validationErrors = validateLeadData({ company, email });
-    if (validationErrors) {
+    const fieldDefinitions = await loadFieldDefinitions(pool, workspaceId);
+    const validationErrors = [
+      ...(validateLeadData({ company, email, customFields, dealCurrency, expectedCloseDate }, fieldDefinitions) || []),
+      ...validateStrategyNames(strategyNames)
+    ];
+    if (validationErrors.length > 0) {
       return res.status(400).json({ 
         error: 'Validation failed', 
         details: validationErrors 
       });
     }
 
-    const validStages = ['awareness', 'interest', 'intent', 'evaluation', 'purchase'];
-    const leadStage = validStages.includes(stage) ? stage : 'awareness';
+    const pipeline = await resolvePipeline(pool, workspaceId, pipelineId);
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
 
-    const result = await pool.query(
-      `INSERT INTO leads_clean 
-        (user_id, company, contact, email, stage, notes, content, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
-       RETURNING *`,
-      [
-        userId,
-        company.trim(),
-        contact.trim(),
-        email.trim(),
-        leadStage,
-        notes.trim(),
-        normalizedContent
-      ]
-    );
+    const validStages = stageNames(pipeline);
+    const leadStage = validStages.includes(stage) ? stage : validStages[0];
 
-    if (result.rows.length === 0) {
-      throw new Error('Failed to create lead - no rows returned');
-    }
+    const lead = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO leads_clean
+          (user_id, workspace_id, pipeline_id, company, contact, email, stage, notes,
+           custom_fields, deal_amount, deal_currency, expected_close_date, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, jsonb_strip_nulls($9), $10, $11, $12, CURRENT_TIMESTAMP)
+         RETURNING *`,
+        [
+          userId,
+          workspaceId,
+          pipeline.id,
+          company.trim(),
+          contact.trim(),
+          email.trim(),
+          leadStage,
+          notes.trim(),
+          normalizeCustomFields(customFields, fieldDefinitions),
+          dealAmount,
+          dealCurrency ? dealCurrency.toUpperCase() : (dealAmount !== null ? config.defaultCurrency : null),
+          expectedCloseDate
+        ]
+      );
 
-    const allLeads = await pool.query(
-      'SELECT * FROM leads_clean WHERE user_id = $1 ORDER BY created_at DESC',
-      [userId]
-    );
+      if (result.rows.length === 0) {
+        throw new Error('Failed to create lead - no rows returned');
+      }
 
-    const groupedLeads = groupLeadsByStage(allLeads.rows);
-    res.status(201).json(groupedLeads);
+      await recordStageChange(client, {
+        leadId: result.rows[0].id,
+        changedBy: userId,
+        fromStage: null,
+        toStage: leadStage
+      });
+      const strategies = await setLeadStrategies(client, workspaceId, result.rows[0].id, strategyNames);
+      const scores = await rescoreLeads(client, workspaceId, [result.rows[0].id]);
+      const created = { ...result.rows[0], strategies, score: scores.get(result.rows[0].id) };
+      await recordAudit(client, req, {
+        action: 'lead.create',
+        targetType: 'lead',
+        targetId: created.id,
+        changes: diffLead({}, created)
+      });
+      await enqueueLeadEvents(client, workspaceId, {
+        type: 'created',
+        lead: formatLead(created),
+        fromStage: null,
+        pipeline
+      });
 
-  } catch (err) {
-    console.error('POST lead error:', err);
-    res.status(500).json({ 
-      error: 'Failed to add lead',
-      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      return created;
+    });
+
+    const automated = await runLeadAutomations(workspaceId, 'lead.created', [lead.id]);
+
+    // Creation is not blocked, but the client can offer a merge straight away
+    const duplicates = await findDuplicatePairs(pool, workspaceId, { leadId: lead.id, limit: 10 });
+    res.status(201).json({
+      ...formatLead(automated.get(lead.id) || lead),
+      possibleDuplicates: duplicates.map(({ leadIds, reasons, confidence }) => ({
+        leadId: leadIds.find(id => id !== lead.id),
+        reasons,
+        confidence
+      }))
     });
+
+  } catch (err) {
+    next(err);
   }
 });
 
-// 🔹 GET metrics for user
-router.get('/metrics/:userId', async (req, res) => {
+// 🔹 GET metrics for the workspace (`:userId` must be the caller's own id)
+// ?from=&to= limit figures to leads created in that range, ?period=day|week|month
+// groups the time series and cohorts. Hot/stale windows come from the caller's settings.
+router.get('/metrics/:userId', async (req, res, next) => {
   try {
     const requestedUserId = parseInt(req.params.userId);
-    const tokenUserId = req.user.id;
+    const workspaceId = req.workspace.id;
+
+    if (isNaN(requestedUserId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
 
-    if (isNaN(requestedUserId) || requestedUserId !== tokenUserId) {
+    if (requestedUserId !== req.user.id) {
       return res.status(403).json({ error: 'Unauthorized access' });
     }
 
-    const result = await pool.query(
-      'SELECT id, stage, created_at FROM leads_clean WHERE user_id = $1',
-      [requestedUserId]
-    );
+    const { range, errors } = parseMetricsRange(req.query);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid metrics query', details: errors });
+    }
+
+    const pipeline = await resolvePipeline(pool, workspaceId, req.query.pipelineId);
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+
+    const thresholds = await getMetricThresholds(pool, req.user.id);
+    const scope = { workspaceId, pipelineId: pipeline.id, pipeline, ...range, ...thresholds };
+    const [snapshotRows, history, series, cohorts, strategies] = await Promise.all([
+      leadSnapshot(pool, scope),
+      stageHistoryStats(pool, scope),
+      timeSeries(pool, scope),
+      cohortConversion(pool, scope),
+      strategyConversion(pool, scope)
+    ]);
 
-    const leads = result.rows;
-    const now = new Date();
-    const daysAgo = (date) => (now - new Date(date)) / (1000 * 60 * 60 * 24);
+    // Stage roles come from the pipeline: the first two stages are the top of the funnel,
+    // later open stages are "consideration" and terminal stages are won or lost.
+    const stages = stageNames(pipeline);
+    const [entryStage, secondStage] = stages;
+    const wonStages = pipeline.stages.filter(s => s.terminal === 'won').map(s => s.name);
+    const earlyStages = stages.slice(0, 2);
+    const considerationStages = pipeline.stages
+      .slice(2)
+      .filter(s => !s.terminal)
+      .map(s => s.name);
+    const hotStages = [...considerationStages, ...wonStages];
 
-    const stageCounts = {
-      awareness: 0,
-      interest: 0,
-      intent: 0,
-      evaluation: 0,
-      purchase: 0
-    };
+    const stageCounts = stages.reduce((acc, stage) => {
+      acc[stage] = 0;
+      return acc;
+    }, {});
 
+    let totalLeads = 0;
     let totalDaysInFunnel = 0;
     let hotLeads = 0;
     let staleLeads = 0;
     let recentLeads = 0;
+    let leadsWithOverdueTasks = 0;
 
-    leads.forEach(lead => {
-      const stage = stageCounts[lead.stage] !== undefined ? lead.stage : 'awareness';
-      stageCounts[stage]++;
+    // Leads in stages the pipeline no longer has count toward its entry stage
+    snapshotRows.forEach(row => {
+      const stage = stageCounts[row.stage] !== undefined ? row.stage : entryStage;
+      stageCounts[stage] += row.count;
 
-      const age = daysAgo(lead.created_at);
-      totalDaysInFunnel += age;
-
-      if (age <= 7) recentLeads++;
-      if (['intent', 'evaluation', 'purchase'].includes(stage) && age <= 7) hotLeads++;
-      if (age > 14 && ['awareness', 'interest'].includes(stage)) staleLeads++;
+      totalLeads += row.count;
+      totalDaysInFunnel += Number(row.total_age_days);
+      recentLeads += row.added_this_week;
+      leadsWithOverdueTasks += row.overdue;
+      if (hotStages.includes(stage)) hotLeads += row.recent;
+      // Leads with an open task past its due date count as stale regardless of age
+      staleLeads += earlyStages.includes(stage) ? row.old_or_overdue : row.overdue;
     });
 
-    const totalLeads = leads.length;
-    const considerationCount = stageCounts.intent + stageCounts.evaluation;
-    const awarenessToInterest = stageCounts.awareness > 0
-      ? Math.round((stageCounts.interest / stageCounts.awareness) * 100)
+    const countIn = (names) => names.reduce((sum, name) => sum + (stageCounts[name] || 0), 0);
+    const entryCount = stageCounts[entryStage] || 0;
+    const secondCount = secondStage ? stageCounts[secondStage] : 0;
+
+    const considerationCount = countIn(considerationStages);
+    const awarenessToInterest = entryCount > 0
+      ? Math.round((secondCount / entryCount) * 100)
       : 0;
-    const interestToConsideration = stageCounts.interest > 0
-      ? Math.round((considerationCount / stageCounts.interest) * 100)
+    const interestToConsideration = secondCount > 0
+      ? Math.round((considerationCount / secondCount) * 100)
       : 0;
-    const conversionRate = stageCounts.awareness > 0
-      ? Math.round((stageCounts.purchase / stageCounts.awareness) * 100)
+    const conversionRate = entryCount > 0
+      ? Math.round((countIn(wonStages) / entryCount) * 100)
       : 0;
 
     res.json({
+      pipelineId: pipeline.id,
+      range: {
+        from: range.from,
+        to: range.to,
+        period: range.period,
+        seriesFrom: range.seriesFrom
+      },
+      thresholds,
       totalLeads,
       awarenessToInterest,
       interestToConsideration,
@@ -269,129 +824,330 @@ router.get('/metrics/:userId', async (req, res) => {
       leadsAddedThisWeek: recentLeads,
       inferredHotLeads: hotLeads,
       engagementRate: totalLeads > 0 ? Math.round((recentLeads / totalLeads) * 100) : 0,
-      staleLeads
+      staleLeads,
+      leadsWithOverdueTasks,
+      timeInStage: history.timeInStage,
+      stageConversionRates: history.stageConversionRates,
+      timeSeries: series,
+      cohorts,
+      strategyConversionRates: strategies
     });
 
   } catch (err) {
-    console.error('📉 Metrics error:', err);
-    res.status(500).json({ 
-      error: 'Failed to calculate metrics',
-      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    next(err);
+  }
+});
+
+// 🔹 GET revenue forecast for the workspace (`:userId` must be the caller's own id, as for /metrics)
+// Pipeline value per stage, weighted open value per expected-close month and won revenue
+// per period. ?currency= picks the currency reported (default DEFAULT_CURRENCY);
+// ?from=&to=&period= shape the won revenue series as for /metrics.
+router.get('/forecast/:userId', async (req, res, next) => {
+  try {
+    const requestedUserId = parseInt(req.params.userId);
+    const workspaceId = req.workspace.id;
+
+    if (isNaN(requestedUserId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    if (requestedUserId !== req.user.id) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    const { range, errors = [] } = parseMetricsRange(req.query);
+    const currency = String(req.query.currency || config.defaultCurrency).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      errors.push('currency must be a three-letter ISO code such as USD or EUR');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid forecast query', details: errors });
+    }
+
+    const pipeline = await resolvePipeline(pool, workspaceId, req.query.pipelineId);
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+
+    const scope = { workspaceId, pipelineId: pipeline.id, pipeline, currency, ...range };
+    const [value, forecast, won, others] = await Promise.all([
+      pipelineValue(pool, scope),
+      weightedForecast(pool, scope),
+      wonRevenue(pool, scope),
+      otherCurrencies(pool, scope)
+    ]);
+
+    res.json({
+      pipelineId: pipeline.id,
+      currency,
+      period: range.period,
+      pipelineValue: value,
+      forecast,
+      wonRevenue: {
+        total: won.reduce((sum, row) => Math.round((sum + row.amount) * 100) / 100, 0),
+        deals: won.reduce((sum, row) => sum + row.deals, 0),
+        series: won
+      },
+      otherCurrencies: others
     });
+  } catch (err) {
+    next(err);
   }
 });
 
 // 🔹 PUT update lead
-router.put('/:id', async (req, res) => {
+router.put('/:id', canEdit, validateBody(schemas.update), async (req, res, next) => {
   try {
     const leadId = parseInt(req.params.id);
     const userId = req.user.id;
+    const workspaceId = req.workspace.id;
     
     if (isNaN(leadId)) {
       return res.status(400).json({ error: 'Invalid lead ID' });
     }
 
-    let { company, contact, email, stage, notes, content } = req.body;
+    const {
+      company,
+      contact,
+      email,
+      stage,
+      notes,
+      content,
+      contentStrategies,
+      customFields,
+      dealAmount,
+      dealCurrency,
+      expectedCloseDate
+    } = req.body;
 
-    // Normalize content
-    content = Array.isArray(content) ? content.join(',') : content?.trim() || '';
+    // Strategies are only replaced when the request sends them
+    const strategyInput = contentStrategies ?? content;
+    const strategyNames = strategyInput !== undefined ? parseStrategyNames(strategyInput) : null;
 
-    const validationErrors = validateLeadData({ company, email });
-    if (validationErrors) {
+    const fieldDefinitions = await loadFieldDefinitions(pool, workspaceId);
+    const validationErrors = [
+      ...(validateLeadData(
+        { company, email, customFields, dealCurrency, expectedCloseDate },
+        fieldDefinitions,
+        { partial: true }
+      ) || []),
+      ...(strategyNames ? validateStrategyNames(strategyNames) : [])
+    ];
+    if (validationErrors.length > 0) {
       return res.status(400).json({ 
         error: 'Validation failed', 
         details: validationErrors 
       });
     }
 
-    const validStages = ['awareness', 'interest', 'intent', 'evaluation', 'purchase'];
-    const leadStage = validStages.includes(stage) ? stage : null;
+    const saved = await withTransaction(async (client) => {
+      // Locked until commit, so concurrent updates each see the stage the other left behind
+      const current = await client.query(
+        'SELECT * FROM leads_clean WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL FOR UPDATE',
+        [leadId, workspaceId]
+      );
+      if (current.rows.length === 0) return null;
+
+      const previous = current.rows[0];
+      const previousStage = previous.stage;
+      const pipeline = await getPipeline(client, workspaceId, previous.pipeline_id);
+      const leadStage = stageNames(pipeline).includes(stage) ? stage : null;
+
+      const result = await client.query(
+        `UPDATE leads_clean SET
+          company = COALESCE($1, company),
+          contact = COALESCE($2, contact),
+          email = COALESCE($3, email),
+          stage = COALESCE($4, stage),
+          notes = COALESCE($5, notes),
+          custom_fields = jsonb_strip_nulls(custom_fields || $6),
+          deal_amount = CASE WHEN $9 THEN $10::numeric ELSE deal_amount END,
+          deal_currency = COALESCE($11, deal_currency, $12),
+          expected_close_date = CASE WHEN $13 THEN $14::date ELSE expected_close_date END
+         WHERE id = $7 AND workspace_id = $8
+         RETURNING *`,
+        [
+          company?.trim() || null,
+          contact?.trim() || null,
+          email?.trim() || null,
+          leadStage,
+          notes?.trim() || null,
+          normalizeCustomFields(customFields, fieldDefinitions),
+          leadId,
+          workspaceId,
+          // Deal amount and close date can be cleared with null; omitted means unchanged
+          dealAmount !== undefined,
+          dealAmount ?? null,
+          dealCurrency ? dealCurrency.toUpperCase() : null,
+          dealAmount != null ? config.defaultCurrency : null,
+          expectedCloseDate !== undefined,
+          expectedCloseDate ?? null
+        ]
+      );
+
+      if (leadStage && leadStage !== previousStage) {
+        await recordStageChange(client, {
+          leadId,
+          changedBy: userId,
+          fromStage: previousStage,
+          toStage: leadStage
+        });
+      }
+      const previousStrategies = (await loadLeadStrategies(client, [leadId])).get(leadId);
+      const strategies = strategyNames
+        ? await setLeadStrategies(client, workspaceId, leadId, strategyNames)
+        : previousStrategies;
+      const scores = await rescoreLeads(client, workspaceId, [leadId]);
+      const updated = { ...result.rows[0], strategies, score: scores.get(leadId) };
+      const changes = diffLead({ ...previous, strategies: previousStrategies }, updated);
+      if (changes) {
+        await recordAudit(client, req, { action: 'lead.update', targetType: 'lead', targetId: leadId, changes });
+      }
+      await enqueueLeadEvents(client, workspaceId, {
+        type: 'updated',
+        lead: formatLead(updated),
+        fromStage: previousStage,
+        pipeline
+      });
+
+      return { lead: updated, stageChanged: Boolean(leadStage) && leadStage !== previousStage };
+    });
+
+    if (!saved) {
+      return res.status(404).json({ error: 'Lead not found in this workspace' });
+    }
+
+    const automated = saved.stageChanged
+      ? await runLeadAutomations(workspaceId, 'lead.stage_changed', [leadId])
+      : new Map();
+    res.json(formatLead(automated.get(leadId) || saved.lead));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET stage history for a lead
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const leadId = parseInt(req.params.id);
+    const workspaceId = req.workspace.id;
+
+    if (isNaN(leadId)) {
+      return res.status(400).json({ error: 'Invalid lead ID' });
+    }
 
-    // First verify the lead belongs to the user
     const verifyResult = await pool.query(
-      'SELECT id FROM leads_clean WHERE id = $1 AND user_id = $2',
-      [leadId, userId]
+      'SELECT id FROM leads_clean WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL',
+      [leadId, workspaceId]
     );
-    
+
     if (verifyResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Lead not found or not owned by user' });
-    }
-
-    const updateResult = await pool.query(
-      `UPDATE leads_clean SET
-        company = COALESCE($1, company),
-        contact = COALESCE($2, contact),
-        email = COALESCE($3, email),
-        stage = COALESCE($4, stage),
-        notes = COALESCE($5, notes),
-        content = COALESCE($6, content)
-       WHERE id = $7 AND user_id = $8
-       RETURNING *`,
-      [
-        company?.trim() || null,
-        contact?.trim() || null,
-        email?.trim() || null,
-        leadStage,
-        notes?.trim() || null,
-        content,
-        leadId,
-        userId
-      ]
-    );
+      return res.status(404).json({ error: 'Lead not found in this workspace' });
+    }
 
-    const allLeads = await pool.query(
-      'SELECT * FROM leads_clean WHERE user_id = $1 ORDER BY created_at DESC',
-      [userId]
+    const result = await pool.query(
+      `SELECT h.id, h.lead_id, h.from_stage, h.to_stage, h.changed_at,
+              h.changed_by, u.email AS changed_by_email
+       FROM lead_stage_history h
+       LEFT JOIN "user" u ON u.id = h.changed_by
+       WHERE h.lead_id = $1
+       ORDER BY h.changed_at ASC, h.id ASC`,
+      [leadId]
     );
 
-    res.json(groupLeadsByStage(allLeads.rows));
+    res.json(result.rows);
   } catch (err) {
-    console.error('PUT lead error:', err);
-    res.status(500).json({ 
-      error: 'Failed to update lead',
-      details: process.env.NODE_ENV === 'development' ? err.message : undefined
-    });
+    next(err);
   }
 });
 
-// 🔹 DELETE lead
-router.delete('/:id', async (req, res) => {
+// 🔹 GET why a lead has its score: every active rule, its input value and whether it matched
+router.get('/:id/score', async (req, res, next) => {
   try {
     const leadId = parseInt(req.params.id);
-    const userId = req.user.id;
+    if (isNaN(leadId)) {
+      return res.status(400).json({ error: 'Invalid lead ID' });
+    }
+
+    const explanation = await explainLeadScore(pool, req.workspace.id, leadId);
+    if (!explanation) {
+      return res.status(404).json({ error: 'Lead not found in this workspace' });
+    }
+    res.json(explanation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE lead (moves it to the trash; see /trash to restore or purge)
+router.delete('/:id', canEdit, async (req, res, next) => {
+  try {
+    const leadId = parseInt(req.params.id);
+    const workspaceId = req.workspace.id;
 
     if (isNaN(leadId)) {
       return res.status(400).json({ error: 'Invalid lead ID' });
     }
 
-    // First verify the lead belongs to the user
+    // First verify the lead belongs to the workspace
     const verifyResult = await pool.query(
-      'SELECT id FROM leads_clean WHERE id = $1 AND user_id = $2',
-      [leadId, userId]
+      'SELECT id FROM leads_clean WHERE id = $1 AND workspace_id = $2 AND deleted_at IS NULL',
+      [leadId, workspaceId]
     );
     
     if (verifyResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Lead not found or not owned by user' });
+      return res.status(404).json({ error: 'Lead not found in this workspace' });
     }
 
-    const deleteResult = await pool.query(
-      'DELETE FROM leads_clean WHERE id = $1 AND user_id = $2 RETURNING *',
-      [leadId, userId]
-    );
+    const deleted = await withTransaction(async (client) => {
+      const strategies = (await loadLeadStrategies(client, [leadId])).get(leadId);
+      const deleteResult = await client.query(
+        `UPDATE leads_clean SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $3
+         WHERE id = $1 AND workspace_id = $2
+         RETURNING *`,
+        [leadId, workspaceId, req.user.id]
+      );
+      const lead = formatLead({ ...deleteResult.rows[0], strategies });
+      await recordAudit(client, req, {
+        action: 'lead.delete',
+        targetType: 'lead',
+        targetId: leadId,
+        metadata: { company: lead.company }
+      });
+      await enqueueLeadEvents(client, workspaceId, { type: 'deleted', lead });
+      return lead;
+    });
+
+    res.json({ ...deleted, purgeAt: purgeDate(deleted.deleted_at) });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const allLeads = await pool.query(
-      'SELECT * FROM leads_clean WHERE user_id = $1 ORDER BY created_at DESC',
-      [userId]
+// 🔹 GET open tasks assigned to me that are overdue or due today
+router.get('/tasks/due', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.*, l.company, l.contact, l.stage, (t.due_at < NOW()) AS overdue
+       FROM lead_tasks t
+       JOIN leads_clean l ON l.id = t.lead_id
+       WHERE l.workspace_id = $1 AND l.deleted_at IS NULL AND t.assigned_to = $2
+         AND t.completed_at IS NULL
+         AND t.due_at < CURRENT_DATE + INTERVAL '1 day'
+       ORDER BY t.due_at ASC, t.id ASC`,
+      [req.workspace.id, req.user.id]
     );
 
-    res.json(groupLeadsByStage(allLeads.rows));
-  } catch (err) {
-    console.error('DELETE lead error:', err);
-    res.status(500).json({ 
-      error: 'Failed to delete lead',
-      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    res.json({
+      overdue: result.rows.filter(task => task.overdue),
+      dueToday: result.rows.filter(task => !task.overdue)
     });
+  } catch (err) {
+    next(err);
   }
 });
 
+// 🔹 Activity timeline and tasks: /:id/activities, /:id/tasks
+router.use('/:id', leadActivityRoutes);
+
 module.exports = router;
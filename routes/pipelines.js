@@ -0,0 +1,209 @@
+// 📄 routes/pipelines.js – Per-workspace funnel pipeline definitions
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { withTransaction } = require('../lib/transaction');
+const {
+  getPipeline,
+  listPipelines,
+  insertStages,
+  normalizeStages
+} = require('../lib/pipelines');
+const { validateBody } = require('../lib/schema');
+
+// Stage names and terminal types are checked by normalizeStages, which also fills in probabilities
+const STAGE = {
+  type: ['string', 'object'],
+  properties: {
+    name: { type: 'string', required: true },
+    label: { type: 'string', maxLength: 100 },
+    terminal: { type: 'string', nullable: true },
+    probability: { type: 'integer', nullable: true, min: 0, max: 100 }
+  }
+};
+const PIPELINE_NAME = { type: 'string', minLength: 2, maxLength: 100 };
+const schemas = {
+  create: {
+    name: { ...PIPELINE_NAME, required: true },
+    stages: { type: 'array', required: true, items: STAGE, maxItems: 50 },
+    isDefault: { type: 'boolean' }
+  },
+  update: {
+    name: PIPELINE_NAME,
+    stages: { type: 'array', items: STAGE, maxItems: 50 },
+    isDefault: { type: 'boolean' }
+  }
+};
+
+router.use(authenticateToken);
+
+// 🔹 GET all pipelines in the current workspace
+router.get('/', async (req, res, next) => {
+  try {
+    const pipelines = await listPipelines(pool, req.workspace.id);
+    res.json(pipelines);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET single pipeline
+router.get('/:id', async (req, res, next) => {
+  try {
+    const pipelineId = parseInt(req.params.id);
+    if (isNaN(pipelineId)) {
+      return res.status(400).json({ error: 'Invalid pipeline ID' });
+    }
+
+    const pipeline = await getPipeline(pool, req.workspace.id, pipelineId);
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+
+    res.json(pipeline);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST create pipeline
+router.post('/', requireRole('admin'), validateBody(schemas.create), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.workspace.id;
+    const { name, stages: rawStages, isDefault = false } = req.body;
+
+    const { stages, errors } = normalizeStages(rawStages);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const pipelineId = await withTransaction(async (client) => {
+      if (isDefault) {
+        await client.query('UPDATE pipelines SET is_default = FALSE WHERE workspace_id = $1', [workspaceId]);
+      }
+
+      const result = await client.query(
+        `INSERT INTO pipelines (workspace_id, user_id, name, is_default)
+         VALUES ($1, $2, $3, $4) RETURNING id`,
+        [workspaceId, userId, name.trim(), Boolean(isDefault)]
+      );
+      await insertStages(client, result.rows[0].id, stages);
+      return result.rows[0].id;
+    });
+
+    res.status(201).json(await getPipeline(pool, workspaceId, pipelineId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 PUT update pipeline name, default flag and/or stage list
+router.put('/:id', requireRole('admin'), validateBody(schemas.update), async (req, res, next) => {
+  try {
+    const pipelineId = parseInt(req.params.id);
+    const workspaceId = req.workspace.id;
+
+    if (isNaN(pipelineId)) {
+      return res.status(400).json({ error: 'Invalid pipeline ID' });
+    }
+
+    const existing = await getPipeline(pool, workspaceId, pipelineId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+
+    const { name, stages: rawStages, isDefault } = req.body;
+    const errors = [];
+    let stages = null;
+
+    if (rawStages !== undefined) {
+      const normalized = normalizeStages(rawStages);
+      stages = normalized.stages;
+      errors.push(...normalized.errors);
+    }
+    if (isDefault === false && existing.is_default) {
+      errors.push('Mark another pipeline as default instead of unsetting this one');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    // Removing a stage would orphan the leads sitting in it
+    if (stages) {
+      const keptNames = stages.map(s => s.name);
+      const orphaned = await pool.query(
+        `SELECT stage, COUNT(*)::int AS count
+         FROM leads_clean
+         WHERE pipeline_id = $1 AND NOT (stage = ANY($2))
+         GROUP BY stage`,
+        [pipelineId, keptNames]
+      );
+      if (orphaned.rows.length > 0) {
+        return res.status(409).json({
+          error: 'Cannot remove stages that still contain leads',
+          details: orphaned.rows.map(row => `${row.stage}: ${row.count} lead(s)`)
+        });
+      }
+    }
+
+    await withTransaction(async (client) => {
+      if (isDefault === true) {
+        await client.query('UPDATE pipelines SET is_default = FALSE WHERE workspace_id = $1', [workspaceId]);
+      }
+
+      await client.query(
+        `UPDATE pipelines SET
+          name = COALESCE($1, name),
+          is_default = COALESCE($2, is_default)
+         WHERE id = $3 AND workspace_id = $4`,
+        [name?.trim() || null, isDefault === true ? true : null, pipelineId, workspaceId]
+      );
+
+      if (stages) {
+        await client.query('DELETE FROM pipeline_stages WHERE pipeline_id = $1', [pipelineId]);
+        await insertStages(client, pipelineId, stages);
+      }
+    });
+
+    res.json(await getPipeline(pool, workspaceId, pipelineId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE pipeline (only when empty and not the default)
+router.delete('/:id', requireRole('admin'), async (req, res, next) => {
+  try {
+    const pipelineId = parseInt(req.params.id);
+    const workspaceId = req.workspace.id;
+
+    if (isNaN(pipelineId)) {
+      return res.status(400).json({ error: 'Invalid pipeline ID' });
+    }
+
+    const existing = await getPipeline(pool, workspaceId, pipelineId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+    if (existing.is_default) {
+      return res.status(409).json({ error: 'The default pipeline cannot be deleted' });
+    }
+
+    const leadCount = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM leads_clean WHERE pipeline_id = $1',
+      [pipelineId]
+    );
+    if (leadCount.rows[0].count > 0) {
+      return res.status(409).json({ error: 'Move or delete the leads in this pipeline first (including any in the trash)' });
+    }
+
+    await pool.query('DELETE FROM pipelines WHERE id = $1 AND workspace_id = $2', [pipelineId, workspaceId]);
+    res.json(await listPipelines(pool, workspaceId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+// 📄 routes/scoring.js – Workspace lead-scoring rules
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { withTransaction } = require('../lib/transaction');
+const { RULE_FIELDS, validateRule, loadRules, rescoreLeads } = require('../lib/scoring');
+const { validateBody } = require('../lib/schema');
+
+// Every member can read the rules; changing them rescores the workspace, so admins only
+router.use(authenticateToken);
+const canManage = requireRole('admin');
+
+// JSONB parameters must be serialised ourselves: pg would send arrays as Postgres arrays
+const ruleParams = (rule) => [
+  rule.name,
+  rule.field,
+  rule.fieldKey,
+  rule.operator,
+  JSON.stringify(rule.value ?? null),
+  rule.points,
+  rule.active
+];
+
+// Operator/value combinations are checked by validateRule
+const RULE = {
+  name: { type: 'string', maxLength: 100 },
+  field: { type: 'string', enum: Object.keys(RULE_FIELDS) },
+  fieldKey: { type: 'string', nullable: true, maxLength: 100 },
+  operator: { type: 'string' },
+  value: { type: ['string', 'number', 'boolean', 'array'], nullable: true },
+  points: { type: 'integer', min: -1000, max: 1000 },
+  active: { type: 'boolean' }
+};
+const schemas = {
+  create: {
+    ...RULE,
+    name: { ...RULE.name, required: true },
+    field: { ...RULE.field, required: true },
+    operator: { ...RULE.operator, required: true },
+    points: { ...RULE.points, required: true }
+  },
+  update: RULE
+};
+
+// 🔹 GET rules (and the fields/operators they may use)
+router.get('/rules', async (req, res, next) => {
+  try {
+    const rules = await loadRules(pool, req.workspace.id, { activeOnly: false });
+    res.json({ rules, fields: RULE_FIELDS });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST create a rule and rescore the workspace
+router.post('/rules', canManage, validateBody(schemas.create), async (req, res, next) => {
+  try {
+    const { rule, errors } = validateRule(req.body);
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO scoring_rules
+          (name, field, field_key, operator, value, points, active, workspace_id, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [...ruleParams(rule), req.workspace.id, req.user.id]
+      );
+      await rescoreLeads(client, req.workspace.id);
+      return result.rows[0];
+    });
+
+    res.status(201).json(created);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 PUT update a rule and rescore the workspace
+router.put('/rules/:id', canManage, validateBody(schemas.update), async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    if (isNaN(ruleId)) {
+      return res.status(400).json({ error: 'Invalid rule ID' });
+    }
+
+    const existing = await pool.query(
+      'SELECT * FROM scoring_rules WHERE id = $1 AND workspace_id = $2',
+      [ruleId, req.workspace.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Scoring rule not found' });
+    }
+
+    const { rule, errors } = validateRule(req.body, existing.rows[0]);
+    if (errors) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const updated = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE scoring_rules SET
+          name = $1, field = $2, field_key = $3, operator = $4, value = $5, points = $6, active = $7,
+          updated_at = CURRENT_TIMESTAMP
+         WHERE id = $8
+         RETURNING *`,
+        [...ruleParams(rule), ruleId]
+      );
+      await rescoreLeads(client, req.workspace.id);
+      return result.rows[0];
+    });
+
+    res.json(updated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE a rule and rescore the workspace
+router.delete('/rules/:id', canManage, async (req, res, next) => {
+  try {
+    const ruleId = parseInt(req.params.id);
+    if (isNaN(ruleId)) {
+      return res.status(400).json({ error: 'Invalid rule ID' });
+    }
+
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        'DELETE FROM scoring_rules WHERE id = $1 AND workspace_id = $2 RETURNING *',
+        [ruleId, req.workspace.id]
+      );
+      if (result.rows.length > 0) await rescoreLeads(client, req.workspace.id);
+      return result.rows[0];
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Scoring rule not found' });
+    }
+    res.json(deleted);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST recalculate every lead's score now
+router.post('/recalculate', canManage, async (req, res, next) => {
+  try {
+    const scores = await rescoreLeads(pool, req.workspace.id);
+    res.json({ rescored: scores.size });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
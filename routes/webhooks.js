@@ -0,0 +1,262 @@
+// 📄 routes/webhooks.js – Workspace webhook subscriptions and delivery log
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { WEBHOOK_EVENTS, generateSecret, resolveWebhookTarget } = require('../lib/webhooks');
+const { validateBody } = require('../lib/schema');
+
+// Managing webhooks exposes lead data to third parties, so it is admin-only
+router.use(authenticateToken, requireRole('admin'));
+
+const PUBLIC_COLUMNS = 'id, workspace_id, created_by, url, events, active, created_at, updated_at';
+
+const EVENTS = { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, maxItems: WEBHOOK_EVENTS.length * 2 };
+const schemas = {
+  create: {
+    url: { type: 'string', required: true, maxLength: 2048 },
+    events: { ...EVENTS, required: true }
+  },
+  update: {
+    url: { type: 'string', maxLength: 2048 },
+    events: EVENTS,
+    active: { type: 'boolean' }
+  }
+};
+
+// Shape checks, then (for a new URL) where it resolves to; returns the errors or null
+async function validateWebhook({ url, events }, partial = false) {
+  const errors = [];
+  if (!partial || url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      errors.push('url must be a valid http(s) URL');
+    } else {
+      const { error } = await resolveWebhookTarget(url);
+      if (error) errors.push(error);
+    }
+  }
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push('events must be a non-empty array');
+    }
+  }
+  return errors.length > 0 ? errors : null;
+}
+
+// 🔹 Load /:id as a webhook of the current workspace
+const loadWebhook = async (req, res, next) => {
+  try {
+    const webhookId = parseInt(req.params.id);
+    if (isNaN(webhookId)) {
+      return res.status(400).json({ error: 'Invalid webhook ID' });
+    }
+
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM webhooks WHERE id = $1 AND workspace_id = $2`,
+      [webhookId, req.workspace.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    req.webhook = result.rows[0];
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 🔹 GET webhooks in the current workspace
+router.get('/', async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM webhooks WHERE workspace_id = $1 ORDER BY created_at ASC`,
+      [req.workspace.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST register a webhook; the signing secret is only returned here and on rotation
+router.post('/', validateBody(schemas.create), async (req, res, next) => {
+  try {
+    const { url, events } = req.body;
+    const validationErrors = await validateWebhook({ url, events });
+    if (validationErrors) {
+      return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO webhooks (workspace_id, created_by, url, events, secret)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${PUBLIC_COLUMNS}, secret`,
+      [req.workspace.id, req.user.id, url, [...new Set(events)], generateSecret()]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET single webhook
+router.get('/:id', loadWebhook, (req, res) => res.json(req.webhook));
+
+// 🔹 PUT update url, events or active flag
+router.put('/:id', loadWebhook, validateBody(schemas.update), async (req, res, next) => {
+  try {
+    const { url, events, active } = req.body;
+    const validationErrors = await validateWebhook({ url, events }, true);
+    if (validationErrors) {
+      return res.status(400).json({ error: 'Validation failed', details: validationErrors });
+    }
+
+    const result = await pool.query(
+      `UPDATE webhooks SET
+        url = COALESCE($1, url),
+        events = COALESCE($2, events),
+        active = COALESCE($3, active),
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [
+        url || null,
+        events ? [...new Set(events)] : null,
+        typeof active === 'boolean' ? active : null,
+        req.webhook.id
+      ]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE webhook (its delivery log goes with it)
+router.delete('/:id', loadWebhook, async (req, res, next) => {
+  try {
+    await pool.query('DELETE FROM webhooks WHERE id = $1', [req.webhook.id]);
+    res.json(req.webhook);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST rotate the signing secret
+router.post('/:id/rotate-secret', loadWebhook, async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `UPDATE webhooks SET secret = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING ${PUBLIC_COLUMNS}, secret`,
+      [generateSecret(), req.webhook.id]
+    );
+    res.json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST queue a test "ping" delivery to this webhook only
+router.post('/:id/ping', loadWebhook, async (req, res, next) => {
+  try {
+    const payload = {
+      event: 'ping',
+      workspaceId: req.workspace.id,
+      occurredAt: new Date().toISOString(),
+      data: { webhookId: req.webhook.id }
+    };
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+       VALUES ($1, 'ping', $2)
+       RETURNING *`,
+      [req.webhook.id, payload]
+    );
+    res.status(202).json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET delivery log (?status=pending|succeeded|failed, ?limit=)
+router.get('/:id/deliveries', loadWebhook, async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const result = await pool.query(
+      `SELECT id, event, status, attempts, next_attempt_at, last_status_code, last_error,
+              redelivery_of, created_at, delivered_at
+       FROM webhook_deliveries
+       WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $3`,
+      [req.webhook.id, req.query.status || null, limit]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+async function findDelivery(req, res) {
+  const deliveryId = parseInt(req.params.deliveryId);
+  if (isNaN(deliveryId)) {
+    res.status(400).json({ error: 'Invalid delivery ID' });
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2',
+    [deliveryId, req.webhook.id]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Delivery not found' });
+    return null;
+  }
+  return result.rows[0];
+}
+
+// 🔹 GET one delivery with its payload and every attempt
+router.get('/:id/deliveries/:deliveryId', loadWebhook, async (req, res, next) => {
+  try {
+    const delivery = await findDelivery(req, res);
+    if (!delivery) return;
+
+    const attempts = await pool.query(
+      `SELECT attempted_at, status_code, error, duration_ms
+       FROM webhook_delivery_attempts
+       WHERE delivery_id = $1
+       ORDER BY attempted_at ASC, id ASC`,
+      [delivery.id]
+    );
+    res.json({ ...delivery, attemptLog: attempts.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST redeliver: queues a fresh copy of the original payload
+router.post('/:id/deliveries/:deliveryId/redeliver', loadWebhook, async (req, res, next) => {
+  try {
+    const delivery = await findDelivery(req, res);
+    if (!delivery) return;
+
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, redelivery_of)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [req.webhook.id, delivery.event, delivery.payload, delivery.id]
+    );
+    res.status(202).json(result.rows[0]);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
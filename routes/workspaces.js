@@ -0,0 +1,331 @@
+// 📄 routes/workspaces.js – Team workspaces, members and invitations
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const pool = require('../db');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { withTransaction } = require('../lib/transaction');
+const { queueEmail } = require('../lib/email');
+const { getMembership, listWorkspaces } = require('../lib/workspaces');
+const { config } = require('../lib/config');
+const { validateBody } = require('../lib/schema');
+
+const INVITE_ROLES = ['admin', 'editor', 'viewer'];
+const INVITE_TTL_MS = 7 * 24 * 3600000; // 7 days
+
+const WORKSPACE_NAME = { type: 'string', required: true, minLength: 2, maxLength: 100 };
+const schemas = {
+  workspace: { name: WORKSPACE_NAME },
+  acceptInvitation: { token: { type: 'string', required: true, minLength: 1, maxLength: 512 } },
+  invitation: {
+    email: { type: 'string', required: true, format: 'email', maxLength: 254 },
+    role: { type: 'string', enum: INVITE_ROLES }
+  },
+  memberRole: { role: { type: 'string', required: true, enum: INVITE_ROLES } }
+};
+
+router.use(verifyToken);
+
+// 🔹 Load the caller's membership of /:id into req.workspace
+const loadWorkspace = async (req, res, next) => {
+  try {
+    const workspaceId = parseInt(req.params.id);
+    if (isNaN(workspaceId)) {
+      return res.status(400).json({ error: 'Invalid workspace ID' });
+    }
+
+    const membership = await getMembership(pool, workspaceId, req.user.id);
+    if (!membership) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+
+    req.workspace = membership;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 🔹 GET workspaces the logged-in user belongs to
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await listWorkspaces(pool, req.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST create a team workspace (caller becomes owner)
+router.post('/', validateBody(schemas.workspace), async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    const workspaceId = await withTransaction(async (client) => {
+      const result = await client.query(
+        'INSERT INTO workspaces (name, owner_id) VALUES ($1, $2) RETURNING id',
+        [name.trim(), req.user.id]
+      );
+      await client.query(
+        "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [result.rows[0].id, req.user.id]
+      );
+      return result.rows[0].id;
+    });
+
+    res.status(201).json(await getMembership(pool, workspaceId, req.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST accept an invitation (the invite must match the caller's email)
+router.post('/invitations/accept', validateBody(schemas.acceptInvitation), async (req, res, next) => {
+  const { token } = req.body;
+
+  // Matching on email only proves something once the address is verified
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ error: 'Forbidden - Please verify your email address first' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT * FROM workspace_invitations
+       WHERE token = $1 AND accepted_at IS NULL AND expires_at > NOW()`,
+      [token]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired invitation' });
+    }
+
+    const invitation = result.rows[0];
+    if (invitation.email.toLowerCase() !== String(req.user.email).toLowerCase()) {
+      return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+    }
+
+    await withTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO workspace_members (workspace_id, user_id, role)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (workspace_id, user_id) DO NOTHING`,
+        [invitation.workspace_id, req.user.id, invitation.role]
+      );
+      await client.query(
+        'UPDATE workspace_invitations SET accepted_at = NOW() WHERE id = $1',
+        [invitation.id]
+      );
+    });
+
+    res.json(await getMembership(pool, invitation.workspace_id, req.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET workspace with its members
+router.get('/:id', loadWorkspace, async (req, res, next) => {
+  try {
+    const members = await pool.query(
+      `SELECT m.user_id, u.email, m.role, m.created_at
+       FROM workspace_members m
+       JOIN "user" u ON u.id = m.user_id
+       WHERE m.workspace_id = $1
+       ORDER BY m.created_at ASC`,
+      [req.workspace.id]
+    );
+
+    res.json({ ...req.workspace, members: members.rows });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 PUT rename workspace
+router.put('/:id', loadWorkspace, requireRole('admin'), validateBody(schemas.workspace), async (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    await pool.query('UPDATE workspaces SET name = $1 WHERE id = $2', [name.trim(), req.workspace.id]);
+    res.json(await getMembership(pool, req.workspace.id, req.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE workspace and everything in it (owner only, not the personal workspace)
+router.delete('/:id', loadWorkspace, requireRole('owner'), async (req, res, next) => {
+  try {
+    if (req.workspace.is_personal) {
+      return res.status(409).json({ error: 'Your personal workspace cannot be deleted' });
+    }
+
+    await pool.query('DELETE FROM workspaces WHERE id = $1', [req.workspace.id]);
+    res.json(await listWorkspaces(pool, req.user.id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 GET pending invitations
+router.get('/:id/invitations', loadWorkspace, requireRole('admin'), async (req, res, next) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, email, role, invited_by, expires_at, created_at
+       FROM workspace_invitations
+       WHERE workspace_id = $1 AND accepted_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [req.workspace.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 POST invite someone by email
+router.post('/:id/invitations', loadWorkspace, requireRole('admin'), validateBody(schemas.invitation), async (req, res, next) => {
+  const { email, role = 'editor' } = req.body;
+
+  try {
+    if (req.workspace.is_personal) {
+      return res.status(409).json({ error: 'Create a team workspace to invite members' });
+    }
+    // Same rule as changing roles: only the owner may make admins
+    if (role === 'admin' && req.workspace.role !== 'owner') {
+      return res.status(403).json({ error: 'Forbidden - Only the owner may invite admins' });
+    }
+
+    const existingMember = await pool.query(
+      `SELECT 1 FROM workspace_members m
+       JOIN "user" u ON u.id = m.user_id
+       WHERE m.workspace_id = $1 AND LOWER(u.email) = LOWER($2)`,
+      [req.workspace.id, email]
+    );
+    if (existingMember.rows.length > 0) {
+      return res.status(409).json({ error: 'That user is already a member of this workspace' });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expires = new Date(Date.now() + INVITE_TTL_MS);
+
+    // Queued in the same transaction, so the email only goes out if the invitation is saved
+    const invitation = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO workspace_invitations (workspace_id, email, role, token, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, email, role, invited_by, expires_at, created_at`,
+        [req.workspace.id, email.trim(), role, token, req.user.id, expires]
+      );
+
+      await queueEmail(client, {
+        workspaceId: req.workspace.id,
+        templateKey: 'workspace_invitation',
+        to: email.trim(),
+        createdBy: req.user.id,
+        variables: {
+          link: `${config.appUrl}/accept-invite.html?token=${token}`,
+          role,
+          workspace: { name: req.workspace.name },
+          inviter: { email: req.user.email }
+        }
+      });
+
+      return result.rows[0];
+    });
+
+    res.status(201).json(invitation);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE revoke a pending invitation
+router.delete('/:id/invitations/:invitationId', loadWorkspace, requireRole('admin'), async (req, res, next) => {
+  try {
+    const invitationId = parseInt(req.params.invitationId);
+    if (isNaN(invitationId)) {
+      return res.status(400).json({ error: 'Invalid invitation ID' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM workspace_invitations WHERE id = $1 AND workspace_id = $2 AND accepted_at IS NULL RETURNING id',
+      [invitationId, req.workspace.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked.' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Admins manage editors and viewers; only the owner may change another admin
+function canManage(callerRole, targetRole) {
+  if (targetRole === 'owner') return false;
+  if (targetRole === 'admin') return callerRole === 'owner';
+  return callerRole === 'owner' || callerRole === 'admin';
+}
+
+// 🔹 PUT change a member's role
+router.put('/:id/members/:userId', loadWorkspace, requireRole('admin'), validateBody(schemas.memberRole), async (req, res, next) => {
+  try {
+    const memberId = parseInt(req.params.userId);
+    const { role } = req.body;
+
+    if (isNaN(memberId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const target = await getMembership(pool, req.workspace.id, memberId);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (!canManage(req.workspace.role, target.role) || (role === 'admin' && req.workspace.role !== 'owner')) {
+      return res.status(403).json({ error: 'Forbidden - You cannot change this member\'s role' });
+    }
+
+    await pool.query(
+      'UPDATE workspace_members SET role = $1 WHERE workspace_id = $2 AND user_id = $3',
+      [role, req.workspace.id, memberId]
+    );
+
+    res.json(await getMembership(pool, req.workspace.id, memberId));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 🔹 DELETE remove a member (any member may remove themselves, except the owner)
+router.delete('/:id/members/:userId', loadWorkspace, async (req, res, next) => {
+  try {
+    const memberId = parseInt(req.params.userId);
+    if (isNaN(memberId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const target = await getMembership(pool, req.workspace.id, memberId);
+    if (!target) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const leavingSelf = memberId === req.user.id;
+    if (target.role === 'owner') {
+      return res.status(409).json({ error: 'The workspace owner cannot be removed' });
+    }
+    if (!leavingSelf && !canManage(req.workspace.role, target.role)) {
+      return res.status(403).json({ error: 'Forbidden - You cannot remove this member' });
+    }
+
+    await pool.query(
+      'DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+      [req.workspace.id, memberId]
+    );
+
+    res.json({ message: leavingSelf ? 'You left the workspace.' : 'Member removed.' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
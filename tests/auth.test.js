@@ -0,0 +1,159 @@
+// 📄 tests/auth.test.js – /api/auth: registration, login, sessions and settings
+const { request, app, pool, PASSWORD, uniqueEmail, createUser, trackUser, api, cleanup } = require('./helpers');
+
+afterAll(cleanup);
+
+describe('POST /api/auth/register', () => {
+  const outbox = (email) => pool.query(
+    'SELECT template_key FROM email_outbox WHERE to_email = $1 ORDER BY id',
+    [email]
+  ).then(result => result.rows.map(row => row.template_key));
+
+  it('creates an unverified account and emails a verification link', async () => {
+    const email = uniqueEmail();
+    const res = await request(app).post('/api/auth/register').send({ email, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ message: 'Check your inbox to verify your email address.' });
+    const account = await pool.query('SELECT id, email_verified_at FROM "user" WHERE email = $1', [email]);
+    trackUser(account.rows[0].id);
+    expect(account.rows[0].email_verified_at).toBeNull();
+    expect(await outbox(email)).toEqual(['email_verification']);
+  });
+
+  it('answers the same for a taken email and notifies its owner instead', async () => {
+    const user = await createUser();
+    const taken = await request(app).post('/api/auth/register').send({ email: user.email, password: 'another-password' });
+    const email = uniqueEmail();
+    const fresh = await request(app).post('/api/auth/register').send({ email, password: PASSWORD });
+    const created = await pool.query('SELECT id FROM "user" WHERE email = $1', [email]);
+    trackUser(created.rows[0].id);
+
+    expect([taken.status, taken.body]).toEqual([fresh.status, fresh.body]);
+    expect(await outbox(user.email)).toEqual(['account_exists']);
+    // The existing account keeps its password
+    const login = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+    expect(login.status).toBe(200);
+  });
+
+  it('limits sign-up attempts per email', async () => {
+    const user = await createUser();
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      const res = await request(app).post('/api/auth/register').send({ email: user.email, password: PASSWORD });
+      statuses.push(res.status);
+    }
+
+    expect(statuses).toEqual([200, 200, 200, 429]);
+  });
+
+  it('lists every problem with the body', async () => {
+    const res = await request(app).post('/api/auth/register').send({ email: 'not-an-email', password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({
+      error: 'Validation failed',
+      details: ['email must be a valid email address', 'password must be at least 8 characters']
+    });
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('returns a session for the right password', async () => {
+    const user = await createUser();
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual({ id: user.id, email: user.email, emailVerified: true });
+  });
+
+  it('answers the same for a wrong password and an unknown email', async () => {
+    const user = await createUser();
+    const wrong = await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong-password' });
+    const unknown = await request(app).post('/api/auth/login').send({ email: uniqueEmail(), password: PASSWORD });
+
+    expect([wrong.status, unknown.status]).toEqual([401, 401]);
+    expect(wrong.body.error).toBe('Invalid email or password');
+    expect(unknown.body.error).toBe(wrong.body.error);
+  });
+
+  it('locks the account out after repeated failures, even for the right password', async () => {
+    const user = await createUser();
+    for (let i = 0; i < 5; i++) {
+      await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong-password' });
+    }
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
+
+describe('GET /api/auth/validate', () => {
+  it('requires a token', async () => {
+    const res = await request(app).get('/api/auth/validate');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a forged token', async () => {
+    const res = await request(app).get('/api/auth/validate').set('Authorization', 'Bearer not.a.token');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid or expired token');
+  });
+
+  it('returns the account', async () => {
+    const user = await createUser({ verified: false });
+    const res = await api(user).get('/api/auth/validate');
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual({ id: user.id, email: user.email, emailVerified: false, pendingEmail: null });
+  });
+});
+
+describe('sessions', () => {
+  it('rotates refresh tokens and refuses a reused one', async () => {
+    const user = await createUser();
+    const first = await request(app).post('/api/auth/refresh').send({ refreshToken: user.refreshToken });
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken: user.refreshToken });
+
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(user.refreshToken);
+    expect(reused.status).toBe(401);
+
+    // Reuse revokes the whole session, including the tokens just issued
+    const after = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+    expect(after.status).toBe(401);
+  });
+
+  it('stops accepting the access token after logout', async () => {
+    const user = await createUser();
+    const logout = await api(user).post('/api/auth/logout');
+    const res = await api(user).get('/api/auth/settings');
+
+    expect(logout.status).toBe(200);
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Unauthorized - Session has been revoked');
+  });
+});
+
+describe('/api/auth/settings', () => {
+  it('starts from the default thresholds and saves new ones', async () => {
+    const user = await createUser();
+    const before = await api(user).get('/api/auth/settings');
+    const saved = await api(user).put('/api/auth/settings').send({ staleLeadDays: 30 });
+
+    expect(before.body).toEqual({ hotLeadDays: 7, staleLeadDays: 14 });
+    expect(saved.status).toBe(200);
+    expect(saved.body).toEqual({ hotLeadDays: 7, staleLeadDays: 30 });
+  });
+
+  it('rejects thresholds out of range', async () => {
+    const user = await createUser();
+    const res = await api(user).put('/api/auth/settings').send({ hotLeadDays: 0, staleLeadDays: 'soon' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(['hotLeadDays must be at least 1', 'staleLeadDays must be a whole number']);
+  });
+});
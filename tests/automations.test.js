@@ -0,0 +1,164 @@
+// 📄 tests/automations.test.js – Automation rules end to end: chained stage rules, rollback, inactivity and rule emails
+const { pool, createUser, createWorkspace, api, cleanup } = require('./helpers');
+const { runInactivityAutomations } = require('../lib/automation');
+
+let n = 0;
+async function createLead(user, workspaceId) {
+  n += 1;
+  const res = await api(user, workspaceId).post('/api/leads')
+    .send({ company: `Rule Co ${n}`, contact: 'Casey', email: `casey${n}@rule${n}.test` });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+async function createRule(user, rule, workspaceId) {
+  const res = await api(user, workspaceId).post('/api/automations/rules').send({ name: 'Rule', ...rule });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+// "When a lead enters `from`, move it to `to`"
+const moveRule = (user, from, to) => createRule(user, {
+  name: `${from} → ${to}`,
+  trigger: 'lead.stage_changed',
+  conditions: [{ field: 'stage', operator: 'eq', value: from }],
+  actions: [{ type: 'set_stage', stage: to }]
+});
+
+async function createTemplate(user, workspaceId) {
+  const res = await api(user, workspaceId).post('/api/email/templates')
+    .send({ key: 'alert', name: 'Alert', subject: 'About {{lead.company}}', html: '<p>Check {{lead.company}}</p>' });
+  expect(res.status).toBe(201);
+}
+
+const runsOf = (rule) => pool.query('SELECT * FROM automation_runs WHERE rule_id = $1 ORDER BY id', [rule.id]).then(r => r.rows);
+
+afterAll(cleanup);
+
+describe('stage_changed chains', () => {
+  it('fires the rules a rule\'s stage change sets off, at most three levels deep', async () => {
+    const user = await createUser();
+    // Created last-first so each one can only fire through the chain, not in the same pass
+    const tooDeep = await createRule(user, {
+      trigger: 'lead.stage_changed',
+      conditions: [{ field: 'stage', operator: 'eq', value: 'awareness' }],
+      actions: [{ type: 'append_note', note: 'Too deep' }]
+    });
+    const third = await moveRule(user, 'purchase', 'awareness');
+    const second = await moveRule(user, 'evaluation', 'purchase');
+    const first = await moveRule(user, 'intent', 'evaluation');
+    const start = await moveRule(user, 'interest', 'intent');
+    const lead = await createLead(user);
+
+    const res = await api(user).put(`/api/leads/${lead.id}`).send({ company: lead.company, stage: 'interest' });
+    const history = await api(user).get(`/api/leads/${lead.id}/history`);
+
+    expect(res.body.stage).toBe('awareness');
+    expect(history.body.map(h => h.to_stage)).toEqual(['awareness', 'interest', 'intent', 'evaluation', 'purchase', 'awareness']);
+    for (const rule of [start, first, second, third]) {
+      expect(await runsOf(rule)).toEqual([expect.objectContaining({ status: 'succeeded', lead_id: lead.id })]);
+    }
+    expect(await runsOf(tooDeep)).toEqual([]);
+  });
+
+  it('runs each rule once per lead, even when rules undo each other', async () => {
+    const user = await createUser();
+    const back = await moveRule(user, 'intent', 'interest');
+    const forth = await moveRule(user, 'interest', 'intent');
+    const lead = await createLead(user);
+
+    const res = await api(user).put(`/api/leads/${lead.id}`).send({ company: lead.company, stage: 'intent' });
+
+    expect(res.body.stage).toBe('intent');
+    expect(await runsOf(back)).toHaveLength(1);
+    expect(await runsOf(forth)).toHaveLength(1);
+  });
+});
+
+describe('failed actions', () => {
+  it('undoes the rule\'s earlier actions and logs the failure', async () => {
+    const user = await createUser();
+    const rule = await createRule(user, {
+      trigger: 'lead.created',
+      actions: [
+        { type: 'set_stage', stage: 'intent' },
+        { type: 'append_note', note: 'Moved by a rule' },
+        { type: 'set_stage', stage: 'nowhere' }
+      ]
+    });
+
+    const lead = await createLead(user);
+    const history = await api(user).get(`/api/leads/${lead.id}/history`);
+    const activities = await api(user).get(`/api/leads/${lead.id}/activities`);
+    const [run] = await runsOf(rule);
+
+    expect(lead.stage).toBe('awareness');
+    expect(history.body.map(h => h.to_stage)).toEqual(['awareness']);
+    expect(activities.body.filter(a => a.body === 'Moved by a rule')).toEqual([]);
+    expect(run).toMatchObject({ status: 'failed', error: 'set_stage failed: Stage "nowhere" is not in this lead\'s pipeline' });
+    expect(run.results.map(r => r.status)).toEqual(['changed', 'changed', 'failed']);
+  });
+});
+
+describe('lead.inactive', () => {
+  it('fires once per quiet spell', async () => {
+    const user = await createUser();
+    await createTemplate(user);
+    // Emails to the rule owner leave the lead's timeline alone, so they do not end the quiet spell
+    const rule = await createRule(user, {
+      trigger: 'lead.inactive',
+      inactiveDays: 3,
+      actions: [{ type: 'send_email', templateKey: 'alert', recipient: 'rule_owner' }]
+    });
+    const lead = await createLead(user);
+    const quietSince = (days) => Promise.all([
+      pool.query(`UPDATE leads_clean SET created_at = NOW() - make_interval(days => $2) WHERE id = $1`, [lead.id, days]),
+      pool.query(`UPDATE lead_stage_history SET changed_at = NOW() - make_interval(days => $2) WHERE lead_id = $1`, [lead.id, days]),
+      pool.query(`UPDATE lead_activities SET occurred_at = NOW() - make_interval(days => $2) WHERE lead_id = $1`, [lead.id, days])
+    ]);
+
+    await runInactivityAutomations();
+    expect(await runsOf(rule)).toEqual([]);
+
+    await quietSince(10);
+    await runInactivityAutomations();
+    await runInactivityAutomations();
+    expect(await runsOf(rule)).toEqual([expect.objectContaining({ lead_id: lead.id, status: 'succeeded' })]);
+
+    // Touched five days ago, after the last run eight days ago: a new quiet spell
+    await pool.query(`UPDATE automation_runs SET created_at = NOW() - INTERVAL '8 days' WHERE rule_id = $1`, [rule.id]);
+    await pool.query(
+      `INSERT INTO lead_activities (lead_id, author_id, type, body, occurred_at)
+       VALUES ($1, $2, 'note', 'Called', NOW() - INTERVAL '5 days')`,
+      [lead.id, user.id]
+    );
+    await runInactivityAutomations();
+    expect(await runsOf(rule)).toHaveLength(2);
+  });
+});
+
+describe('send_email', () => {
+  it('emails the rule\'s creator when the recipient is rule_owner', async () => {
+    const [owner, editor] = await Promise.all([createUser(), createUser()]);
+    const workspaceId = await createWorkspace(owner, [{ user: editor, role: 'editor' }]);
+    await createTemplate(owner, workspaceId);
+    const rule = await createRule(owner, {
+      trigger: 'lead.created',
+      actions: [{ type: 'send_email', templateKey: 'alert', recipient: 'rule_owner' }]
+    }, workspaceId);
+
+    const lead = await createLead(editor, workspaceId);
+    const [run] = await runsOf(rule);
+    const outbox = await pool.query('SELECT * FROM email_outbox WHERE lead_id = $1', [lead.id]);
+    const activities = await api(editor, workspaceId).get(`/api/leads/${lead.id}/activities`);
+
+    expect(run.status).toBe('succeeded');
+    expect(outbox.rows).toEqual([expect.objectContaining({
+      id: run.results[0].emailId,
+      to_email: owner.email,
+      subject: `About ${lead.company}`,
+      created_by: owner.id
+    })]);
+    expect(activities.body.filter(a => a.type === 'email')).toEqual([]);
+  });
+});
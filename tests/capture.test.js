@@ -0,0 +1,155 @@
+// 📄 tests/capture.test.js – The public lead-capture endpoint: keys, spam, rate limits, redirects and attribution
+// Client addresses come from X-Forwarded-For so each submission can look like a different visitor
+process.env.TRUST_PROXY = '1';
+const { request, app, pool, createUser, createWorkspace, api, cleanup } = require('./helpers');
+const { HONEYPOT_FIELD } = require('../lib/leadCapture');
+
+let clients = 0;
+// A fresh address per submission, so only the tests about the per-IP limit run into it
+const nextIp = () => {
+  clients += 1;
+  return `198.18.${clients >> 8}.${clients & 255}`;
+};
+
+let n = 0;
+const leadBody = (fields = {}) => {
+  n += 1;
+  return { company: `Form Co ${n}`, contact: 'Casey', email: `casey${n}@form${n}.test`, ...fields };
+};
+
+const capture = (key, body, ip = nextIp()) => request(app)
+  .post('/api/capture/leads')
+  .set('X-Forwarded-For', ip)
+  .set('X-Api-Key', key)
+  .send(body);
+
+async function createKey(user, settings = {}, workspaceId) {
+  const res = await api(user, workspaceId).post('/api/capture/keys').send({ name: 'Website', ...settings });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+const leadsByEmail = (email) => pool.query('SELECT * FROM leads_clean WHERE email = $1', [email]).then(r => r.rows);
+
+afterAll(cleanup);
+
+describe('POST /api/capture/leads', () => {
+  it('turns away missing, unknown and deactivated keys', async () => {
+    const user = await createUser();
+    const captureKey = await createKey(user);
+    await api(user).put(`/api/capture/keys/${captureKey.id}`).send({ active: false });
+
+    const missing = await request(app).post('/api/capture/leads').set('X-Forwarded-For', nextIp()).send(leadBody());
+    const unknown = await capture('ffk_not-a-real-key', leadBody());
+    const inactive = await capture(captureKey.key, leadBody());
+
+    for (const res of [missing, unknown, inactive]) {
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Unauthorized - Invalid or inactive API key');
+    }
+  });
+
+  it('answers honeypot submissions like real ones but drops them', async () => {
+    const user = await createUser();
+    const { key } = await createKey(user);
+    const body = leadBody({ [HONEYPOT_FIELD]: 'http://spam.example' });
+
+    const res = await capture(key, body);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ received: true });
+    expect(await leadsByEmail(body.email)).toEqual([]);
+  });
+
+  it('sends url-encoded form posts on to the key\'s redirect URL', async () => {
+    const user = await createUser();
+    const { key } = await createKey(user, { redirectUrl: 'https://example.com/thanks' });
+    const body = leadBody();
+
+    const form = await request(app).post('/api/capture/leads')
+      .set('X-Forwarded-For', nextIp())
+      .type('form')
+      .send({ ...body, formToken: key });
+    const json = await capture(key, leadBody());
+
+    expect(form.status).toBe(303);
+    expect(form.headers.location).toBe('https://example.com/thanks');
+    expect(await leadsByEmail(body.email)).toHaveLength(1);
+    expect(json.status).toBe(201);
+  });
+
+  it('stores UTM parameters from the form and the URL it was posted to', async () => {
+    const user = await createUser();
+    const { key } = await createKey(user);
+    const body = leadBody({ utm_source: 'newsletter', utm_campaign: ' spring ' });
+
+    const res = await request(app).post('/api/capture/leads?utm_medium=email&utm_source=ignored')
+      .set('X-Forwarded-For', nextIp())
+      .set('X-Api-Key', key)
+      .set('Referer', 'https://example.com/pricing')
+      .send(body);
+    const [lead] = await leadsByEmail(body.email);
+
+    expect(res.status).toBe(201);
+    expect(lead).toMatchObject({
+      source: 'web_form',
+      referrer: 'https://example.com/pricing',
+      utm: { source: 'newsletter', medium: 'email', campaign: 'spring' }
+    });
+  });
+
+  it('creates leads only in the key\'s workspace, pipeline and stage', async () => {
+    const owner = await createUser();
+    const workspaceId = await createWorkspace(owner);
+    const pipeline = await api(owner, workspaceId).post('/api/pipelines')
+      .send({ name: 'Inbound', stages: ['new', 'qualified', { name: 'won', terminal: 'won' }] });
+    expect(pipeline.status).toBe(201);
+    const personal = await api(owner).get('/api/pipelines');
+    const { key } = await createKey(owner, { pipelineId: pipeline.body.id, defaultStage: 'qualified' }, workspaceId);
+    const body = leadBody({ workspaceId: personal.body[0].workspace_id, pipelineId: personal.body[0].id, stage: 'awareness' });
+
+    const res = await capture(key, body);
+
+    expect(res.status).toBe(201);
+    expect(await leadsByEmail(body.email)).toEqual([expect.objectContaining({
+      workspace_id: workspaceId,
+      pipeline_id: pipeline.body.id,
+      stage: 'qualified',
+      user_id: owner.id
+    })]);
+  });
+});
+
+describe('capture rate limits', () => {
+  it('limits submissions per client address', async () => {
+    const user = await createUser();
+    const { key } = await createKey(user);
+    const ip = nextIp();
+    for (let i = 0; i < 10; i++) {
+      await capture('ffk_not-a-real-key', leadBody(), ip);
+    }
+
+    const limited = await capture(key, leadBody(), ip);
+    const elsewhere = await capture(key, leadBody());
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.error).toBe('Too many submissions. Please try again later.');
+    expect(elsewhere.status).toBe(201);
+  });
+
+  it('limits submissions per key across addresses', async () => {
+    const user = await createUser();
+    const [flooded, other] = [await createKey(user), await createKey(user)];
+    // Honeypot posts count against the key but skip the database writes
+    for (let i = 0; i < 500; i++) {
+      await capture(flooded.key, leadBody({ [HONEYPOT_FIELD]: 'x' }));
+    }
+
+    const limited = await capture(flooded.key, leadBody());
+    const unaffected = await capture(other.key, leadBody());
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.error).toBe('Too many submissions for this form. Please try again later.');
+    expect(unaffected.status).toBe(201);
+  });
+});
@@ -0,0 +1,29 @@
+// 📄 tests/config.test.js – Environment defaults in lib/config
+const loadConfig = (overrides) => {
+  const saved = { ...process.env };
+  Object.entries(overrides).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  try {
+    let loaded;
+    jest.isolateModules(() => { loaded = require('../lib/config'); });
+    return loaded;
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe('NODE_ENV', () => {
+  it('treats an unset NODE_ENV as production', () => {
+    const { config, validateConfig } = loadConfig({ NODE_ENV: undefined, JWT_SECRET: 'short' });
+
+    expect(config).toMatchObject({ nodeEnv: 'production', isProduction: true, isDevelopment: false });
+    expect(validateConfig()).toContain('JWT_SECRET must be at least 32 characters in production');
+  });
+
+  it('only shows error details when NODE_ENV is development', () => {
+    expect(loadConfig({ NODE_ENV: 'development' }).config.isDevelopment).toBe(true);
+    expect(loadConfig({ NODE_ENV: 'staging' }).config.isDevelopment).toBe(false);
+  });
+});
@@ -0,0 +1,151 @@
+// 📄 tests/email.test.js – The outbox and mail worker against a local SMTP stub: rendering, retries and giving up
+const { SMTPServer } = require('smtp-server');
+const { request, app, pool, PASSWORD, uniqueEmail, createUser, trackUser, api, cleanup } = require('./helpers');
+const { processDueEmails } = require('../lib/email');
+const { config } = require('../lib/config');
+
+let smtp;
+// Every message the stub accepted: { to, raw } with quoted-printable parts decoded
+const received = [];
+// recipient → SMTP reply codes to refuse it with, one per attempt (accepted once they run out)
+const rejections = {};
+
+// Enough for the ASCII bodies these tests send: soft line breaks and =XX escapes
+const decodeQuotedPrintable = (raw) => raw
+  .replace(/=\r\n/g, '')
+  .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+// Send until nothing is due; failed emails are rescheduled into the future, so this ends
+async function drainOutbox() {
+  while ((await processDueEmails()).length > 0);
+}
+
+const outboxRow = (id) => pool.query('SELECT * FROM email_outbox WHERE id = $1', [id]).then(r => r.rows[0]);
+const messagesTo = (email) => received.filter(message => message.to.includes(email));
+
+async function createLead(user, fields = {}) {
+  const res = await api(user).post('/api/leads').send({ company: 'Mail Co', contact: 'Casey', email: uniqueEmail('lead'), ...fields });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+// Email the lead from a workspace template; returns the outbox row id
+async function emailLead(user, lead, templateKey = 'note') {
+  const res = await api(user).post(`/api/leads/${lead.id}/emails`).send({ templateKey });
+  expect(res.status).toBe(202);
+  return res.body.email.id;
+}
+
+async function createTemplate(user, template) {
+  const res = await api(user).post('/api/email/templates').send({ key: 'note', name: 'Note', subject: 'A note', html: '<p>Hello</p>', ...template });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+beforeAll((done) => {
+  smtp = new SMTPServer({
+    disabledCommands: ['STARTTLS', 'AUTH'],
+    logger: false,
+    onRcptTo(address, session, callback) {
+      const queued = rejections[address.address] || [];
+      if (queued.length === 0) return callback();
+      const err = new Error('Mailbox unavailable');
+      err.responseCode = queued.shift();
+      callback(err);
+    },
+    onData(stream, session, callback) {
+      let raw = '';
+      stream.setEncoding('utf8');
+      stream.on('data', chunk => { raw += chunk; });
+      stream.on('end', () => {
+        received.push({ to: session.envelope.rcptTo.map(rcpt => rcpt.address), raw: decodeQuotedPrintable(raw) });
+        callback();
+      });
+    }
+  });
+  smtp.listen(config.smtp.port, config.smtp.host, done);
+});
+
+afterAll(async () => {
+  await new Promise(resolve => smtp.close(resolve));
+  await cleanup();
+});
+
+describe('mail worker', () => {
+  it('renders the workspace template and sends it to the lead', async () => {
+    const user = await createUser();
+    await createTemplate(user, {
+      subject: 'Hello {{lead.contact}}',
+      html: '<p>Hi {{ lead.contact }} from {{workspace.name}}{{missing}}</p>'
+    });
+    const lead = await createLead(user, { contact: 'Tom & Jerry' });
+
+    const id = await emailLead(user, lead);
+    await drainOutbox();
+    const [message] = messagesTo(lead.email);
+
+    expect(message.raw).toMatch(/^Subject: Hello Tom & Jerry\r$/m);
+    // Escaped in the HTML part, as typed in the plain-text one; unknown names render empty
+    expect(message.raw).toContain('<p>Hi Tom &amp; Jerry from Personal</p>');
+    expect(message.raw).toMatch(/^Hi Tom & Jerry from Personal\r$/m);
+    expect(await outboxRow(id)).toMatchObject({ status: 'sent', attempts: 1, last_error: null });
+  });
+
+  it('retries a refused email with backoff', async () => {
+    const user = await createUser();
+    await createTemplate(user);
+    const lead = await createLead(user);
+    rejections[lead.email] = [451];
+
+    const id = await emailLead(user, lead);
+    const before = Date.now();
+    await drainOutbox();
+    const failed = await outboxRow(id);
+
+    expect(failed).toMatchObject({ status: 'pending', attempts: 1 });
+    expect(failed.last_error).toMatch(/451/);
+    // 1 minute for the first retry, plus up to 10% jitter
+    const wait = new Date(failed.next_attempt_at).getTime() - before;
+    expect(wait).toBeGreaterThanOrEqual(59000);
+    expect(wait).toBeLessThanOrEqual(67000);
+
+    await pool.query('UPDATE email_outbox SET next_attempt_at = NOW() WHERE id = $1', [id]);
+    await drainOutbox();
+
+    expect(await outboxRow(id)).toMatchObject({ status: 'sent', attempts: 2, last_error: null });
+    expect(messagesTo(lead.email)).toHaveLength(1);
+  });
+
+  it('gives up after the last attempt until an admin retries it', async () => {
+    const user = await createUser();
+    await createTemplate(user);
+    const lead = await createLead(user);
+    rejections[lead.email] = [550];
+
+    const id = await emailLead(user, lead);
+    // As if the first five attempts had already failed
+    await pool.query('UPDATE email_outbox SET attempts = 5 WHERE id = $1', [id]);
+    await drainOutbox();
+
+    expect(await outboxRow(id)).toMatchObject({ status: 'failed', attempts: 6 });
+
+    const retry = await api(user).post(`/api/email/outbox/${id}/retry`);
+    await drainOutbox();
+
+    expect(retry.status).toBe(202);
+    expect(await outboxRow(id)).toMatchObject({ status: 'sent', attempts: 1 });
+  });
+
+  it('sends the built-in verification email with its link', async () => {
+    const email = uniqueEmail();
+    await request(app).post('/api/auth/register').send({ email, password: PASSWORD });
+    const account = await pool.query('SELECT id, verification_token FROM "user" WHERE email = $1', [email]);
+    trackUser(account.rows[0].id);
+
+    await drainOutbox();
+    const [message] = messagesTo(email);
+
+    expect(message.raw).toMatch(/^Subject: Verify your email address\r$/m);
+    expect(message.raw).toContain(`/verify-email.html?token=${account.rows[0].verification_token}`);
+  });
+});
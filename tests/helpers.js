@@ -0,0 +1,80 @@
+// 📄 tests/helpers.js – Accounts, workspaces and cleanup shared by the integration tests
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+const app = require('../app');
+const pool = require('../db');
+
+const PASSWORD = 'correct-horse-battery';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 10);
+const createdUsers = [];
+
+const uniqueEmail = (label = 'user') => `${label}-${crypto.randomBytes(6).toString('hex')}@example.com`;
+
+// Register answers the same for every email without a session, so accounts are inserted directly
+// (verified ones as if the emailed link had been clicked) and then log in through the API
+async function createUser({ verified = true, label } = {}) {
+  const email = uniqueEmail(label);
+  const result = await pool.query(
+    'INSERT INTO "user" (email, password, email_verified_at) VALUES ($1, $2, $3) RETURNING id',
+    [email, PASSWORD_HASH, verified ? new Date() : null]
+  );
+  createdUsers.push(result.rows[0].id);
+
+  const res = await request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+  if (res.status !== 200) throw new Error(`login failed: ${res.status} ${JSON.stringify(res.body)}`);
+  return { ...res.body.user, email, token: res.body.token, refreshToken: res.body.refreshToken };
+}
+
+// A team workspace owned by `owner`, with each of `members` added as { user, role }
+async function createWorkspace(owner, members = []) {
+  const result = await pool.query(
+    "INSERT INTO workspaces (name, owner_id, is_personal) VALUES ('Team', $1, FALSE) RETURNING id",
+    [owner.id]
+  );
+  const workspaceId = result.rows[0].id;
+  await pool.query(
+    "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')",
+    [workspaceId, owner.id]
+  );
+  for (const { user, role } of members) {
+    await pool.query(
+      'INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, $3)',
+      [workspaceId, user.id, role]
+    );
+  }
+  return workspaceId;
+}
+
+// Authenticated request helpers: api(user).get('/api/leads')
+const api = (user, workspaceId) => {
+  const withAuth = (req) => {
+    req.set('Authorization', `Bearer ${user.token}`);
+    if (workspaceId) req.set('X-Workspace-Id', String(workspaceId));
+    return req;
+  };
+  return {
+    get: (path) => withAuth(request(app).get(path)),
+    post: (path) => withAuth(request(app).post(path)),
+    put: (path) => withAuth(request(app).put(path)),
+    delete: (path) => withAuth(request(app).delete(path))
+  };
+};
+
+// Accounts created through the API are deleted by cleanup() too
+const trackUser = (id) => createdUsers.push(id);
+
+// Deleting the accounts cascades to their workspaces, leads and sessions
+async function cleanup() {
+  if (createdUsers.length > 0) {
+    // Account emails (verification, notices) belong to no workspace, so they are removed here
+    await pool.query(
+      'DELETE FROM email_outbox WHERE workspace_id IS NULL AND to_email IN (SELECT email FROM "user" WHERE id = ANY($1))',
+      [createdUsers]
+    );
+    await pool.query('DELETE FROM "user" WHERE id = ANY($1)', [createdUsers.splice(0)]);
+  }
+  await pool.end();
+}
+
+module.exports = { app, pool, request, PASSWORD, uniqueEmail, createUser, trackUser, createWorkspace, api, cleanup };
@@ -0,0 +1,163 @@
+// 📄 tests/leadEvents.test.js – GET /api/leads/events: live board events and replay after reconnecting
+const http = require('http');
+const { request, app, createUser, createWorkspace, api, cleanup } = require('./helpers');
+const { stopLeadStream } = require('../lib/leadStream');
+
+let server;
+let baseUrl;
+
+// A minimal EventSource: collects { id, event, data } messages until closed
+function openStream(user, { headers = {}, query = '' } = {}) {
+  const stream = { events: [], waiters: [] };
+  const notify = () => {
+    stream.waiters = stream.waiters.filter(({ count, resolve }) => {
+      if (stream.events.length < count) return true;
+      resolve(stream.events);
+      return false;
+    });
+  };
+
+  stream.ready = new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}/api/leads/events?token=${user.token}${query}`, { headers }, (res) => {
+      stream.status = res.statusCode;
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+        messages.forEach(message => {
+          const fields = {};
+          message.split('\n').filter(line => line && !line.startsWith(':')).forEach(line => {
+            const [name, ...value] = line.split(': ');
+            fields[name] = value.join(': ');
+          });
+          if (!fields.event) return;
+          stream.events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+        });
+        notify();
+      });
+      // The first chunk (the retry hint) is written once the stream has its resume point
+      res.once('data', () => resolve(stream));
+      res.on('end', () => resolve(stream));
+    });
+    req.on('error', reject);
+    stream.close = () => req.destroy();
+  });
+
+  // Resolves once `count` events have arrived
+  stream.waitFor = (count) => new Promise((resolve, reject) => {
+    stream.waiters.push({ count, resolve });
+    notify();
+    setTimeout(() => reject(new Error(`Expected ${count} events, got ${stream.events.map(e => e.event)}`)), 5000).unref();
+  });
+  return stream;
+}
+
+const leadBody = (company) => ({ company, contact: 'Casey', email: `${company.toLowerCase().replace(/\s/g, '')}@example.com` });
+
+beforeAll((done) => {
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await stopLeadStream();
+  await cleanup();
+});
+
+describe('GET /api/leads/events', () => {
+  it('requires a token', async () => {
+    const res = await request(app).get('/api/leads/events');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects a malformed Last-Event-ID', async () => {
+    const user = await createUser();
+    const res = await api(user).get('/api/leads/events').set('Last-Event-ID', 'yesterday');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('pushes created, moved and deleted leads to the workspace\'s open boards', async () => {
+    const user = await createUser();
+    const stream = await openStream(user).ready;
+    expect(stream.status).toBe(200);
+
+    const created = await api(user).post('/api/leads').send(leadBody('Stream Co'));
+    await api(user).put(`/api/leads/${created.body.id}`).send({ company: 'Stream Co', stage: 'interest' });
+    await api(user).delete(`/api/leads/${created.body.id}`);
+
+    const events = await stream.waitFor(4);
+    stream.close();
+
+    expect(events.map(e => e.event)).toEqual(['lead.created', 'lead.updated', 'lead.stage_changed', 'lead.deleted']);
+    expect(events[0].data).toMatchObject({ event: 'lead.created', data: { lead: { id: created.body.id, company: 'Stream Co' } } });
+    expect(events[2].data.data).toMatchObject({ fromStage: 'awareness', toStage: 'interest' });
+    // Ids increase, and each message's id matches its payload
+    events.forEach(e => expect(e.data.id).toBe(Number(e.id)));
+    expect(events.map(e => e.data.id)).toEqual([...events.map(e => e.data.id)].sort((a, b) => a - b));
+  });
+
+  it('replays what a client missed after the last event id it saw', async () => {
+    const user = await createUser();
+    const first = await openStream(user).ready;
+    await api(user).post('/api/leads').send(leadBody('Before Co'));
+    const [seen] = await first.waitFor(1);
+    first.close();
+
+    // Changes made while disconnected
+    await api(user).post('/api/leads').send(leadBody('While Away Co'));
+    await api(user).post('/api/leads').send(leadBody('Also Away Co'));
+
+    const resumed = await openStream(user, { headers: { 'Last-Event-ID': seen.id } }).ready;
+    const events = await resumed.waitFor(2);
+    resumed.close();
+
+    expect(events.map(e => e.data.data.lead.company)).toEqual(['While Away Co', 'Also Away Co']);
+  });
+
+  it('accepts the resume point as ?lastEventId= for a new EventSource', async () => {
+    const user = await createUser();
+    const first = await openStream(user).ready;
+    await api(user).post('/api/leads').send(leadBody('Query One Co'));
+    const [seen] = await first.waitFor(1);
+    first.close();
+    await api(user).post('/api/leads').send(leadBody('Query Two Co'));
+
+    const resumed = await openStream(user, { query: `&lastEventId=${seen.id}` }).ready;
+    const [missed] = await resumed.waitFor(1);
+    resumed.close();
+
+    expect(missed.data.data.lead.company).toBe('Query Two Co');
+  });
+
+  it('asks the client to reload when it cannot replay from the given id', async () => {
+    const user = await createUser();
+    const stream = await openStream(user, { headers: { 'Last-Event-ID': '999999999' } }).ready;
+    await api(user).post('/api/leads').send(leadBody('After Reset Co'));
+    const events = await stream.waitFor(2);
+    stream.close();
+
+    expect(events.map(e => e.event)).toEqual(['reset', 'lead.created']);
+  });
+
+  it('only sends events of the workspace being watched', async () => {
+    const [owner, member, outsider] = await Promise.all([createUser(), createUser(), createUser()]);
+    const workspaceId = await createWorkspace(owner, [{ user: member, role: 'viewer' }]);
+    const memberStream = await openStream(member, { query: `&workspaceId=${workspaceId}` }).ready;
+    const outsiderStream = await openStream(outsider).ready;
+
+    await api(owner, workspaceId).post('/api/leads').send(leadBody('Team Co'));
+    const [event] = await memberStream.waitFor(1);
+    memberStream.close();
+    outsiderStream.close();
+
+    expect(event.data.workspaceId).toBe(workspaceId);
+    expect(outsiderStream.events).toEqual([]);
+  });
+});
@@ -0,0 +1,408 @@
+// 📄 tests/leads.test.js – /api/leads: authorization, validation, the board and metrics math
+const { request, app, pool, createUser, createWorkspace, api, cleanup } = require('./helpers');
+
+const STAGES = ['awareness', 'interest', 'intent', 'evaluation', 'purchase'];
+
+let n = 0;
+const leadBody = (fields = {}) => {
+  n += 1;
+  return { company: `Company ${n}`, contact: `Contact ${n}`, email: `lead${n}@company${n}.test`, ...fields };
+};
+
+async function createLead(user, fields, workspaceId) {
+  const res = await api(user, workspaceId).post('/api/leads').send(leadBody(fields));
+  if (res.status !== 201) throw new Error(`create lead failed: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body;
+}
+
+afterAll(cleanup);
+
+describe('authorization', () => {
+  let owner;
+  let viewer;
+  let editor;
+  let outsider;
+  let workspaceId;
+
+  beforeAll(async () => {
+    [owner, viewer, editor, outsider] = await Promise.all([createUser(), createUser(), createUser(), createUser()]);
+    workspaceId = await createWorkspace(owner, [{ user: viewer, role: 'viewer' }, { user: editor, role: 'editor' }]);
+  });
+
+  it('requires a token', async () => {
+    const res = await request(app).get('/api/leads');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Unauthorized - No token provided');
+  });
+
+  it('rejects accounts whose email is not verified', async () => {
+    const unverified = await createUser({ verified: false });
+    const res = await api(unverified).get('/api/leads');
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Forbidden - Please verify your email address first');
+  });
+
+  it('rejects workspaces the caller is not a member of', async () => {
+    const res = await api(outsider, workspaceId).get('/api/leads');
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Forbidden - You are not a member of this workspace');
+  });
+
+  it('lets viewers read but not write', async () => {
+    const lead = await createLead(owner, {}, workspaceId);
+    const list = await api(viewer, workspaceId).get('/api/leads');
+    const create = await api(viewer, workspaceId).post('/api/leads').send(leadBody());
+    const update = await api(viewer, workspaceId).put(`/api/leads/${lead.id}`).send({ company: 'Viewer Co' });
+
+    expect(list.status).toBe(200);
+    expect(list.body.leads.map(l => l.id)).toEqual([lead.id]);
+    expect([create.status, update.status]).toEqual([403, 403]);
+    expect(create.body.error).toBe('Forbidden - Requires editor role in this workspace');
+  });
+
+  it('keeps purging the trash to admins', async () => {
+    const res = await api(editor, workspaceId).delete('/api/leads/trash');
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Forbidden - Requires admin role in this workspace');
+  });
+
+  it('does not reveal leads of other workspaces', async () => {
+    const lead = await createLead(owner, {}, workspaceId);
+    const update = await api(outsider).put(`/api/leads/${lead.id}`).send({ company: 'Not Mine', notes: 'not mine' });
+    const history = await api(outsider).get(`/api/leads/${lead.id}/history`);
+
+    expect([update.status, history.status]).toEqual([404, 404]);
+  });
+
+  it('only answers the board, metrics and forecast for the caller\'s own user ID', async () => {
+    const paths = [`/api/leads/${owner.id}`, `/api/leads/metrics/${owner.id}`, `/api/leads/forecast/${owner.id}`];
+    const responses = await Promise.all(paths.map(path => api(editor, workspaceId).get(path)));
+
+    expect(responses.map(res => res.status)).toEqual([403, 403, 403]);
+  });
+});
+
+describe('validation', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await createUser();
+  });
+
+  it('lists every missing or malformed field of a new lead', async () => {
+    const res = await api(user).post('/api/leads').send({ company: '', email: 'nope', dealAmount: -5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      'company must not be empty',
+      'contact is required',
+      'email must be a valid email address',
+      'dealAmount must be at least 0'
+    ]));
+  });
+
+  it('applies the shared lead rules after the body schema', async () => {
+    const res = await api(user).post('/api/leads').send(leadBody({ company: 'X', dealCurrency: 'dollars' }));
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([
+      'Company name must be at least 2 characters',
+      'Deal currency must be a three-letter ISO code such as USD or EUR'
+    ]);
+  });
+
+  it('rejects non-numeric IDs', async () => {
+    const res = await api(user).put('/api/leads/abc').send({ company: 'Acme' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid lead ID');
+  });
+
+  it('rejects unknown bulk operations', async () => {
+    const res = await api(user).post('/api/leads/bulk').send({ ids: [1], operation: 'explode' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0]).toMatch(/^operation must be one of: /);
+  });
+
+  it('rejects bad metrics ranges', async () => {
+    const period = await api(user).get(`/api/leads/metrics/${user.id}?period=year`);
+    const reversed = await api(user).get(`/api/leads/metrics/${user.id}?from=2024-02-01&to=2024-01-01`);
+
+    expect(period.status).toBe(400);
+    expect(period.body).toMatchObject({ error: 'Invalid metrics query', details: ['period must be one of: day, week, month'] });
+    expect(reversed.body.details).toEqual(['from must be before to']);
+  });
+});
+
+describe('GET /api/leads (pagination)', () => {
+  let user;
+  const cursorOf = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  beforeAll(async () => {
+    user = await createUser();
+    for (let i = 0; i < 3; i += 1) await createLead(user);
+  });
+
+  it('pages through every lead with nextCursor', async () => {
+    const first = await api(user).get('/api/leads?sort=created_at&limit=2');
+    const second = await api(user).get(`/api/leads?sort=created_at&limit=2&cursor=${first.body.nextCursor}`);
+
+    expect(first.body.leads).toHaveLength(2);
+    expect(second.status).toBe(200);
+    expect(second.body.leads).toHaveLength(1);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  it('rejects cursors whose value does not fit the sort', async () => {
+    const badScore = await api(user).get(`/api/leads?sort=score&cursor=${cursorOf(['score', 'desc', 'abc', 1])}`);
+    const badDate = await api(user).get(`/api/leads?sort=created_at&cursor=${cursorOf(['created_at', 'desc', {}, 1])}`);
+    const noDate = await api(user).get(`/api/leads?sort=created_at&cursor=${cursorOf(['created_at', 'desc', null, 1])}`);
+    const legacy = await api(user).get(`/api/leads?sort=score&cursor=${cursorOf(['score', '0', 1])}`);
+
+    [badScore, badDate, noDate, legacy].forEach(res => {
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual(['Invalid cursor']);
+    });
+  });
+
+  it('rejects a cursor reused after changing the sort or order', async () => {
+    const page = await api(user).get('/api/leads?sort=company&limit=1');
+    const otherSort = await api(user).get(`/api/leads?sort=created_at&cursor=${page.body.nextCursor}`);
+    const otherOrder = await api(user).get(`/api/leads?sort=company&order=desc&cursor=${page.body.nextCursor}`);
+
+    [otherSort, otherOrder].forEach(res => {
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual(['Invalid cursor']);
+    });
+  });
+
+  it('pages past leads without a created_at in either order', async () => {
+    const owner = await createUser();
+    const leads = [await createLead(owner), await createLead(owner), await createLead(owner)];
+    await pool.query('UPDATE leads_clean SET created_at = NULL WHERE id = $1', [leads[1].id]);
+
+    for (const order of ['asc', 'desc']) {
+      const seen = [];
+      let cursor = '';
+      do {
+        const page = await api(owner).get(`/api/leads?sort=created_at&order=${order}&limit=1${cursor}`);
+        expect(page.status).toBe(200);
+        seen.push(...page.body.leads.map(lead => lead.id));
+        cursor = page.body.nextCursor ? `&cursor=${page.body.nextCursor}` : '';
+      } while (cursor);
+
+      expect(seen.sort((a, b) => a - b)).toEqual(leads.map(lead => lead.id));
+    }
+  });
+});
+
+describe('GET /api/leads/:userId (board)', () => {
+  it('groups leads by stage, one key per pipeline stage in order', async () => {
+    const user = await createUser();
+    const first = await createLead(user, { stage: 'interest' });
+    const second = await createLead(user, { stage: 'no-such-stage' });
+
+    const res = await api(user).get(`/api/leads/${user.id}`);
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body)).toEqual(STAGES);
+    expect(res.body.interest.map(l => l.id)).toEqual([first.id]);
+    // Unknown stages fall back to the entry stage
+    expect(res.body.awareness.map(l => l.id)).toEqual([second.id]);
+    expect(res.body.awareness[0]).toMatchObject({ stage: 'awareness', currentStage: 'awareness', strategies: [] });
+  });
+});
+
+describe('GET /api/leads/export', () => {
+  it('neutralises cells a spreadsheet would run as formulas', async () => {
+    const user = await createUser();
+    await createLead(user, { company: '=HYPERLINK("http://x")', contact: '@SUM(A1)', notes: '-2+3' });
+
+    const res = await api(user).get('/api/leads/export');
+
+    expect(res.status).toBe(200);
+    const [, row] = res.text.trim().split('\n');
+    expect(row).toContain('"\'=HYPERLINK(""http://x"")"');
+    expect(row).toContain("'@SUM(A1)");
+    expect(row).toContain("'-2+3");
+  });
+});
+
+describe('POST /api/leads/import', () => {
+  const importCsv = (user, csv, mapping) => {
+    const req = api(user).post('/api/leads/import').attach('file', Buffer.from(csv), 'leads.csv');
+    return mapping ? req.field('mapping', JSON.stringify(mapping)) : req;
+  };
+
+  it('holds rows to the workspace\'s required custom fields', async () => {
+    const user = await createUser();
+    const field = await api(user).post('/api/custom-fields').send({ key: 'seats', label: 'Seats', type: 'number', required: true });
+    expect(field.status).toBe(201);
+
+    const res = await importCsv(user, [
+      'company,contact,email,Licences',
+      'Counted Co,Casey,casey@counted.test,12',
+      'Blank Co,Blair,blair@blank.test,'
+    ].join('\n'), { 'custom.seats': 'Licences' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.rows).toEqual([
+      expect.objectContaining({ row: 2, status: 'imported' }),
+      { row: 3, status: 'invalid', errors: ['Seats is required'] }
+    ]);
+    const lead = await pool.query('SELECT custom_fields FROM leads_clean WHERE id = $1', [res.body.rows[0].leadId]);
+    expect(lead.rows[0].custom_fields).toEqual({ seats: 12 });
+  });
+
+  it('rejects rows without the required column at all', async () => {
+    const user = await createUser();
+    await api(user).post('/api/custom-fields').send({ key: 'seats', label: 'Seats', type: 'number', required: true });
+
+    const res = await importCsv(user, 'company,contact,email\nNo Seats Co,Casey,casey@noseats.test');
+
+    expect(res.body.rows).toEqual([{ row: 2, status: 'invalid', errors: ['Seats is required'] }]);
+  });
+});
+
+describe('PUT /api/leads/:id', () => {
+  it('keeps the stage history a single chain under concurrent updates', async () => {
+    const user = await createUser();
+    const lead = await createLead(user);
+
+    await Promise.all(['interest', 'intent', 'evaluation'].map(stage =>
+      api(user).put(`/api/leads/${lead.id}`).send({ company: lead.company, stage })));
+    const history = await api(user).get(`/api/leads/${lead.id}/history`);
+
+    expect(history.body).toHaveLength(4);
+    history.body.slice(1).forEach((entry, i) => expect(entry.from_stage).toBe(history.body[i].to_stage));
+  });
+
+  it('answers 404 for a lead in the trash', async () => {
+    const user = await createUser();
+    const lead = await createLead(user);
+    await api(user).delete(`/api/leads/${lead.id}`);
+
+    const res = await api(user).put(`/api/leads/${lead.id}`).send({ company: lead.company, stage: 'interest' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/leads/:id/tasks/:taskId', () => {
+  it('unassigns a task given assignedTo: null and leaves it alone when omitted', async () => {
+    const user = await createUser();
+    const lead = await createLead(user);
+    const task = await api(user).post(`/api/leads/${lead.id}/tasks`).send({ title: 'Call back' });
+    expect(task.body.assigned_to).toBe(user.id);
+
+    const renamed = await api(user).put(`/api/leads/${lead.id}/tasks/${task.body.id}`).send({ title: 'Call back soon' });
+    const unassigned = await api(user).put(`/api/leads/${lead.id}/tasks/${task.body.id}`).send({ assignedTo: null });
+
+    expect(renamed.body.assigned_to).toBe(user.id);
+    expect(unassigned.status).toBe(200);
+    expect(unassigned.body).toMatchObject({ title: 'Call back soon', assigned_to: null });
+  });
+});
+
+describe('POST /api/leads/merge', () => {
+  it('keeps one stage chain on the primary and notes the duplicate\'s history', async () => {
+    const user = await createUser();
+    const primary = await createLead(user);
+    const duplicate = await createLead(user);
+    await api(user).put(`/api/leads/${duplicate.id}`).send({ company: duplicate.company, stage: 'intent' });
+
+    const res = await api(user).post('/api/leads/merge').send({ primaryId: primary.id, duplicateId: duplicate.id });
+    const history = await api(user).get(`/api/leads/${primary.id}/history`);
+    const activities = await api(user).get(`/api/leads/${primary.id}/activities`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ stage: 'intent', mergedLeadId: duplicate.id });
+    const chain = history.body.map(h => [h.from_stage, h.to_stage]);
+    expect(chain).toEqual([[null, 'awareness'], ['awareness', 'intent']]);
+    const note = activities.body.find(a => a.body.startsWith(`Merged duplicate lead #${duplicate.id}`));
+    expect(note.body).toMatch(/Its stage history:\n\d{4}-\d{2}-\d{2}: awareness\n\d{4}-\d{2}-\d{2}: awareness → intent$/);
+  });
+  it('moves the duplicate\'s automation runs to the primary', async () => {
+    const user = await createUser();
+    const rule = await api(user).post('/api/automations/rules')
+      .send({ name: 'Welcome', trigger: 'lead.created', actions: [{ type: 'append_note', note: 'Welcome' }] });
+    expect(rule.status).toBe(201);
+    const primary = await createLead(user);
+    const duplicate = await createLead(user);
+
+    await api(user).post('/api/leads/merge').send({ primaryId: primary.id, duplicateId: duplicate.id });
+    const runs = await pool.query('SELECT lead_id FROM automation_runs WHERE rule_id = $1', [rule.body.id]);
+
+    expect(runs.rows.map(run => run.lead_id)).toEqual([primary.id, primary.id]);
+  });
+});
+
+describe('GET /api/leads/metrics/:userId', () => {
+  let user;
+  let metrics;
+
+  // 4 awareness (one created 20 days ago), 2 interest, 1 intent, 1 purchase
+  beforeAll(async () => {
+    user = await createUser();
+    const stages = ['awareness', 'awareness', 'awareness', 'awareness', 'interest', 'interest', 'intent', 'purchase'];
+    const leads = [];
+    for (const stage of stages) leads.push(await createLead(user, { stage }));
+
+    await pool.query("UPDATE leads_clean SET created_at = NOW() - INTERVAL '20 days' WHERE id = $1", [leads[0].id]);
+
+    const res = await api(user).get(`/api/leads/metrics/${user.id}`);
+    expect(res.status).toBe(200);
+    metrics = res.body;
+  });
+
+  it('counts leads per stage as percentages of the total', () => {
+    expect(metrics.totalLeads).toBe(8);
+    expect(metrics.stageDistribution).toEqual({ awareness: 50, interest: 25, intent: 13, evaluation: 0, purchase: 13 });
+  });
+
+  it('computes the funnel conversion rates from the stage counts', () => {
+    // interest / awareness = 2 / 4
+    expect(metrics.awarenessToInterest).toBe(50);
+    // open stages after the first two / interest = 1 / 2
+    expect(metrics.interestToConsideration).toBe(50);
+    // won stages / awareness = 1 / 4
+    expect(metrics.conversionRate).toBe(25);
+  });
+
+  it('uses the caller\'s hot and stale windows', () => {
+    expect(metrics.thresholds).toEqual({ hotLeadDays: 7, staleLeadDays: 14 });
+    expect(metrics.leadsAddedThisWeek).toBe(7);
+    expect(metrics.engagementRate).toBe(88);
+    // Recent leads in intent and purchase
+    expect(metrics.inferredHotLeads).toBe(2);
+    // The 20-day-old awareness lead
+    expect(metrics.staleLeads).toBe(1);
+  });
+
+  it('averages lead age in days', () => {
+    // One lead 20 days old, seven created just now
+    expect(metrics.avgTimeInFunnel).toBeCloseTo(2.5, 1);
+  });
+
+  it('limits snapshot figures to the requested range', async () => {
+    const from = new Date(Date.now() - 3 * 86400000).toISOString();
+    const res = await api(user).get(`/api/leads/metrics/${user.id}`).query({ from });
+
+    expect(res.body.totalLeads).toBe(7);
+    expect(res.body.staleLeads).toBe(0);
+    expect(res.body.awarenessToInterest).toBe(67);
+  });
+
+  it('counts each lead added in the current period of the time series', () => {
+    const current = metrics.timeSeries[metrics.timeSeries.length - 1];
+
+    expect(current.leadsAdded).toBe(7);
+    expect(current.won).toBe(1);
+  });
+});
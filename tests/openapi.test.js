@@ -0,0 +1,78 @@
+// 📄 tests/openapi.test.js – The served OpenAPI document describes every auth and lead route
+const { request, app, cleanup } = require('./helpers');
+const openapi = require('../lib/openapi');
+const authRoutes = require('../routes/auth');
+const leadRoutes = require('../routes/leads');
+const leadActivityRoutes = require('../routes/leadActivities');
+const leadEventRoutes = require('../routes/leadEvents');
+
+// Not an API route: it only silences browsers asking the API host for an icon
+const UNDOCUMENTED = ['GET /auth/favicon.ico'];
+
+// "METHOD /path" for each route of an Express router, with parameters as OpenAPI {name}
+function routesOf(router, prefix) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => {
+      const path = `${prefix}${layer.route.path}`.replace(/\/$/, '').replace(/:(\w+)/g, '{$1}');
+      return `${method.toUpperCase()} ${path}`;
+    }));
+}
+
+// OpenAPI treats /leads/{id} and /leads/{userId} as the same path, so compare without names
+const anonymous = (route) => route.replace(/\{\w+\}/g, '{}');
+
+const documented = Object.entries(openapi.paths)
+  .flatMap(([path, operations]) => Object.keys(operations).map(method => anonymous(`${method.toUpperCase()} ${path}`)));
+
+afterAll(cleanup);
+
+describe('GET /api/openapi.json', () => {
+  it('serves the document without authentication', async () => {
+    const res = await request(app).get('/api/openapi.json');
+
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toBe('3.0.3');
+    expect(res.body.servers).toEqual([{ url: '/api' }]);
+    expect(Object.keys(res.body.paths)).toEqual(Object.keys(openapi.paths));
+  });
+
+  it('documents every /api/auth and /api/leads route', () => {
+    const routes = [
+      ...routesOf(authRoutes, '/auth'),
+      ...routesOf(leadRoutes, '/leads'),
+      ...routesOf(leadActivityRoutes, '/leads/:id'),
+      ...routesOf(leadEventRoutes, '/leads/events')
+    ].filter(route => !UNDOCUMENTED.includes(route));
+
+    expect(routes.length).toBeGreaterThan(40);
+    expect(routes.map(anonymous).filter(route => !documented.includes(route))).toEqual([]);
+  });
+
+  it('only documents routes that exist', () => {
+    const routes = [
+      ...routesOf(authRoutes, '/auth'),
+      ...routesOf(leadRoutes, '/leads'),
+      ...routesOf(leadActivityRoutes, '/leads/:id'),
+      ...routesOf(leadEventRoutes, '/leads/events')
+    ].map(anonymous);
+
+    expect(documented.filter(route => !routes.includes(route))).toEqual([]);
+  });
+
+  it('resolves every $ref and declares every path parameter', () => {
+    const refs = JSON.stringify(openapi).match(/"\$ref":"[^"]+"/g).map(match => match.slice(8, -1));
+    refs.forEach(ref => {
+      const target = ref.replace('#/', '').split('/').reduce((node, key) => node && node[key], openapi);
+      expect([ref, target !== undefined]).toEqual([ref, true]);
+    });
+
+    Object.entries(openapi.paths).forEach(([path, operations]) => {
+      const names = (path.match(/\{(\w+)\}/g) || []).map(name => name.slice(1, -1));
+      Object.values(operations).forEach(operation => {
+        const declared = operation.parameters.filter(p => p.in === 'path').map(p => p.name);
+        expect([path, declared.sort()]).toEqual([path, [...names].sort()]);
+      });
+    });
+  });
+});
@@ -0,0 +1,14 @@
+// 📄 tests/setup/env.js – Points the app at the test database before lib/config reads the environment
+// Set TEST_DATABASE_URL to a database the suite may fill and empty (never the production one).
+process.env.NODE_ENV = 'test';
+process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+process.env.DATABASE_SSL = process.env.TEST_DATABASE_SSL || 'false';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-that-is-only-used-by-jest';
+process.env.RATE_LIMIT_STORE = 'memory';
+// Mail goes to the SMTP stub in tests/email.test.js, never to a real server
+process.env.SMTP_HOST = '127.0.0.1';
+process.env.SMTP_PORT = process.env.TEST_SMTP_PORT || '2526';
+process.env.SMTP_SECURE = 'false';
+process.env.SMTP_USER = '';
+// The webhook receiver in tests/webhooks.test.js listens on loopback
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
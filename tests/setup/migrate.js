@@ -0,0 +1,19 @@
+// 📄 tests/setup/migrate.js – Jest globalSetup: brings the test database up to the latest migration
+const { Pool } = require('pg');
+const { migrate } = require('../../lib/migrations');
+
+module.exports = async () => {
+  if (!process.env.TEST_DATABASE_URL) {
+    throw new Error('TEST_DATABASE_URL is required to run the integration tests (e.g. postgres://localhost/funnelflow_test)');
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.TEST_DATABASE_URL,
+    ssl: process.env.TEST_DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false
+  });
+  try {
+    await migrate(pool);
+  } finally {
+    await pool.end();
+  }
+};
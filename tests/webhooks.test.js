@@ -0,0 +1,209 @@
+// 📄 tests/webhooks.test.js – Webhook delivery against a local receiver: signing, retries, redelivery and blocked URLs
+const http = require('http');
+const crypto = require('crypto');
+const { pool, createUser, api, cleanup } = require('./helpers');
+const { processDueDeliveries } = require('../lib/webhooks');
+
+let receiver;
+let baseUrl;
+// Every request the receiver got: { path, headers, body }
+const received = [];
+// path → status codes to answer with, one per request (200 once they run out)
+const responses = {};
+
+// Send until nothing is due; failed deliveries are rescheduled into the future, so this ends
+async function drainDeliveries() {
+  while ((await processDueDeliveries()).length > 0);
+}
+
+const deliveryRow = (id) => pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]).then(r => r.rows[0]);
+
+async function createWebhook(user, path, events = ['lead.created']) {
+  const res = await api(user).post('/api/webhooks').send({ url: `${baseUrl}${path}`, events });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+async function createLead(user, company) {
+  const res = await api(user).post('/api/leads').send({ company, contact: 'Casey', email: 'casey@example.com' });
+  expect(res.status).toBe(201);
+  return res.body;
+}
+
+beforeAll((done) => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      const queued = responses[req.url] || [];
+      res.writeHead(queued.length > 0 ? queued.shift() : 200).end('ok');
+    });
+  });
+  receiver.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+    done();
+  });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  await cleanup();
+});
+
+describe('webhook delivery', () => {
+  it('posts the event signed with the webhook secret', async () => {
+    const user = await createUser();
+    const webhook = await createWebhook(user, '/signed');
+    const lead = await createLead(user, 'Signed Co');
+
+    await drainDeliveries();
+    const [request] = received.filter(r => r.path === '/signed');
+
+    expect(request.headers['x-funnelflow-event']).toBe('lead.created');
+    const timestamp = request.headers['x-funnelflow-timestamp'];
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${request.body}`).digest('hex');
+    expect(request.headers['x-funnelflow-signature']).toBe(`sha256=${expected}`);
+
+    const body = JSON.parse(request.body);
+    expect(body).toMatchObject({ event: 'lead.created', data: { lead: { id: lead.id, company: 'Signed Co' } } });
+    expect(String(body.id)).toBe(request.headers['x-funnelflow-delivery']);
+    expect(await deliveryRow(body.id)).toMatchObject({ status: 'succeeded', attempts: 1, last_status_code: 200 });
+  });
+
+  it('retries a failed delivery with backoff and logs every attempt', async () => {
+    const user = await createUser();
+    const webhook = await createWebhook(user, '/flaky');
+    responses['/flaky'] = [500];
+    await createLead(user, 'Flaky Co');
+
+    const before = Date.now();
+    await drainDeliveries();
+    const deliveries = await api(user).get(`/api/webhooks/${webhook.id}/deliveries`);
+    const [delivery] = deliveries.body;
+
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, last_status_code: 500, last_error: 'HTTP 500' });
+    // 30s for the first retry, plus up to 10% jitter
+    const wait = new Date(delivery.next_attempt_at).getTime() - before;
+    expect(wait).toBeGreaterThanOrEqual(29000);
+    expect(wait).toBeLessThanOrEqual(34000);
+
+    // Once it is due again the receiver accepts it
+    await pool.query('UPDATE webhook_deliveries SET next_attempt_at = NOW() WHERE id = $1', [delivery.id]);
+    await drainDeliveries();
+    const detail = await api(user).get(`/api/webhooks/${webhook.id}/deliveries/${delivery.id}`);
+
+    expect(detail.body).toMatchObject({ status: 'succeeded', attempts: 2 });
+    expect(detail.body.attemptLog.map(a => a.status_code)).toEqual([500, 200]);
+    expect(received.filter(r => r.path === '/flaky')).toHaveLength(2);
+  });
+
+  it('gives up after the last attempt', async () => {
+    const user = await createUser();
+    await createWebhook(user, '/down');
+    responses['/down'] = [503];
+    const lead = await createLead(user, 'Down Co');
+    const { rows: [delivery] } = await pool.query(
+      "SELECT id FROM webhook_deliveries WHERE event = 'lead.created' AND payload->'data'->'lead'->>'id' = $1",
+      [String(lead.id)]
+    );
+    // As if the first seven attempts had already failed
+    await pool.query('UPDATE webhook_deliveries SET attempts = 7 WHERE id = $1', [delivery.id]);
+
+    await drainDeliveries();
+
+    expect(await deliveryRow(delivery.id)).toMatchObject({ status: 'failed', attempts: 8, last_status_code: 503 });
+  });
+
+  it('redelivers the original payload as a new delivery', async () => {
+    const user = await createUser();
+    const webhook = await createWebhook(user, '/again');
+    await createLead(user, 'Again Co');
+    await drainDeliveries();
+    const [original] = received.filter(r => r.path === '/again');
+    const originalId = Number(original.headers['x-funnelflow-delivery']);
+
+    const res = await api(user).post(`/api/webhooks/${webhook.id}/deliveries/${originalId}/redeliver`);
+    await drainDeliveries();
+    const [, copy] = received.filter(r => r.path === '/again');
+
+    expect(res.status).toBe(202);
+    expect(res.body.redelivery_of).toBe(originalId);
+    expect(copy.headers['x-funnelflow-delivery']).toBe(String(res.body.id));
+    const { id: firstId, ...first } = JSON.parse(original.body);
+    const { id: copyId, ...second } = JSON.parse(copy.body);
+    expect(copyId).not.toBe(firstId);
+    expect(second.data).toEqual(first.data);
+    expect(second.occurredAt).toBe(first.occurredAt);
+  });
+
+  it('sends pings to the one webhook only', async () => {
+    const user = await createUser();
+    const webhook = await createWebhook(user, '/ping', ['lead.deleted']);
+    await createWebhook(user, '/other', ['lead.deleted']);
+
+    const res = await api(user).post(`/api/webhooks/${webhook.id}/ping`);
+    await drainDeliveries();
+
+    expect(res.status).toBe(202);
+    expect(received.filter(r => r.path === '/ping').map(r => JSON.parse(r.body).event)).toEqual(['ping']);
+    expect(received.filter(r => r.path === '/other')).toEqual([]);
+  });
+
+  it('does not store what the receiver answered', async () => {
+    const user = await createUser();
+    const webhook = await createWebhook(user, '/quiet');
+    const ping = await api(user).post(`/api/webhooks/${webhook.id}/ping`);
+    await drainDeliveries();
+
+    const detail = await api(user).get(`/api/webhooks/${webhook.id}/deliveries/${ping.body.id}`);
+
+    expect(detail.body.attemptLog).toHaveLength(1);
+    expect(Object.keys(detail.body.attemptLog[0]).sort()).toEqual(['attempted_at', 'duration_ms', 'error', 'status_code']);
+  });
+});
+
+describe('webhook URLs', () => {
+  const blocked = [
+    'http://localhost:5432/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://10.1.2.3/hook',
+    'http://192.168.0.10/hook',
+    'http://[::1]:8080/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://0x7f000002/hook'
+  ];
+
+  it.each(blocked)('refuses %s', async (url) => {
+    const user = await createUser();
+    const res = await api(user).post('/api/webhooks').send({ url, events: ['lead.created'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(['url must not point at a private, loopback or link-local address']);
+  });
+
+  it('refuses a private address on update too', async () => {
+    const user = await createUser();
+    const webhook = await createWebhook(user, '/update');
+    const res = await api(user).put(`/api/webhooks/${webhook.id}`).send({ url: 'http://127.0.0.2/hook' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('checks the address again when sending', async () => {
+    const user = await createUser();
+    const webhook = await createWebhook(user, '/rebound');
+    // As if the host had resolved to a public address when it was saved
+    await pool.query('UPDATE webhooks SET url = $1 WHERE id = $2', [`http://localhost:${new URL(baseUrl).port}/rebound`, webhook.id]);
+
+    const ping = await api(user).post(`/api/webhooks/${webhook.id}/ping`);
+    await drainDeliveries();
+
+    expect(await deliveryRow(ping.body.id)).toMatchObject({
+      status: 'pending',
+      last_error: 'url must not point at a private, loopback or link-local address'
+    });
+    expect(received.filter(r => r.path === '/rebound')).toEqual([]);
+  });
+});
@@ -0,0 +1,30 @@
+// 📄 tests/workspaces.test.js – /api/workspaces: who may invite whom
+const { createUser, createWorkspace, api, uniqueEmail, cleanup } = require('./helpers');
+
+afterAll(cleanup);
+
+describe('POST /api/workspaces/:id/invitations', () => {
+  let owner;
+  let admin;
+  let workspaceId;
+
+  beforeAll(async () => {
+    [owner, admin] = await Promise.all([createUser(), createUser()]);
+    workspaceId = await createWorkspace(owner, [{ user: admin, role: 'admin' }]);
+  });
+
+  it('lets admins invite editors and viewers', async () => {
+    const res = await api(admin).post(`/api/workspaces/${workspaceId}/invitations`).send({ email: uniqueEmail(), role: 'viewer' });
+
+    expect(res.status).toBe(201);
+  });
+
+  it('keeps inviting admins to the owner', async () => {
+    const byAdmin = await api(admin).post(`/api/workspaces/${workspaceId}/invitations`).send({ email: uniqueEmail(), role: 'admin' });
+    const byOwner = await api(owner).post(`/api/workspaces/${workspaceId}/invitations`).send({ email: uniqueEmail(), role: 'admin' });
+
+    expect(byAdmin.status).toBe(403);
+    expect(byAdmin.body.error).toBe('Forbidden - Only the owner may invite admins');
+    expect(byOwner.status).toBe(201);
+  });
+});